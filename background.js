@@ -1,17 +1,34 @@
 // Background service worker for Call Tracking Detector
 
-// Store detection results per tab
+importScripts(
+  'utils.js',
+  'provider-library.js',
+  'provider-lint.js',
+  'traffic-sources.js',
+  'confidence.js',
+  'detection-store.js',
+  'history-store.js',
+  'crawler.js',
+  'referrer-spoof.js',
+  'tracking-data.js',
+  'blocking.js',
+  'blocked-requests.js',
+  'provider-tester.js',
+  'source-compare.js',
+  'pool-discovery.js'
+);
+
+// Tracking requests seen on the network, per tab
+// Page detection results are kept in the detection store (detection-store.js)
 const detectionResults = new Map();
 
 // Provider library
 let providers = [];
 
-// Load providers on startup
+// Load the enabled providers from the library (provider-library.js)
 async function loadProviders() {
   try {
-    const response = await fetch(chrome.runtime.getURL('providers.json'));
-    const data = await response.json();
-    providers = data.providers || [];
+    providers = await getActiveProviders();
     console.log('[Background] Loaded', providers.length, 'providers');
   } catch (error) {
     console.error('[Background] Error loading providers:', error);
@@ -19,7 +36,7 @@ async function loadProviders() {
 }
 
 // Initialize
-loadProviders();
+const providersLoaded = loadProviders();
 
 // Open side panel when extension icon is clicked
 chrome.action.onClicked.addListener(async (tab) => {
@@ -37,41 +54,35 @@ chrome.sidePanel
   .catch((error) => console.error('[Background] Error setting panel behavior:', error));
 
 // Listen for web requests to detect tracking scripts
+// Uses the same URL attribution as the content script (matchProviderForUrl in utils.js)
 chrome.webRequest?.onBeforeRequest.addListener(
   (details) => {
-    const url = details.url.toLowerCase();
-
-    providers.forEach(provider => {
-      const matchesDomain = provider.domains.some(domain =>
-        url.includes(domain.toLowerCase())
-      );
-      const matchesPattern = provider.scriptPatterns.some(pattern =>
-        url.includes(pattern.toLowerCase())
-      );
-
-      if (matchesDomain || matchesPattern) {
-        console.log('[Background] Detected tracking request:', provider.name, details.url);
-
-        // Store detection for this tab
-        if (!detectionResults.has(details.tabId)) {
-          detectionResults.set(details.tabId, {
-            providers: new Set(),
-            scripts: []
-          });
-        }
-
-        const tabData = detectionResults.get(details.tabId);
-        tabData.providers.add(provider.name);
-        tabData.scripts.push({
-          provider: provider.name,
-          url: details.url,
-          timestamp: Date.now()
-        });
+    const match = matchProviderForUrl(details.url, providers);
+    if (!match) return;
 
-        // Update badge
-        updateBadge(details.tabId, tabData.providers.size);
-      }
+    const { provider } = match;
+    console.log('[Background] Detected tracking request:', provider.name, details.url);
+
+    // Store detection for this tab
+    if (!detectionResults.has(details.tabId)) {
+      detectionResults.set(details.tabId, {
+        providers: new Set(),
+        scripts: []
+      });
+    }
+
+    const tabData = detectionResults.get(details.tabId);
+    tabData.providers.add(provider.name);
+    tabData.scripts.push({
+      provider: provider.name,
+      url: details.url,
+      matchType: match.matchType,
+      matchedPattern: match.matchedPattern,
+      timestamp: Date.now()
     });
+
+    // Update badge
+    updateBadge(details.tabId, tabData.providers.size);
   },
   { urls: ["<all_urls>"] }
 );
@@ -96,53 +107,103 @@ function updateBadge(tabId, count) {
   }
 }
 
+// Whether a tab is one the extension opened for a crawl, source comparison or
+// pool discovery
+function isExtensionWorkTab(tabId) {
+  return [activeCrawl, activeCompare, activePool].some(run => run && run.tabId === tabId);
+}
+
 // Handle messages from content script and popup
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'updateDetection') {
     const tabId = sender.tab?.id;
     if (tabId) {
-      const data = request.data;
+      saveFrameDetection(tabId, sender.frameId || 0, sender.documentId, request.data)
+        .then(entry => {
+          // Update badge based on detection across all frames in the tab
+          const merged = mergeTabDetection(entry);
+          const trackerCount = merged.uniqueProviderCount;
+          const swapCount = merged.swaps.length;
+
+          if (trackerCount > 0 || swapCount > 0) {
+            updateBadge(tabId, trackerCount);
+          } else {
+            chrome.action.setBadgeText({
+              tabId: tabId,
+              text: ''
+            });
+            chrome.action.setBadgeBackgroundColor({
+              tabId: tabId,
+              color: '#999999' // Gray for no tracking
+            });
+          }
 
-      // Update stored results
-      if (!detectionResults.has(tabId)) {
-        detectionResults.set(tabId, {
-          providers: new Set(),
-          scripts: []
+          // Keep completed scans in the domain's history, then notify the
+          // side panel if it's open so it shows both. Pages the extension
+          // loads itself aren't visits, and reports from frames still
+          // scanning would only be rewritten moments later.
+          const recordable = merged.scanComplete && request.data.scanComplete && !isExtensionWorkTab(tabId);
+          (recordable ? recordScan(merged) : Promise.resolve(false))
+            .catch(error => {
+              console.error('[Background] Error recording scan history:', error);
+            })
+            .then(() => chrome.runtime.sendMessage({
+              action: 'detectionUpdated',
+              tabId: tabId
+            }))
+            .catch(() => {
+              // Side panel may not be open, ignore error
+            });
+
+          sendResponse({ success: true });
+        })
+        .catch(error => {
+          console.error('[Background] Error saving detection:', error);
+          sendResponse({ success: false, error: error.message });
         });
-      }
+    }
+    return true;
+  }
 
-      const tabData = detectionResults.get(tabId);
-      data.detectedTrackers.forEach(tracker => {
-        tabData.providers.add(tracker.provider);
-      });
+  if (request.action === 'getTabDetection') {
+    getTabDetection(request.tabId)
+      .then(detection => sendResponse({ detection: detection }))
+      .catch(error => sendResponse({ detection: null, error: error.message }));
+    return true;
+  }
 
-      // Update badge based on detection
-      const trackerCount = data.detectedTrackers.length;
-      const swapCount = data.swaps?.length || 0;
+  if (request.action === 'getHistory') {
+    getDomainHistory(request.domain)
+      .then(history => sendResponse({ history: history }))
+      .catch(error => sendResponse({ history: [], error: error.message }));
+    return true;
+  }
 
-      if (trackerCount > 0 || swapCount > 0) {
-        updateBadge(tabId, trackerCount);
-      } else {
-        chrome.action.setBadgeText({
-          tabId: tabId,
-          text: ''
-        });
-        chrome.action.setBadgeBackgroundColor({
-          tabId: tabId,
-          color: '#999999' // Gray for no tracking
-        });
-      }
-
-      // Notify side panel if it's open
-      chrome.runtime.sendMessage({
-        action: 'detectionUpdated',
-        tabId: tabId
-      }).catch(() => {
-        // Side panel may not be open, ignore error
-      });
+  if (request.action === 'clearHistory') {
+    clearDomainHistory(request.domain)
+      .then(removed => sendResponse({ success: true, removed: removed }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
 
-      sendResponse({ success: true });
-    }
+  if (request.action === 'startCrawl') {
+    startCrawl(request.options)
+      .then(crawl => sendResponse({ success: true, crawl: crawl }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'cancelCrawl') {
+    cancelCrawl()
+      .then(crawl => sendResponse({ success: true, crawl: crawl }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'getCrawl') {
+    getCrawlState()
+      .then(crawl => sendResponse({ crawl: crawl }))
+      .catch(error => sendResponse({ crawl: null, error: error.message }));
     return true;
   }
 
@@ -151,47 +212,108 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
 
+  if (request.action === 'testProvider') {
+    testProviderOnTab(request.provider, request.tabId)
+      .then(result => sendResponse({ success: true, result: result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
   if (request.action === 'clearCookies') {
-    const url = request.url;
-    chrome.cookies.getAll({ url: url }, (cookies) => {
-      let removed = 0;
-      cookies.forEach(cookie => {
-        chrome.cookies.remove({
-          url: url,
-          name: cookie.name
-        }, () => {
-          removed++;
-        });
-      });
+    clearSiteCookies(request.url)
+      .then(removed => sendResponse({ success: true, removed: removed }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
 
-      setTimeout(() => {
-        sendResponse({ success: true, removed: removed });
-      }, 500);
-    });
+  if (request.action === 'loadWithReferrer') {
+    loadWithReferrer(request.tabId, request.url, request.referrer)
+      .then(loaded => sendResponse({ success: true, loaded: loaded }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
     return true;
   }
 
-  if (request.action === 'enableBlocking') {
-    // Enable blocking rules
-    chrome.declarativeNetRequest.updateEnabledRulesets({
-      enableRulesetIds: ['tracking_blocklist']
-    }).then(() => {
-      sendResponse({ success: true });
-    }).catch(err => {
-      sendResponse({ success: false, error: err.message });
-    });
+  if (request.action === 'getTrackingData') {
+    listTrackingData(request.tabId, request.url)
+      .then(data => sendResponse({ success: true, data: data }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
     return true;
   }
 
-  if (request.action === 'disableBlocking') {
-    // Disable blocking rules
-    chrome.declarativeNetRequest.updateEnabledRulesets({
-      disableRulesetIds: ['tracking_blocklist']
-    }).then(() => {
-      sendResponse({ success: true });
-    }).catch(err => {
-      sendResponse({ success: false, error: err.message });
-    });
+  if (request.action === 'clearTrackingData') {
+    clearTrackingData(request.tabId, request.url)
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'resetSiteData') {
+    resetSiteData(request.tabId, request.url)
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'startSourceCompare') {
+    startSourceCompare(request.options)
+      .then(compare => sendResponse({ success: true, compare: compare }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'cancelSourceCompare') {
+    cancelSourceCompare()
+      .then(compare => sendResponse({ success: true, compare: compare }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'getSourceCompare') {
+    getSourceCompareState()
+      .then(compare => sendResponse({ compare: compare }))
+      .catch(error => sendResponse({ compare: null, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'startPoolDiscovery') {
+    startPoolDiscovery(request.options)
+      .then(pool => sendResponse({ success: true, pool: pool }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'cancelPoolDiscovery') {
+    cancelPoolDiscovery()
+      .then(pool => sendResponse({ success: true, pool: pool }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'getPoolDiscovery') {
+    getPoolDiscoveryState()
+      .then(pool => sendResponse({ pool: pool }))
+      .catch(error => sendResponse({ pool: null, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'getBlocking') {
+    getBlockingState(request.tabId, request.url)
+      .then(state => sendResponse({ success: true, blocking: state }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'getBlockedRequests') {
+    getBlockedRequests(request.tabId)
+      .then(log => sendResponse({ success: true, log: log }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'setProviderBlocking') {
+    setProviderBlocking(request.options)
+      .then(state => sendResponse({ success: true, blocking: state }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
     return true;
   }
 });
@@ -199,17 +321,63 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 // Clean up old detection results when tabs are closed
 chrome.tabs?.onRemoved.addListener((tabId) => {
   detectionResults.delete(tabId);
+  removeTabEntry(tabId);
+  handleCrawlTabRemoved(tabId);
+  handleCompareTabRemoved(tabId);
+  handlePoolTabRemoved(tabId);
+  removeTabBlocking(tabId).catch(error => {
+    console.error('[Background] Error removing tab blocking:', error);
+  });
+  removeBlockedRequests(tabId);
 });
 
-// Clear detection results when navigation starts
-chrome.webNavigation?.onBeforeNavigate.addListener((details) => {
-  if (details.frameId === 0) { // Main frame only
-    detectionResults.delete(details.tabId);
+// Clear network detections and the blocked request log when the tab navigates to a new page
+// The detection store starts a new navigation when the new document reports,
+// holding back child frames that report before it
+chrome.tabs?.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.status === 'loading') {
+    startTabNavigation(tabId).catch(error => {
+      console.error('[Background] Error starting tab navigation:', error);
+    });
+  }
+
+  if (changeInfo.status === 'loading' && changeInfo.url) {
+    detectionResults.delete(tabId);
+    resetBlockedRequests(tabId);
     chrome.action.setBadgeText({
-      tabId: details.tabId,
+      tabId: tabId,
       text: ''
     });
   }
 });
 
+// Remove results stored by older versions under per-URL keys
+chrome.runtime.onInstalled.addListener(() => {
+  removeLegacyDetections().catch(error => {
+    console.error('[Background] Error removing legacy detections:', error);
+  });
+});
+
+// Drop results for tabs closed while the service worker was stopped
+pruneClosedTabs();
+
+// A referrer simulated when the service worker stopped would apply to later loads
+clearAllSimulatedReferrers().catch(error => {
+  console.error('[Background] Error clearing simulated referrers:', error);
+});
+
+// Reload the library when providers are edited on the options page
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local' || (!changes[CUSTOM_PROVIDERS_KEY] && !changes[DISABLED_PROVIDERS_KEY])) return;
+
+  loadProviders().then(() => syncBlockingRules()).catch(error => {
+    console.error('[Background] Error reloading providers:', error);
+  });
+});
+
+// Regenerate blocking rules in case providers changed or blocked tabs were closed
+refreshBlockingRules().catch(error => {
+  console.error('[Background] Error refreshing blocking rules:', error);
+});
+
 console.log('[Background] Call Tracking Detector service worker initialized');
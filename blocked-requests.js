@@ -0,0 +1,158 @@
+// Blocked request log for the background service worker
+// Requests matched by the blocking rules are recorded per tab so the side panel
+// can confirm what was actually blocked. onRuleMatchedDebug reports each request
+// with its URL but is only available to unpacked extensions; otherwise the log is
+// built from getMatchedRules, which only reports the rule and the time.
+// Depends on blocking.js (getBlockingRuleProvider, BLOCKING_RULE_ID_BASE),
+// detection-store.js (getTabDetection) and background.js (providers).
+
+const BLOCKED_REQUESTS_KEY = 'blockedRequests';
+const MAX_BLOCKED_REQUESTS_PER_TAB = 200;
+
+// Serialize log writes so requests blocked at the same time aren't lost
+let blockedRequestQueue = Promise.resolve();
+
+function enqueueBlockedRequestTask(task) {
+  const result = blockedRequestQueue.then(task);
+  blockedRequestQueue = result.catch(error => {
+    console.error('[Blocked Requests] Log task failed:', error);
+  });
+  return result;
+}
+
+async function getBlockedRequestLogs() {
+  const result = await chrome.storage.session.get(BLOCKED_REQUESTS_KEY);
+  return result[BLOCKED_REQUESTS_KEY] || {};
+}
+
+function saveBlockedRequestLogs(logs) {
+  return chrome.storage.session.set({ [BLOCKED_REQUESTS_KEY]: logs });
+}
+
+// Log for a tab, started when the tab's current page started loading
+function getTabLog(logs, tabId) {
+  return logs[tabId] || { startedAt: 0, entries: [] };
+}
+
+/**
+ * Start a new blocked request log when a tab navigates to a new page
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<void>}
+ */
+function resetBlockedRequests(tabId) {
+  return enqueueBlockedRequestTask(async () => {
+    const logs = await getBlockedRequestLogs();
+    logs[tabId] = { startedAt: Date.now(), entries: [] };
+    await saveBlockedRequestLogs(logs);
+  });
+}
+
+/**
+ * Drop the blocked request log of a closed tab
+ * @param {number} tabId - Closed tab ID
+ * @returns {Promise<void>}
+ */
+function removeBlockedRequests(tabId) {
+  return enqueueBlockedRequestTask(async () => {
+    const logs = await getBlockedRequestLogs();
+    if (!logs[tabId]) return;
+
+    delete logs[tabId];
+    await saveBlockedRequestLogs(logs);
+  });
+}
+
+// Build a log entry for a matched blocking rule
+async function buildBlockedEntry(rule, details) {
+  const providerId = await getBlockingRuleProvider(rule.rulesetId, rule.ruleId);
+  const provider = providers.find(p => p.id === providerId);
+
+  return {
+    url: details.url || null,
+    resourceType: details.type || null,
+    providerId: providerId,
+    provider: provider ? provider.name : 'Unknown provider',
+    scope: rule.rulesetId === chrome.declarativeNetRequest.SESSION_RULESET_ID ? 'tab' : 'site',
+    timestamp: details.timestamp
+  };
+}
+
+/**
+ * Record a request blocked by one of the blocking rules (onRuleMatchedDebug)
+ * @param {Object} info - MatchedRuleInfoDebug
+ * @returns {Promise<void>}
+ */
+async function recordBlockedRequest(info) {
+  const { rule, request } = info;
+  if (rule.ruleId < BLOCKING_RULE_ID_BASE || request.tabId < 0) return;
+
+  const entry = await buildBlockedEntry(rule, {
+    url: request.url,
+    type: request.type,
+    timestamp: Date.now()
+  });
+
+  await enqueueBlockedRequestTask(async () => {
+    const logs = await getBlockedRequestLogs();
+    const log = getTabLog(logs, request.tabId);
+    log.entries = [...log.entries, entry].slice(-MAX_BLOCKED_REQUESTS_PER_TAB);
+    logs[request.tabId] = log;
+    await saveBlockedRequestLogs(logs);
+  });
+}
+
+// Blocked requests for a tab from getMatchedRules, without URLs
+async function getMatchedBlockedRequests(tabId, startedAt) {
+  const { rulesMatchedInfo } = await chrome.declarativeNetRequest.getMatchedRules({
+    tabId: tabId,
+    minTimeStamp: startedAt
+  });
+
+  const matches = rulesMatchedInfo.filter(match => match.rule.ruleId >= BLOCKING_RULE_ID_BASE);
+  return Promise.all(matches.map(match => buildBlockedEntry(match.rule, { timestamp: match.timeStamp })));
+}
+
+/**
+ * Get the requests blocked on a tab's current page, and whether the page
+ * still showed tracking numbers afterwards
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<Object>} { entries, hasUrls, error, scanComplete, swaps }
+ */
+async function getBlockedRequests(tabId) {
+  const log = getTabLog(await getBlockedRequestLogs(), tabId);
+  const hasUrls = !!chrome.declarativeNetRequest.onRuleMatchedDebug;
+
+  let entries = log.entries;
+  let error = null;
+  if (!hasUrls) {
+    try {
+      entries = await getMatchedBlockedRequests(tabId, log.startedAt);
+    } catch (e) {
+      // getMatchedRules is rate limited when called without a user gesture
+      error = e.message;
+    }
+  }
+
+  const detection = await getTabDetection(tabId);
+  return {
+    entries: entries,
+    hasUrls: hasUrls,
+    error: error,
+    scanComplete: detection ? detection.scanComplete : false,
+    swaps: detection ? detection.swaps.map(swap => ({
+      original: swap.original,
+      tracking: swap.tracking,
+      providerId: swap.swappedBy ? swap.swappedBy.providerId : null,
+      provider: swap.swappedBy ? swap.swappedBy.provider : null
+    })) : []
+  };
+}
+
+// Only unpacked extensions get per-request debug events
+if (chrome.declarativeNetRequest?.onRuleMatchedDebug) {
+  chrome.declarativeNetRequest.onRuleMatchedDebug.addListener(info => {
+    recordBlockedRequest(info).catch(error => {
+      console.error('[Blocked Requests] Error recording blocked request:', error);
+    });
+  });
+}
@@ -0,0 +1,235 @@
+// Per-provider blocking for the background service worker
+// Blocking rules are generated from providers.json and scoped either to a site
+// (dynamic rules, kept across browser restarts) or to a single tab (session rules).
+// Depends on background.js (providers, providersLoaded) and provider-lint.js
+// (isGenericDomain).
+
+const SITE_BLOCKING_KEY = 'siteBlocking';
+const TAB_BLOCKING_KEY = 'tabBlocking';
+// Which provider each generated rule blocks, for the blocked request log
+const BLOCKING_RULE_PROVIDERS_KEY = 'blockingRuleProviders';
+// Rule IDs below this are reserved for other features (e.g. referrer simulation)
+const BLOCKING_RULE_ID_BASE = 1000;
+const BLOCKED_RESOURCE_TYPES = ['script', 'xmlhttprequest', 'sub_frame', 'ping', 'image'];
+
+// Serialize rule updates so overlapping toggles don't race
+let blockingQueue = Promise.resolve();
+
+function enqueueBlockingTask(task) {
+  const result = blockingQueue.then(task);
+  blockingQueue = result.catch(error => {
+    console.error('[Blocking] Blocking task failed:', error);
+  });
+  return result;
+}
+
+// Blocked provider IDs per site hostname
+async function getSiteBlocking() {
+  const result = await chrome.storage.local.get(SITE_BLOCKING_KEY);
+  return result[SITE_BLOCKING_KEY] || {};
+}
+
+// Blocked provider IDs per tab ID
+async function getTabBlocking() {
+  const result = await chrome.storage.session.get(TAB_BLOCKING_KEY);
+  return result[TAB_BLOCKING_KEY] || {};
+}
+
+/**
+ * Get the domains blocking a provider blocks
+ * Domains that serve much more than call tracking (e.g. google.com) are left
+ * out, so blocking doesn't break fonts, maps or captchas on the page
+ * @param {Object} provider - Provider from providers.json
+ * @returns {Array<string>} Domains to block
+ */
+function getBlockableDomains(provider) {
+  return (provider.domains || []).filter(domain => !isGenericDomain(domain));
+}
+
+/**
+ * Build the block rule for one provider
+ * Only provider domains are blocked; script patterns like "/track.js" are too
+ * broad to block without also breaking unrelated scripts
+ * @param {number} id - Rule ID
+ * @param {Object} provider - Provider from providers.json
+ * @param {Object} scope - { site } or { tabId }
+ * @returns {Object|null} declarativeNetRequest rule, or null if the provider has no blockable domains
+ */
+function buildProviderBlockRule(id, provider, scope) {
+  const domains = getBlockableDomains(provider);
+  if (domains.length === 0) return null;
+
+  const condition = {
+    requestDomains: domains,
+    resourceTypes: BLOCKED_RESOURCE_TYPES
+  };
+  if (scope.site) {
+    condition.initiatorDomains = [scope.site];
+  } else {
+    condition.tabIds = [scope.tabId];
+  }
+
+  return {
+    id: id,
+    priority: 1,
+    action: { type: 'block' },
+    condition: condition
+  };
+}
+
+// Turn a blocking map ({ key: [providerIds] }) into rules
+// Each rule's provider is recorded in ruleProviders under "<rulesetId>:<ruleId>"
+function buildBlockRules(blocking, toScope, rulesetId, ruleProviders) {
+  const rules = [];
+  Object.entries(blocking).forEach(([key, providerIds]) => {
+    providerIds.forEach(providerId => {
+      const provider = providers.find(p => p.id === providerId);
+      const rule = provider && buildProviderBlockRule(BLOCKING_RULE_ID_BASE + rules.length, provider, toScope(key));
+      if (rule) {
+        rules.push(rule);
+        ruleProviders[`${rulesetId}:${rule.id}`] = provider.id;
+      }
+    });
+  });
+  return rules;
+}
+
+/**
+ * Find the provider a blocking rule was generated for
+ * @param {string} rulesetId - Ruleset the rule belongs to (dynamic or session)
+ * @param {number} ruleId - Rule ID
+ * @returns {Promise<string|null>} Provider ID, or null if it isn't a blocking rule
+ */
+async function getBlockingRuleProvider(rulesetId, ruleId) {
+  const result = await chrome.storage.session.get(BLOCKING_RULE_PROVIDERS_KEY);
+  return (result[BLOCKING_RULE_PROVIDERS_KEY] || {})[`${rulesetId}:${ruleId}`] || null;
+}
+
+/**
+ * Replace the blocking rules with ones generated from the stored blocking settings
+ * @returns {Promise<void>}
+ */
+function syncBlockingRules() {
+  return enqueueBlockingTask(async () => {
+    await providersLoaded;
+    const [siteBlocking, tabBlocking, dynamicRules, sessionRules] = await Promise.all([
+      getSiteBlocking(),
+      getTabBlocking(),
+      chrome.declarativeNetRequest.getDynamicRules(),
+      chrome.declarativeNetRequest.getSessionRules()
+    ]);
+
+    const ownRuleIds = rules => rules.filter(rule => rule.id >= BLOCKING_RULE_ID_BASE).map(rule => rule.id);
+    const ruleProviders = {};
+
+    await chrome.declarativeNetRequest.updateDynamicRules({
+      removeRuleIds: ownRuleIds(dynamicRules),
+      addRules: buildBlockRules(siteBlocking, site => ({ site: site }),
+        chrome.declarativeNetRequest.DYNAMIC_RULESET_ID, ruleProviders)
+    });
+    await chrome.declarativeNetRequest.updateSessionRules({
+      removeRuleIds: ownRuleIds(sessionRules),
+      addRules: buildBlockRules(tabBlocking, tabId => ({ tabId: Number(tabId) }),
+        chrome.declarativeNetRequest.SESSION_RULESET_ID, ruleProviders)
+    });
+    await chrome.storage.session.set({ [BLOCKING_RULE_PROVIDERS_KEY]: ruleProviders });
+  });
+}
+
+/**
+ * Get the blocking settings that apply to a tab's page
+ * @param {number} tabId - Tab ID
+ * @param {string} url - Page URL
+ * @returns {Promise<Object>} { site, providers, siteBlocked, tabBlocked }
+ */
+async function getBlockingState(tabId, url) {
+  await providersLoaded;
+  const site = new URL(url).hostname;
+  const [siteBlocking, tabBlocking] = await Promise.all([getSiteBlocking(), getTabBlocking()]);
+
+  return {
+    site: site,
+    providers: providers.map(provider => ({ id: provider.id, name: provider.name, domains: getBlockableDomains(provider) })),
+    siteBlocked: siteBlocking[site] || [],
+    tabBlocked: tabBlocking[tabId] || []
+  };
+}
+
+/**
+ * Block or unblock providers for a site or a tab
+ * @param {Object} options - Blocking change
+ * @param {Array<string>} options.providerIds - Providers to change
+ * @param {boolean} options.blocked - Block (true) or unblock (false)
+ * @param {string} options.scope - 'site' or 'tab'
+ * @param {number} options.tabId - Tab the change was made from
+ * @param {string} options.url - Page URL, used for the site scope
+ * @returns {Promise<Object>} Updated blocking state for the tab
+ */
+async function setProviderBlocking({ providerIds, blocked, scope, tabId, url }) {
+  const site = new URL(url).hostname;
+  const storageArea = scope === 'tab' ? chrome.storage.session : chrome.storage.local;
+  const storageKey = scope === 'tab' ? TAB_BLOCKING_KEY : SITE_BLOCKING_KEY;
+  const entryKey = scope === 'tab' ? String(tabId) : site;
+
+  await enqueueBlockingTask(async () => {
+    const blocking = scope === 'tab' ? await getTabBlocking() : await getSiteBlocking();
+    const current = new Set(blocking[entryKey] || []);
+    providerIds.forEach(providerId => {
+      if (blocked) {
+        current.add(providerId);
+      } else {
+        current.delete(providerId);
+      }
+    });
+
+    if (current.size > 0) {
+      blocking[entryKey] = Array.from(current);
+    } else {
+      delete blocking[entryKey];
+    }
+    await storageArea.set({ [storageKey]: blocking });
+  });
+
+  await syncBlockingRules();
+  return getBlockingState(tabId, url);
+}
+
+/**
+ * Drop tab-scoped blocking for a closed tab
+ * @param {number} tabId - Closed tab ID
+ * @returns {Promise<void>}
+ */
+async function removeTabBlocking(tabId) {
+  const removed = await enqueueBlockingTask(async () => {
+    const blocking = await getTabBlocking();
+    if (!blocking[tabId]) return false;
+
+    delete blocking[tabId];
+    await chrome.storage.session.set({ [TAB_BLOCKING_KEY]: blocking });
+    return true;
+  });
+
+  if (removed) {
+    await syncBlockingRules();
+  }
+}
+
+/**
+ * Drop tab-scoped blocking for tabs closed while the service worker was stopped,
+ * then regenerate the rules so they match the current provider library
+ * @returns {Promise<void>}
+ */
+async function refreshBlockingRules() {
+  await enqueueBlockingTask(async () => {
+    const [blocking, tabs] = await Promise.all([getTabBlocking(), chrome.tabs.query({})]);
+    const openTabIds = new Set(tabs.map(tab => String(tab.id)));
+    Object.keys(blocking).forEach(tabId => {
+      if (!openTabIds.has(tabId)) {
+        delete blocking[tabId];
+      }
+    });
+    await chrome.storage.session.set({ [TAB_BLOCKING_KEY]: blocking });
+  });
+
+  await syncBlockingRules();
+}
@@ -0,0 +1,135 @@
+// Confidence scoring for detected providers
+// Each kind of evidence has a weight: how likely it alone means the provider is
+// really on the page. Weights of the different kinds found are combined so that
+// independent evidence adds up (1 - product of (1 - weight)), and a provider can
+// override any weight with confidenceWeights in its definition.
+// Tiers follow product.md: High (90%+), Medium (70-89%), Low (<70%).
+
+const DEFAULT_EVIDENCE_WEIGHTS = {
+  domain: 0.9,
+  scriptPattern: 0.6,
+  urlPath: 0.4,
+  queryParam: 0.2,
+  signature: 0.6,
+  globalVariable: 0.8,
+  networkSwapCall: 0.7,
+  observedSwap: 0.8,
+  swapAfterRequest: 0.2,
+  swapAfterScriptLoad: 0.2
+};
+
+const EVIDENCE_LABELS = {
+  domain: 'Script from provider domain',
+  scriptPattern: 'Script URL pattern',
+  urlPath: 'Request path pattern',
+  queryParam: 'Query parameter',
+  signature: 'Inline script signature',
+  globalVariable: 'Global variable',
+  networkSwapCall: 'Provider API response with the swapped number',
+  observedSwap: 'Number swap by provider script',
+  swapAfterRequest: 'Provider request shortly before a swap',
+  swapAfterScriptLoad: 'Provider script loaded shortly before a swap'
+};
+
+const CONFIDENCE_TIERS = [
+  { tier: 'high', label: 'High', min: 0.9 },
+  { tier: 'medium', label: 'Medium', min: 0.7 },
+  { tier: 'low', label: 'Low', min: 0 }
+];
+
+// Swap attribution evidence (see findSwapProvider in content.js) that counts as confidence evidence
+// A swap attributed only because the provider was the only one detected adds nothing new;
+// timing alone (a request or script load just before the swap) counts for little
+const SWAP_EVIDENCE_TYPES = {
+  stackTrace: 'observedSwap',
+  apiResponse: 'networkSwapCall',
+  networkCall: 'swapAfterRequest',
+  scriptLoadOrder: 'swapAfterScriptLoad'
+};
+
+/**
+ * Get the tier for a confidence score
+ * @param {number} score - Confidence from 0 to 1
+ * @returns {Object} { tier, label }
+ */
+function getConfidenceTier(score) {
+  const { tier, label } = CONFIDENCE_TIERS.find(t => score >= t.min);
+  return { tier: tier, label: label };
+}
+
+/**
+ * Combine evidence into a confidence score
+ * Only the strongest evidence of each kind counts, so ten matching scripts
+ * aren't more convincing than one
+ * @param {Array<Object>} evidence - Evidence with type and weight
+ * @returns {number} Confidence from 0 to 1
+ */
+function combineEvidence(evidence) {
+  const strongestByType = new Map();
+  evidence.forEach(item => {
+    strongestByType.set(item.type, Math.max(strongestByType.get(item.type) || 0, item.weight));
+  });
+
+  const doubt = Array.from(strongestByType.values()).reduce((product, weight) => product * (1 - weight), 1);
+  return Math.round((1 - doubt) * 100) / 100;
+}
+
+/**
+ * Score how certain each detected provider is
+ * @param {Object} detection - Merged detection result
+ * @param {Array<Object>} providerLibrary - Providers, for per-provider weights
+ * @returns {Array<Object>} { providerId, provider, score, tier, label, evidence }, most certain first
+ */
+function scoreDetectionConfidence(detection, providerLibrary) {
+  const byProvider = new Map();
+
+  const addEvidence = (providerId, providerName, type, detail) => {
+    if (!providerId || !DEFAULT_EVIDENCE_WEIGHTS[type]) return;
+
+    if (!byProvider.has(providerId)) {
+      byProvider.set(providerId, { providerId: providerId, provider: providerName, evidence: [] });
+    }
+    const entry = byProvider.get(providerId);
+    if (entry.evidence.some(item => item.type === type && item.detail === detail)) return;
+
+    const definition = providerLibrary.find(p => p.id === providerId);
+    const weights = (definition && definition.confidenceWeights) || {};
+    entry.evidence.push({
+      type: type,
+      label: EVIDENCE_LABELS[type],
+      detail: detail,
+      weight: weights[type] !== undefined ? weights[type] : DEFAULT_EVIDENCE_WEIGHTS[type]
+    });
+  };
+
+  (detection.detectedTrackers || []).forEach(tracker => {
+    const detail = tracker.matchType === 'globalVariable' || tracker.matchType === 'signature'
+      ? tracker.matchedPattern
+      : `${tracker.scriptUrl} (${tracker.matchedPattern})`;
+    addEvidence(tracker.providerId, tracker.provider, tracker.matchType, detail);
+  });
+
+  (detection.swaps || []).forEach(swap => {
+    const swappedBy = swap.swappedBy;
+    if (!swappedBy) return;
+    const detail = `${swap.original} → ${swap.tracking}${swappedBy.url ? ` (${swappedBy.url})` : ''}`;
+    addEvidence(swappedBy.providerId, swappedBy.provider, SWAP_EVIDENCE_TYPES[swappedBy.evidence], detail);
+  });
+
+  return Array.from(byProvider.values())
+    .map(entry => {
+      const score = combineEvidence(entry.evidence);
+      return { ...entry, score: score, ...getConfidenceTier(score) };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_EVIDENCE_WEIGHTS,
+    CONFIDENCE_TIERS,
+    getConfidenceTier,
+    combineEvidence,
+    scoreDetectionConfidence
+  };
+}
@@ -19,10 +19,28 @@
   let originalNumbers = new Map(); // Store original numbers before any swaps
   let detectedTrackers = [];
   let currentNumbers = new Map();
+  let trackedElements = new WeakMap(); // Element -> original numbers it held, by kind
+  let swapRecords = new Map(); // Swaps attributed to a specific element
+  let swapElements = new Map(); // Swap record key -> element now showing the tracking number
+  let swapCalls = []; // Recent phone number writes reported by the page-context hook
+  let payloadCalls = []; // Recent fetch/XHR responses containing phone numbers, from injected-detector.js
+  let pageGlobals = []; // Globals the page gained after the hook was installed
+  let pageHtml = null; // The page's HTML as the server sent it, for the pre-swap baseline
+  let htmlBaseline = null; // Phone numbers in that HTML, before any script ran
   let providers = [];
+  let phoneRegion = DEFAULT_PHONE_REGION; // Default region for numbers without a country code
   let scanComplete = false;
   let contextInvalidated = false; // Flag to track if we've detected invalidation
 
+  const MAX_SWAP_CALLS = 50;
+  const MAX_PAYLOAD_CALLS = 50;
+  const HIGHLIGHT_DURATION_MS = 10000;
+  const MAX_BASELINE_HTML_LENGTH = 2000000;
+
+  // Child frames (embedded booking/chat widgets) report their own results,
+  // which are merged into the tab's detection and labeled by frame
+  const isTopFrame = window === window.top;
+
   // Listen for global variable detection results from injected script
   // Set this up EARLY before any injections happen
   document.addEventListener('trackingVariablesFound', (event) => {
@@ -42,6 +60,7 @@
           providerId: item.providerId,
           scriptUrl: 'global variable',
           globalVariable: item.variable,
+          globalInfo: item.info || {},
           matchType: 'globalVariable',
           matchedPattern: item.variable
         });
@@ -55,6 +74,56 @@
     });
   });
 
+  // Listen for phone number writes captured by the injected swap hook
+  document.addEventListener('trackingSwapCall', (event) => {
+    const { value, scriptUrls, time } = event.detail || {};
+
+    swapCalls.push({
+      numbers: extractNormalizedNumbers(value),
+      scriptUrls: scriptUrls || [],
+      time: time
+    });
+
+    // Keep only the most recent writes
+    if (swapCalls.length > MAX_SWAP_CALLS) {
+      swapCalls = swapCalls.slice(-MAX_SWAP_CALLS);
+    }
+  });
+
+  // Listen for fetch/XHR responses containing phone numbers
+  // Calls to a known provider's swap API are detections; others help discover unknown providers
+  document.addEventListener('trackingPayloadCall', (event) => {
+    const { url, method, status, value, scriptUrls, time } = event.detail || {};
+
+    const numbers = extractNormalizedNumbers(value);
+    if (numbers.length === 0) return;
+
+    const call = {
+      url: url,
+      method: method || 'GET',
+      status: status,
+      numbers: numbers,
+      ids: extractTrackingIds(url, value, providers.flatMap(provider => provider.queryParamPatterns)),
+      scriptUrls: scriptUrls || [],
+      time: time
+    };
+    payloadCalls.push(call);
+
+    if (payloadCalls.length > MAX_PAYLOAD_CALLS) {
+      payloadCalls = payloadCalls.slice(-MAX_PAYLOAD_CALLS);
+    }
+
+    // Providers may not be loaded yet; runDetection records earlier calls
+    if (providers.length > 0 && recordSwapApiCall(call) && isExtensionContextValid()) {
+      updateBadgeAndStorage();
+    }
+  });
+
+  // The hook answers a globals request synchronously with this event
+  document.addEventListener('trackingGlobalsListed', (event) => {
+    pageGlobals = (event.detail && event.detail.globals) || [];
+  });
+
   // Check if extension context is still valid
   function isExtensionContextValid() {
     try {
@@ -73,70 +142,53 @@
     }
   }
 
-  // Load provider library
+  // Load the enabled providers, bundled plus the user's edits
   async function loadProviders() {
     try {
       if (!isExtensionContextValid()) {
         console.log('[Call Tracker Detector] Extension context invalidated, skipping provider load');
         return;
       }
-      const response = await fetch(chrome.runtime.getURL('providers.json'));
-      const data = await response.json();
-      providers = data.providers || [];
+      providers = await getActiveProviders();
       console.log('[Call Tracker Detector] Loaded', providers.length, 'providers');
     } catch (error) {
       console.error('[Call Tracker Detector] Error loading providers:', error);
     }
   }
 
-  // Inject script into page context to check for global variables
-  function injectGlobalVariableDetector() {
-    const target = document.head || document.documentElement;
-    if (!target) return;
+  // Load the default phone region for this site
+  // Uses the region configured in the side panel, or guesses from the domain
+  async function loadPhoneRegion() {
+    try {
+      const { phoneRegions = {} } = await chrome.storage.local.get('phoneRegions');
+      const hostname = window.location.hostname;
+      phoneRegion = resolvePhoneRegion(phoneRegions[hostname] || guessPhoneRegion(hostname));
+      console.log('[Call Tracker Detector] Using phone region', phoneRegion);
+    } catch (error) {
+      console.error('[Call Tracker Detector] Error loading phone region:', error);
+    }
+  }
 
-    // Validate providers array exists
-    if (!providers || providers.length === 0) return;
+  // Extract valid phone numbers from text as unique E.164 keys
+  function extractNormalizedNumbers(text) {
+    const phones = extractPhoneNumbers(text, phoneRegion).filter(phone => isValidPhone(phone, phoneRegion));
+    return [...new Set(phones.map(phone => toE164(phone, phoneRegion)))];
+  }
 
-    // Create a script tag with data attribute containing vars to check
+  // Start (or restart) the page-context watcher in injected-detector.js for
+  // provider global variables; it reports each one when it appears
+  function startGlobalWatcher() {
     const varsToCheck = providers.flatMap(p =>
       (p.globalVariables || []).map(v => ({ provider: p.id, variable: v, name: p.name }))
     );
-    
-    // First inject a script tag with the data
-    const dataScript = document.createElement('script');
-    dataScript.dataset.trackerVars = JSON.stringify(varsToCheck);
-    dataScript.id = 'call-tracker-detector-data';
-    target.appendChild(dataScript);
-    
-    // Then inject the detector script that will read this data
-    const detectorScript = document.createElement('script');
-    detectorScript.src = chrome.runtime.getURL('injected-detector.js');
-    detectorScript.onerror = function(e) {
-      console.error('[Call Tracker Detector] Failed to load injected-detector.js:', e);
-    };
-    detectorScript.onload = function() {
-      // Don't remove immediately - give it time to execute
-      setTimeout(() => {
-        this.remove();
-        dataScript.remove();
-      }, 100);
-    };
-    
-    target.appendChild(detectorScript);
+    document.dispatchEvent(new CustomEvent('trackingWatchGlobals', {
+      detail: JSON.stringify(varsToCheck)
+    }));
   }
 
-  // Detect tracking scripts by checking global JavaScript variables
-  function detectGlobalVariables() {
-    // Inject script to check in page context
-    injectGlobalVariableDetector();
-    
-    // Schedule additional checks for scripts that load later
-    setTimeout(() => {
-      injectGlobalVariableDetector();
-    }, 3000);
-    
-    // Return empty for now - actual detection happens via event listener
-    return [];
+  // Stop the watcher, e.g. when the extension is reloaded and this script is orphaned
+  function stopGlobalWatcher() {
+    document.dispatchEvent(new CustomEvent('trackingStopGlobalWatch'));
   }
 
   // Detect tracking scripts in the page
@@ -167,24 +219,29 @@
       });
     });
 
-    // Also check inline scripts for signatures
+    // Also check inline scripts for signatures, once per provider
+    // Recorded even when a script already matched, as extra evidence for confidence
+    const inlineProviders = new Set();
     const inlineScripts = document.querySelectorAll('script:not([src])');
     inlineScripts.forEach(script => {
       const content = script.textContent.toLowerCase();
 
       providers.forEach(provider => {
-        const matchesSignature = provider.signatures.some(sig =>
+        const matchedSignature = provider.signatures.find(sig =>
           content.includes(sig.toLowerCase())
         );
 
-        if (matchesSignature && !detectedProviders.has(provider.id)) {
+        if (matchedSignature && !inlineProviders.has(provider.id)) {
+          inlineProviders.add(provider.id);
           detectedProviders.add(provider.id);
           detectedTrackers.push({
             provider: provider.name,
             providerId: provider.id,
             scriptUrl: 'inline script',
             element: script,
-            isInline: true
+            isInline: true,
+            matchType: 'signature',
+            matchedPattern: matchedSignature
           });
           console.log('[Call Tracker Detector] Found', provider.name, 'in inline script');
         }
@@ -194,20 +251,76 @@
     return Array.from(detectedProviders);
   }
 
+  // Find the provider whose swap API a reported call went to
+  function findSwapApiCallProvider(call) {
+    const detectedIds = [...new Set(detectedTrackers.map(t => t.providerId))];
+    return findSwapApiProvider(call.url, providers, detectedIds);
+  }
+
+  // Record a call to a known provider's swap API as a detection
+  // Returns true if it was new
+  function recordSwapApiCall(call) {
+    const match = findSwapApiCallProvider(call);
+    if (!match) return false;
+
+    const alreadyDetected = detectedTrackers.some(tracker =>
+      tracker.providerId === match.provider.id && tracker.isSwapApi && tracker.scriptUrl === call.url
+    );
+    if (alreadyDetected) return false;
+
+    detectedTrackers.push({
+      provider: match.provider.name,
+      providerId: match.provider.id,
+      scriptUrl: call.url,
+      isSwapApi: true,
+      matchType: match.matchType,
+      matchedPattern: match.matchedPattern
+    });
+    console.log('[Call Tracker Detector] Found', match.provider.name, 'swap API call:', call.url);
+    return true;
+  }
+
+  // Calls to known provider swap APIs, with the numbers and IDs they returned
+  function getSwapApiCalls() {
+    return payloadCalls
+      .map(call => ({ call, match: findSwapApiCallProvider(call) }))
+      .filter(({ match }) => match)
+      .map(({ call, match }) => ({
+        url: call.url,
+        method: call.method,
+        status: call.status,
+        provider: match.provider.name,
+        providerId: match.provider.id,
+        matchType: match.matchType,
+        matchedPattern: match.matchedPattern,
+        numbers: call.numbers.map(number => formatPhone(number, phoneRegion)),
+        normalizedNumbers: call.numbers,
+        ids: call.ids,
+        time: Math.round(call.time)
+      }));
+  }
+
   // Capture original phone numbers from the page
   function captureOriginalNumbers() {
     // Safety check: document.body may not exist yet at document_start
     if (!document.body) return;
 
-    const numbers = findPhoneNumbersInElement(document.body);
+    const numbers = findPageNumbers();
 
     numbers.forEach(numberInfo => {
+      trackElementNumber(numberInfo.element, getNumberKind(numberInfo), numberInfo.normalized);
+      if (numberInfo.attribute) {
+        watchAttribute(numberInfo.attribute);
+      }
+
       const key = numberInfo.normalized;
       if (!originalNumbers.has(key)) {
         originalNumbers.set(key, {
           ...numberInfo,
           foundAt: Date.now(),
-          locations: [getElementLocation(numberInfo.element)]
+          locations: [getElementLocation(numberInfo.element)],
+          sources: [numberInfo.sourceType],
+          htmlLines: getHtmlLines(key)
         });
       } else {
         // Add additional location
@@ -216,6 +329,9 @@
         if (!existing.locations.includes(location)) {
           existing.locations.push(location);
         }
+        if (!existing.sources.includes(numberInfo.sourceType)) {
+          existing.sources.push(numberInfo.sourceType);
+        }
       }
     });
 
@@ -228,7 +344,7 @@
     if (!document.body) return;
 
     currentNumbers.clear();
-    const numbers = findPhoneNumbersInElement(document.body);
+    const numbers = findPageNumbers();
 
     numbers.forEach(numberInfo => {
       const key = numberInfo.normalized;
@@ -236,51 +352,714 @@
         currentNumbers.set(key, {
           ...numberInfo,
           count: 1,
-          locations: [getElementLocation(numberInfo.element)]
+          locations: [getElementLocation(numberInfo.element)],
+          sources: [numberInfo.sourceType],
+          htmlLines: getHtmlLines(key)
         });
       } else {
-        currentNumbers.get(key).count++;
+        const existing = currentNumbers.get(key);
+        existing.count++;
         const location = getElementLocation(numberInfo.element);
-        if (!currentNumbers.get(key).locations.includes(location)) {
-          currentNumbers.get(key).locations.push(location);
+        if (!existing.locations.includes(location)) {
+          existing.locations.push(location);
+        }
+        if (!existing.sources.includes(numberInfo.sourceType)) {
+          existing.sources.push(numberInfo.sourceType);
         }
       }
     });
   }
 
-  // Detect number swaps by comparing original vs. current
-  function detectNumberSwaps() {
-    const swaps = [];
-    const currentNumberSet = new Set(currentNumbers.keys());
-    const originalNumberSet = new Set(originalNumbers.keys());
-
-    // Find numbers that disappeared (likely replaced)
-    originalNumberSet.forEach(origKey => {
-      if (!currentNumberSet.has(origKey)) {
-        // This number was swapped
-        const original = originalNumbers.get(origKey);
-
-        // Try to find the replacement (new numbers that appeared)
-        currentNumberSet.forEach(currKey => {
-          if (!originalNumberSet.has(currKey)) {
-            swaps.push({
-              original: original.formatted,
-              tracking: currentNumbers.get(currKey).formatted,
-              originalNormalized: origKey,
-              trackingNormalized: currKey,
-              locations: original.locations,
-              swappedAt: Date.now()
-            });
+  // Find phone numbers on the page: text, phone links and markup in the body,
+  // plus <meta> tags and JSON-LD in the <head>
+  function findPageNumbers() {
+    if (!document.body) return [];
+    const headNumbers = document.head ? findPhoneNumbersInMarkup(document.head, phoneRegion) : [];
+    return [...headNumbers, ...findPhoneNumbersInElement(document.body, phoneRegion)];
+  }
+
+  // Where an element holds a number: its text, a JSON-LD block or an attribute (e.g. href, data-phone)
+  function getNumberKind(numberInfo) {
+    if (numberInfo.attribute) return numberInfo.attribute;
+    return numberInfo.sourceType === 'jsonLd' ? 'jsonLd' : 'text';
+  }
+
+  // Source type of the numbers an element holds as the given kind
+  function getKindSourceType(element, kind) {
+    if (kind === 'text' || kind === 'jsonLd') return kind;
+    if (kind === 'href') {
+      const link = getPhoneLinkNumber(element.getAttribute('href'));
+      return link ? link.sourceType : 'telLink';
+    }
+    return getAttributeSourceType(element, kind);
+  }
+
+  // Remember which original number an element held, so a later mutation of
+  // that same element can be attributed as a precise original → tracking swap
+  function trackElementNumber(element, kind, normalized) {
+    if (!element) return;
+
+    let entry = trackedElements.get(element);
+    if (!entry) {
+      entry = {};
+      trackedElements.set(element, entry);
+    }
+    if (!entry[kind]) {
+      entry[kind] = [];
+    }
+    if (!entry[kind].includes(normalized)) {
+      entry[kind].push(normalized);
+    }
+  }
+
+  // Read the numbers an element currently holds as the given kind: its text,
+  // its phone link href, its JSON-LD telephone fields or another attribute
+  function readElementNumbers(element, kind) {
+    if (kind === 'href') {
+      const link = getPhoneLinkNumber(element.getAttribute('href'));
+      return link && isValidPhone(link.number, phoneRegion) ? [toE164(link.number, phoneRegion)] : [];
+    }
+    if (kind === 'jsonLd') {
+      return [...new Set(getJsonLdTelephones(element.textContent).flatMap(extractNormalizedNumbers))];
+    }
+    if (kind !== 'text') {
+      return extractNormalizedNumbers(element.getAttribute(kind) || '');
+    }
+
+    const ownText = Array.from(element.childNodes)
+      .filter(node => node.nodeType === Node.TEXT_NODE)
+      .map(node => node.textContent)
+      .join(' ');
+    const numbers = extractNormalizedNumbers(ownText);
+
+    // Some DNI scripts wrap the new number in a child element
+    return numbers.length > 0 ? numbers : extractNormalizedNumbers(element.textContent);
+  }
+
+  // Find elements with recorded originals inside a removed subtree
+  function findTrackedElements(node) {
+    if (!node || node.nodeType !== Node.ELEMENT_NODE) return [];
+    return [node, ...node.querySelectorAll('*')].filter(element => trackedElements.has(element));
+  }
+
+  // Find the provider a script or request URL belongs to (matchProviderForUrl in utils.js)
+  function findProviderForUrl(url) {
+    const match = matchProviderForUrl(url, providers);
+    return match ? match.provider : null;
+  }
+
+  // The most recent provider swap API call whose response contained a number
+  function findSwapApiCall(trackingKey) {
+    return getSwapApiCalls().reverse().find(call => call.normalizedNumbers.includes(trackingKey)) || null;
+  }
+
+  // Work out which provider performed a swap, strongest evidence first:
+  // 1. A provider script on the call stack that wrote the tracking number
+  // 2. A provider swap API call whose response contained the tracking number
+  // 3. A provider API call (XHR/fetch) that completed before the swap
+  // 4. The provider script that finished loading most recently before the swap
+  // 5. The only provider detected on the page
+  function findSwapProvider(trackingKey) {
+    const now = performance.now();
+
+    const call = swapCalls.slice().reverse().find(item => item.numbers.includes(trackingKey));
+    if (call) {
+      for (const scriptUrl of call.scriptUrls) {
+        const provider = findProviderForUrl(scriptUrl);
+        if (provider) {
+          return { provider: provider.name, providerId: provider.id, evidence: 'stackTrace', url: scriptUrl };
+        }
+      }
+    }
+
+    const apiCall = findSwapApiCall(trackingKey);
+    if (apiCall) {
+      return { provider: apiCall.provider, providerId: apiCall.providerId, evidence: 'apiResponse', url: apiCall.url };
+    }
+
+    const resources = performance.getEntriesByType('resource')
+      .filter(entry => entry.responseEnd > 0 && entry.responseEnd <= now)
+      .sort((a, b) => b.responseEnd - a.responseEnd);
+
+    const evidenceByType = [
+      { evidence: 'networkCall', initiatorTypes: ['xmlhttprequest', 'fetch', 'beacon'] },
+      { evidence: 'scriptLoadOrder', initiatorTypes: ['script'] }
+    ];
+
+    for (const { evidence, initiatorTypes } of evidenceByType) {
+      for (const entry of resources) {
+        if (!initiatorTypes.includes(entry.initiatorType)) continue;
+        const provider = findProviderForUrl(entry.name);
+        if (provider) {
+          return { provider: provider.name, providerId: provider.id, evidence: evidence, url: entry.name };
+        }
+      }
+    }
+
+    const detectedIds = [...new Set(detectedTrackers.map(t => t.providerId))];
+    if (detectedIds.length === 1) {
+      const tracker = detectedTrackers.find(t => t.providerId === detectedIds[0]);
+      return { provider: tracker.provider, providerId: tracker.providerId, evidence: 'onlyDetectedProvider', url: null };
+    }
+
+    return null;
+  }
+
+  // Script URLs on the stack when the tracking number was written, if the hook saw it
+  function findSwapCallerScripts(trackingKey) {
+    const call = swapCalls.slice().reverse().find(item => item.numbers.includes(trackingKey));
+    return call ? call.scriptUrls : [];
+  }
+
+  // Suggest provider definitions for swaps no known provider accounts for
+  // Evidence is a third-party script that wrote the tracking number, or a
+  // request that returned it and the script that made that request
+  function discoverUnknownProviders(swaps) {
+    const unexplained = swaps.filter(swap => !swap.swappedBy || swap.swappedBy.evidence === 'onlyDetectedProvider');
+    if (unexplained.length === 0) return [];
+
+    const pageSite = getSiteDomain(window.location.hostname);
+    const isUnknownThirdParty = url => {
+      const site = getUrlSiteDomain(url);
+      return !!site && site !== pageSite && !findProviderForUrl(url);
+    };
+
+    const evidence = [];
+    unexplained.forEach(swap => {
+      (swap.callerScripts || []).filter(isUnknownThirdParty).forEach(url => {
+        evidence.push({ url: url, type: 'wroteNumber', swap: swap });
+      });
+
+      payloadCalls
+        .filter(call => call.numbers.includes(swap.trackingNormalized))
+        .forEach(call => {
+          if (isUnknownThirdParty(call.url)) {
+            evidence.push({ url: call.url, type: 'returnedNumber', swap: swap });
           }
+          call.scriptUrls.filter(isUnknownThirdParty).forEach(url => {
+            evidence.push({ url: url, type: 'requestedNumber', swap: swap });
+          });
+        });
+    });
+    if (evidence.length === 0) return [];
+
+    document.dispatchEvent(new CustomEvent('trackingListGlobals'));
+    const resources = performance.getEntriesByType('resource');
+
+    return buildDiscoveryCandidates(evidence, {
+      pageUrl: window.location.href,
+      globals: pageGlobals,
+      scriptUrls: resources.filter(entry => entry.initiatorType === 'script').map(entry => entry.name),
+      requestUrls: resources
+        .filter(entry => entry.initiatorType === 'xmlhttprequest' || entry.initiatorType === 'fetch')
+        .map(entry => entry.name)
+    });
+  }
+
+  // Page load milestones in ms since navigation start (performance.timeOrigin)
+  // Milestones that haven't happened yet are null
+  function getPageTimings() {
+    const navigation = performance.getEntriesByType('navigation')[0];
+    const paints = performance.getEntriesByType('paint');
+    const paintTime = name => {
+      const entry = paints.find(p => p.name === name);
+      return entry ? Math.round(entry.startTime) : null;
+    };
+
+    return {
+      firstPaintMs: paintTime('first-paint'),
+      firstContentfulPaintMs: paintTime('first-contentful-paint'),
+      domContentLoadedMs: navigation && navigation.domContentLoadedEventEnd > 0
+        ? Math.round(navigation.domContentLoadedEventEnd) : null,
+      loadMs: navigation && navigation.loadEventEnd > 0
+        ? Math.round(navigation.loadEventEnd) : null
+    };
+  }
+
+  // When the swapping provider's script finished loading, from the resource timing API
+  function getProviderScriptLoadTime(providerId) {
+    if (!providerId) return null;
+
+    const entry = performance.getEntriesByType('resource').find(resource => {
+      if (resource.initiatorType !== 'script') return false;
+      const provider = findProviderForUrl(resource.name);
+      return provider && provider.id === providerId;
+    });
+    return entry ? Math.round(entry.responseEnd) : null;
+  }
+
+  // Timing of a swap relative to the page's load milestones
+  function buildSwapTiming(swap, pageTimings) {
+    const relative = milestone => (milestone === null ? null : swap.swapTime - milestone);
+
+    return {
+      swapMs: swap.swapTime,
+      ...pageTimings,
+      providerScriptLoadMs: getProviderScriptLoadTime(swap.swappedBy && swap.swappedBy.providerId),
+      sinceFirstPaintMs: relative(pageTimings.firstPaintMs),
+      sinceDomContentLoadedMs: relative(pageTimings.domContentLoadedMs),
+      sinceLoadMs: relative(pageTimings.loadMs),
+      // A swap after first paint means visitors briefly see the original number
+      visibleFlicker: pageTimings.firstPaintMs !== null && swap.swapTime > pageTimings.firstPaintMs
+    };
+  }
+
+  function getSwapKey(elementPath, kind, originalKey) {
+    return `${elementPath}|${kind}|${originalKey}`;
+  }
+
+  // Record a swap for one element
+  // foundBy is 'observer' for swaps seen happening, or 'htmlBaseline' for swaps
+  // made before the page was first scanned, found by comparing with the server's HTML
+  function recordSwap(element, kind, originalKey, trackingKey, foundBy = 'observer') {
+    const elementPath = getElementPath(element);
+    const original = originalNumbers.get(originalKey);
+
+    // Prefer the moment the hook saw the number written over the observer callback;
+    // a swap found from the HTML happened at some unknown point before the scan
+    const call = swapCalls.slice().reverse().find(item => item.numbers.includes(trackingKey));
+    let swapTime = null;
+    if (call) {
+      swapTime = Math.round(call.time);
+    } else if (foundBy === 'observer') {
+      swapTime = Math.round(performance.now());
+    }
+
+    const key = getSwapKey(elementPath, kind, originalKey);
+    swapElements.set(key, element);
+    swapRecords.set(key, {
+      original: original ? original.formatted : formatPhone(originalKey, phoneRegion),
+      tracking: formatPhone(trackingKey, phoneRegion),
+      originalNormalized: originalKey,
+      trackingNormalized: trackingKey,
+      locations: [getElementLocation(element)],
+      elementPath: elementPath,
+      sourceType: getKindSourceType(element, kind),
+      swappedBy: findSwapProvider(trackingKey),
+      apiCall: findSwapApiCall(trackingKey),
+      callerScripts: findSwapCallerScripts(trackingKey),
+      htmlLines: getHtmlLines(originalKey),
+      foundBy: foundBy,
+      swapTime: swapTime,
+      swappedAt: swapTime === null ? null : Math.round(performance.timeOrigin + swapTime)
+    });
+  }
+
+  // Pair the originals an element lost with the numbers it gained, in order
+  function pairSwaps(element, kind, before, after) {
+    const removed = before.filter(key => !after.includes(key));
+    const added = after.filter(key => !before.includes(key));
+    const count = Math.min(removed.length, added.length);
+
+    for (let i = 0; i < count; i++) {
+      recordSwap(element, kind, removed[i], added[i]);
+    }
+    return count;
+  }
+
+  // Collect the tracked elements touched by a single mutation
+  function collectSwapCandidates(mutation, changedElements, orphanedElements) {
+    if (mutation.type === 'characterData') {
+      const parent = mutation.target.parentElement;
+      if (parent && trackedElements.has(parent)) {
+        changedElements.add(parent);
+      }
+      return;
+    }
+
+    if (mutation.type === 'attributes') {
+      if (trackedElements.has(mutation.target)) {
+        changedElements.add(mutation.target);
+      }
+      return;
+    }
+
+    if (mutation.type === 'childList') {
+      if (trackedElements.has(mutation.target)) {
+        changedElements.add(mutation.target);
+      }
+      mutation.removedNodes.forEach(node => {
+        findTrackedElements(node).forEach(element => {
+          orphanedElements.push({ element, container: mutation.target });
+        });
+      });
+    }
+  }
+
+  // Attribute swaps to the elements that changed
+  // Returns the number of swaps recorded
+  function attributeSwaps(changedElements, orphanedElements) {
+    let recorded = 0;
+
+    changedElements.forEach(element => {
+      if (!element.isConnected) return;
+      const entry = trackedElements.get(element);
+
+      Object.keys(entry).forEach(kind => {
+        if (entry[kind].length > 0) {
+          recorded += pairSwaps(element, kind, entry[kind], readElementNumbers(element, kind));
+        }
+      });
+    });
+
+    // Elements replaced wholesale (e.g. innerHTML set on an ancestor): pair their
+    // originals with the new numbers that now occupy the same container
+    const byContainer = new Map();
+    orphanedElements.forEach(({ element, container }) => {
+      if (!byContainer.has(container)) {
+        byContainer.set(container, []);
+      }
+      byContainer.get(container).push(element);
+    });
+
+    byContainer.forEach((elements, container) => {
+      if (!container.isConnected || container.nodeType !== Node.ELEMENT_NODE) return;
+
+      const current = findPhoneNumbersInElement(container, phoneRegion);
+      const currentKeys = current.map(info => info.normalized);
+      const originals = [...new Set(elements.flatMap(element => {
+        return Object.values(trackedElements.get(element)).flat();
+      }))];
+
+      const removed = originals.filter(key => !currentKeys.includes(key));
+      const replacements = current.filter((info, index) =>
+        !originals.includes(info.normalized) && currentKeys.indexOf(info.normalized) === index
+      );
+      const count = Math.min(removed.length, replacements.length);
+
+      for (let i = 0; i < count; i++) {
+        const info = replacements[i];
+        const kind = getNumberKind(info);
+        recordSwap(info.element, kind, removed[i], info.normalized);
+
+        // The new element now stands in for the original one
+        trackElementNumber(info.element, kind, removed[i]);
+        recorded++;
+      }
+    });
+
+    return recorded;
+  }
+
+  // Get number swaps attributed to the elements that performed them,
+  // with timings measured against the page's load milestones
+  function detectNumberSwaps() {
+    const pageTimings = getPageTimings();
+    return Array.from(swapRecords.values()).map(swap => ({
+      ...swap,
+      timing: swap.swapTime === null ? null : buildSwapTiming(swap, pageTimings)
+    }));
+  }
+
+  // Read this page's HTML as the server sent it from the HTTP cache; scripts in it
+  // never run, so it holds the numbers from before any swap. Only the top frame
+  // reads it, and never over the network: a second request would reach the
+  // site's server on every page load. Without a cached copy there is no baseline.
+  async function fetchPageHtml() {
+    if (window !== window.top) return null;
+    if (!/^https?:$/.test(location.protocol) || document.contentType !== 'text/html') return null;
+
+    try {
+      const response = await fetch(location.href, { cache: 'only-if-cached', mode: 'same-origin' });
+      const type = response.headers.get('content-type') || '';
+      if (!response.ok || !type.includes('text/html')) return null;
+
+      const html = await response.text();
+      return html.length <= MAX_BASELINE_HTML_LENGTH ? html : null;
+    } catch (error) {
+      console.log('[Call Tracker Detector] Page HTML not in cache, no baseline:', error.message);
+      return null;
+    }
+  }
+
+  // Lines of the server's HTML where a number appears: null without a
+  // baseline, empty if the server never sent the number
+  function getHtmlLines(key) {
+    if (!htmlBaseline) return null;
+    return htmlBaseline.lines.get(key) || [];
+  }
+
+  // Find the numbers in the server's HTML and the elements holding them.
+  // DOMParser never runs scripts, so no DNI script can swap them.
+  function buildHtmlBaseline(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const occurrences = [
+      ...findPhoneNumbersInMarkup(doc.head, phoneRegion),
+      ...findPhoneNumbersInElement(doc.body, phoneRegion)
+    ].map(info => ({
+      normalized: info.normalized,
+      formatted: info.formatted,
+      kind: getNumberKind(info),
+      sourceType: info.sourceType,
+      elementPath: getElementPath(info.element),
+      location: getElementLocation(info.element)
+    }));
+
+    return {
+      occurrences: occurrences,
+      numbers: new Set(occurrences.map(occurrence => occurrence.normalized)),
+      lines: findHtmlNumberLines(html, phoneRegion)
+    };
+  }
+
+  // Compare the live page with the server's HTML. An element that held a number
+  // in the HTML but now shows a number the server never sent was swapped, even
+  // if the swap happened before captureOriginalNumbers() ran.
+  // Returns the number of swaps found
+  function applyHtmlBaseline() {
+    if (!pageHtml || !document.body) return 0;
+
+    htmlBaseline = buildHtmlBaseline(pageHtml);
+    let recorded = 0;
+
+    htmlBaseline.occurrences.forEach(occurrence => {
+      let element = null;
+      try {
+        element = document.querySelector(occurrence.elementPath);
+      } catch (e) {
+        return; // Not a valid selector in this document
+      }
+      if (!element) return;
+
+      const live = readElementNumbers(element, occurrence.kind);
+      if (live.includes(occurrence.normalized)) return;
+
+      // Skip elements that shifted, so the path now points at another number from the HTML
+      const trackingKey = live.find(key => !htmlBaseline.numbers.has(key));
+      if (!trackingKey) return;
+      if (swapRecords.has(getSwapKey(getElementPath(element), occurrence.kind, occurrence.normalized))) return;
+
+      // The number the first scan took as original was already the tracking number
+      const entry = trackedElements.get(element);
+      if (entry && entry[occurrence.kind]) {
+        entry[occurrence.kind] = entry[occurrence.kind].filter(key => key !== trackingKey);
+      }
+      trackElementNumber(element, occurrence.kind, occurrence.normalized);
+      originalNumbers.delete(trackingKey);
+      if (!originalNumbers.has(occurrence.normalized)) {
+        originalNumbers.set(occurrence.normalized, {
+          phone: occurrence.formatted,
+          formatted: occurrence.formatted,
+          normalized: occurrence.normalized,
+          sourceType: occurrence.sourceType,
+          foundAt: Date.now(),
+          locations: [occurrence.location],
+          sources: [occurrence.sourceType]
         });
       }
+
+      recordSwap(element, occurrence.kind, occurrence.normalized, trackingKey, 'htmlBaseline');
+      recorded++;
+    });
+
+    originalNumbers.forEach((info, key) => {
+      info.htmlLines = getHtmlLines(key);
+    });
+    currentNumbers.forEach((info, key) => {
+      info.htmlLines = getHtmlLines(key);
+    });
+
+    if (recorded > 0) {
+      console.log('[Call Tracker Detector] Found', recorded, 'swaps made before the first scan, from the page HTML');
+    }
+    return recorded;
+  }
+
+  // Whether an element is rendered; hidden mobile menus and collapsed sections aren't
+  function isElementVisible(element) {
+    if (typeof element.checkVisibility === 'function') {
+      return element.checkVisibility({ checkOpacity: true, checkVisibilityCSS: true });
+    }
+    return element.getClientRects().length > 0;
+  }
+
+  // Swap coverage: for each original number the DNI script swapped somewhere,
+  // every place it appears now and whether that place shows the tracking number.
+  // Numbers that were never swapped anywhere aren't DNI targets and aren't counted.
+  function buildCoverageReport() {
+    const swaps = Array.from(swapRecords.values());
+    const byOriginal = new Map();
+    const originalForTracking = new Map();
+
+    swaps.forEach(swap => {
+      if (!byOriginal.has(swap.originalNormalized)) {
+        byOriginal.set(swap.originalNormalized, {
+          original: swap.original,
+          originalNormalized: swap.originalNormalized,
+          trackingNumbers: [],
+          occurrences: []
+        });
+      }
+      const entry = byOriginal.get(swap.originalNormalized);
+      if (!entry.trackingNumbers.includes(swap.tracking)) {
+        entry.trackingNumbers.push(swap.tracking);
+      }
+      originalForTracking.set(swap.trackingNormalized, swap.originalNormalized);
+    });
+
+    const occurrences = findPageNumbers();
+    const untouched = new Map();
+
+    occurrences.forEach(info => {
+      const originalKey = byOriginal.has(info.normalized) ? info.normalized : originalForTracking.get(info.normalized);
+      if (!originalKey) {
+        untouched.set(info.normalized, info.formatted);
+        return;
+      }
+
+      byOriginal.get(originalKey).occurrences.push({
+        number: info.formatted,
+        swapped: info.normalized !== originalKey,
+        sourceType: info.sourceType,
+        visible: isElementVisible(info.element),
+        location: getElementLocation(info.element),
+        elementPath: getElementPath(info.element)
+      });
     });
 
-    return swaps;
+    // tel: links whose visible text shows a different number than the one they dial
+    const mismatches = occurrences
+      .filter(info => info.isTelLink)
+      .map(info => ({ info, textNumbers: extractNormalizedNumbers(info.element.textContent) }))
+      .filter(({ info, textNumbers }) => textNumbers.length > 0 && !textNumbers.includes(info.normalized))
+      .map(({ info, textNumbers }) => ({
+        hrefNumber: info.formatted,
+        textNumber: formatPhone(textNumbers[0], phoneRegion),
+        // Which side DNI updated, if either
+        swappedSide: originalForTracking.has(info.normalized) ? 'href'
+          : (originalForTracking.has(textNumbers[0]) ? 'text' : null),
+        location: getElementLocation(info.element),
+        elementPath: getElementPath(info.element)
+      }));
+
+    const numbers = Array.from(byOriginal.values()).map(entry => ({
+      ...entry,
+      swappedCount: entry.occurrences.filter(o => o.swapped).length,
+      unswappedCount: entry.occurrences.filter(o => !o.swapped).length
+    }));
+
+    return {
+      numbers: numbers,
+      mismatches: mismatches,
+      untouchedNumbers: Array.from(untouched.values()),
+      ...summarizeCoverage(numbers)
+    };
+  }
+
+  // Page-wide marking from the side panel: swapped elements in one color,
+  // phone numbers that were not swapped in another
+  let markAllNumbers = false;
+  let highlightTimer = null;
+
+  // Elements showing a swapped number, with labels like "(555) 123-4567 → (555) 987-6543"
+  function getSwappedElements() {
+    const items = [];
+    swapElements.forEach((element, key) => {
+      const swap = swapRecords.get(key);
+      if (swap && element.isConnected) {
+        items.push({ element, swap, kind: 'swapped', label: `${swap.original} → ${swap.tracking}` });
+      }
+    });
+    return items;
+  }
+
+  // Highlight every element showing one of the given numbers (E.164 keys),
+  // including elements whose original number was swapped away
+  function highlightNumbers(numbers) {
+    const swapped = getSwappedElements().filter(({ swap }) =>
+      numbers.includes(swap.originalNormalized) || numbers.includes(swap.trackingNormalized)
+    );
+    const swappedSet = new Set(swapped.map(item => item.element));
+
+    const current = findPageNumbers()
+      .filter(info => numbers.includes(info.normalized) && !swappedSet.has(info.element))
+      .map(info => ({ element: info.element, kind: 'match', label: info.formatted }));
+
+    const count = showHighlights([...swapped.map(item => ({ ...item, kind: 'match' })), ...current], true);
+
+    // Go back to the page-wide marks (or nothing) after a while
+    clearTimeout(highlightTimer);
+    highlightTimer = setTimeout(refreshPageHighlights, HIGHLIGHT_DURATION_MS);
+    return count;
+  }
+
+  // Mark swapped elements and numbers that were not swapped, or clear the marks
+  function refreshPageHighlights() {
+    clearTimeout(highlightTimer);
+    highlightTimer = null;
+    if (!markAllNumbers || !document.body) {
+      clearHighlights();
+      return 0;
+    }
+
+    const swapped = getSwappedElements();
+    const swappedSet = new Set(swapped.map(item => item.element));
+    const trackingKeys = new Set(swapped.map(({ swap }) => swap.trackingNormalized));
+
+    // Other elements showing a tracking number count as swapped too
+    // One mark per element, e.g. for a link with the number in its text and a data-* attribute
+    const others = findPageNumbers()
+      .filter((info, index, all) => !swappedSet.has(info.element) &&
+        all.findIndex(other => other.element === info.element) === index)
+      .map(info => trackingKeys.has(info.normalized)
+        ? { element: info.element, kind: 'swapped', label: `Tracking ${info.formatted}` }
+        : { element: info.element, kind: 'unswapped', label: `Not swapped: ${info.formatted}` });
+
+    return showHighlights([...swapped, ...others]);
   }
 
   // Set up DOM mutation observer
   let mutationObserver = null;
+  let observedRoots = new WeakSet(); // Document body and shadow roots being observed
+  let observedRootRefs = []; // The same roots, to update their attribute filter
+
+  // Attributes watched for swaps: phone link hrefs, the other phone attributes,
+  // and every data-* attribute that held a number when the originals were captured
+  const watchedAttributes = new Set(['href', ...Object.keys(PHONE_ATTRIBUTE_SOURCES)]);
+
+  function getObserverOptions() {
+    return {
+      childList: true,
+      subtree: true,
+      characterData: true,
+      characterDataOldValue: true,
+      attributes: true,
+      attributeFilter: Array.from(watchedAttributes)
+    };
+  }
+
+  // Observe a root (document body or shadow root) for number changes
+  // MutationObserver doesn't see into shadow roots, so each one is observed separately
+  function observeRoot(root) {
+    if (!mutationObserver || observedRoots.has(root)) return;
+
+    mutationObserver.observe(root, getObserverOptions());
+    observedRoots.add(root);
+    observedRootRefs.push(new WeakRef(root));
+  }
+
+  // Watch another attribute for swaps, e.g. a data-* attribute holding a number
+  // found on a rescan; roots already observed get the new filter
+  function watchAttribute(name) {
+    if (watchedAttributes.has(name)) return;
+
+    watchedAttributes.add(name);
+    if (!mutationObserver) return;
+
+    // Observing a root again replaces its options; roots since removed are dropped
+    const options = getObserverOptions();
+    observedRootRefs = observedRootRefs.filter(ref => {
+      const root = ref.deref();
+      if (root) mutationObserver.observe(root, options);
+      return !!root;
+    });
+  }
+
+  // Observe any open shadow roots inside a node
+  function observeShadowRoots(node) {
+    if (!node || (node.nodeType !== Node.ELEMENT_NODE && node.nodeType !== Node.DOCUMENT_FRAGMENT_NODE)) return;
+    getOpenShadowRoots(node).forEach(root => observeRoot(root));
+  }
 
   function observeDOMChanges() {
     // Safety check: document.body must exist to observe
@@ -295,6 +1074,7 @@
         // Check context validity first and disconnect if invalid
         if (!isExtensionContextValid()) {
           console.log('[Call Tracker Detector] Context invalid, disconnecting observer');
+          stopGlobalWatcher();
           if (mutationObserver) {
             mutationObserver.disconnect();
             mutationObserver = null;
@@ -303,6 +1083,8 @@
         }
 
         let hasPhoneChange = false;
+        const changedElements = new Set();
+        const orphanedElements = [];
 
         // Process mutations with additional try-catch for accessing mutation properties
         try {
@@ -319,19 +1101,27 @@
                 const target = mutation.target;
                 if (target && typeof target.textContent === 'string') {
                   const text = target.textContent || '';
-                  if (text.match(/\d{3}[-.\s]?\d{3}[-.\s]?\d{4}/)) {
+                  if (hasPhoneCandidate(text)) {
                     hasPhoneChange = true;
                   }
                 }
               }
 
-              // Check for attribute changes on tel: links
-              if (mutation.type === 'attributes' && mutation.attributeName === 'href') {
+              // Check for attribute changes that hold a number (phone links, data-*, meta, ...)
+              if (mutation.type === 'attributes') {
                 const element = mutation.target;
-                if (element && element.href && typeof element.href === 'string' && element.href.startsWith('tel:')) {
+                if (element && element.getAttribute && hasPhoneCandidate(element.getAttribute(mutation.attributeName))) {
                   hasPhoneChange = true;
                 }
               }
+
+              // Note which elements holding original numbers were touched
+              collectSwapCandidates(mutation, changedElements, orphanedElements);
+
+              // Web components added later bring their own shadow roots
+              if (mutation.type === 'childList') {
+                mutation.addedNodes.forEach(node => observeShadowRoots(node));
+              }
             } catch (mutationError) {
               // Silently ignore individual mutation errors to prevent observer crash
               // This can happen when extension context becomes invalid mid-processing
@@ -347,6 +1137,12 @@
           return;
         }
 
+        if (changedElements.size > 0 || orphanedElements.length > 0) {
+          if (attributeSwaps(changedElements, orphanedElements) > 0) {
+            hasPhoneChange = true;
+          }
+        }
+
         if (hasPhoneChange) {
           console.log('[Call Tracker Detector] Phone number changed in DOM');
           scanCurrentNumbers();
@@ -371,14 +1167,12 @@
     });
 
     if (mutationObserver && isExtensionContextValid()) {
-      mutationObserver.observe(document.body, {
-        childList: true,
-        subtree: true,
-        characterData: true,
-        characterDataOldValue: true,
-        attributes: true,
-        attributeFilter: ['href']
-      });
+      observeRoot(document.body);
+      observeShadowRoots(document.body);
+      // <meta> tags and JSON-LD in the head can be swapped too
+      if (document.head) {
+        observeRoot(document.head);
+      }
 
       console.log('[Call Tracker Detector] DOM observer active');
     } else {
@@ -405,21 +1199,31 @@
 
       const swaps = detectNumberSwaps();
 
+      // Page-wide marks follow the swaps as they happen, unless one number is highlighted
+      if (markAllNumbers && !highlightTimer) {
+        refreshPageHighlights();
+      }
+
       // Count unique providers instead of total detections
       const uniqueProviders = new Set(detectedTrackers.map(t => t.providerId));
       const providerCount = uniqueProviders.size;
 
       const results = {
         url: window.location.href,
+        isTopFrame: isTopFrame,
         detectedTrackers: detectedTrackers,
         originalNumbers: Array.from(originalNumbers.values()),
         currentNumbers: Array.from(currentNumbers.values()),
         swaps: swaps,
+        discoveries: discoverUnknownProviders(swaps),
+        swapApiCalls: getSwapApiCalls(),
+        coverage: buildCoverageReport(),
         uniqueProviderCount: providerCount,
+        scanComplete: scanComplete,
         timestamp: Date.now()
       };
 
-      // Send to background script
+      // Send to background script, which keeps results per tab and navigation
       try {
         chrome.runtime.sendMessage({
           action: 'updateDetection',
@@ -431,35 +1235,26 @@
       } catch (err) {
         console.log('[Call Tracker Detector] Error sending message:', err);
       }
-
-      // Store in chrome.storage for popup
-      try {
-        chrome.storage.local.set({
-          [`detection_${getTabId()}`]: results
-        }).catch(err => {
-          console.log('[Call Tracker Detector] Could not store results:', err);
-        });
-      } catch (err) {
-        console.log('[Call Tracker Detector] Error storing results:', err);
-      }
     }, 150); // 150ms debounce for better responsiveness
   }
 
-  // Get approximate tab ID (we'll use timestamp as fallback)
-  function getTabId() {
-    return window.location.href;
-  }
-
   // Initialize detection
   async function initialize() {
     console.log('[Call Tracker Detector] Initializing...');
 
-    // Load providers first
-    await loadProviders();
+    // Read the server's HTML from the cache alongside, to check the originals against
+    const htmlFetched = fetchPageHtml();
+
+    // Load providers and the site's phone region first
+    await Promise.all([loadProviders(), loadPhoneRegion()]);
 
     // Run initial detection
     runDetection();
 
+    // Watch for provider globals for as long as the page is open, including
+    // ones added later by tag managers or on user interaction
+    startGlobalWatcher();
+
     // Set up lifecycle-based rescans
     if (document.readyState === 'loading') {
       // Document still loading - wait for DOMContentLoaded
@@ -470,6 +1265,17 @@
     window.addEventListener('load', () => {
       setTimeout(() => runDetection(), 1000);
     });
+
+    // Once the DOM is parsed and the originals captured, compare them with the server's HTML
+    const domReady = document.readyState === 'loading'
+      ? new Promise(resolve => document.addEventListener('DOMContentLoaded', resolve, { once: true }))
+      : Promise.resolve();
+    Promise.all([htmlFetched, domReady]).then(([html]) => {
+      if (!html || !isExtensionContextValid()) return;
+      pageHtml = html;
+      applyHtmlBaseline();
+      updateBadgeAndStorage();
+    });
   }
 
   // Run the detection process
@@ -482,8 +1288,10 @@
     // Step 2: Detect tracking scripts in DOM
     const foundProviders = detectTrackingScripts();
 
-    // Step 3: Check for global variables
-    const globalVarProviders = detectGlobalVariables();
+    // Step 3: Global variables are reported by the watcher started in initialize()
+
+    // Swap API calls reported before providers loaded, or before a rescan
+    payloadCalls.forEach(call => recordSwapApiCall(call));
 
     // Step 4: Scan current numbers
     scanCurrentNumbers();
@@ -495,7 +1303,7 @@
     console.log('[Call Tracker Detector] Detection complete:', {
       uniqueProviders: uniqueProviders.size,
       scriptProviders: foundProviders.length,
-      globalVarProviders: globalVarProviders.length,
+      globalVarProviders: new Set(detectedTrackers.filter(t => t.matchType === 'globalVariable').map(t => t.providerId)).size,
       totalDetections: detectedTrackers.length,
       originalNumbers: originalNumbers.size,
       currentNumbers: currentNumbers.size,
@@ -510,6 +1318,9 @@
     // Step 6: Start monitoring for changes (only once)
     if (!mutationObserver) {
       observeDOMChanges();
+    } else {
+      // Pick up shadow roots attached since the last scan
+      observeShadowRoots(document.body);
     }
 
     scanComplete = true;
@@ -527,17 +1338,49 @@
             originalNumbers: Array.from(originalNumbers.values()),
             currentNumbers: Array.from(currentNumbers.values()),
             swaps: swaps,
+            discoveries: discoverUnknownProviders(swaps),
+            swapApiCalls: getSwapApiCalls(),
+            coverage: buildCoverageReport(),
             scanComplete: scanComplete
           });
           return true;
         }
 
+        if (request.action === 'highlightNumbers') {
+          sendResponse({ count: highlightNumbers(request.numbers || []) });
+          return true;
+        }
+
+        if (request.action === 'markAllNumbers') {
+          markAllNumbers = !!request.enabled;
+          sendResponse({ count: refreshPageHighlights() });
+          return true;
+        }
+
+        if (request.action === 'getLinks') {
+          // Links to follow in crawl mode
+          const links = Array.from(document.querySelectorAll('a[href]'))
+            .map(link => link.href)
+            .filter(href => href.startsWith('http'));
+          sendResponse({ links: [...new Set(links)] });
+          return true;
+        }
+
         if (request.action === 'rescan') {
-          originalNumbers.clear();
-          currentNumbers.clear();
-          detectedTrackers = [];
-          runDetection();
-          sendResponse({ success: true });
+          // Re-read the phone region in case it was changed in the side panel
+          loadPhoneRegion().then(() => {
+            originalNumbers.clear();
+            currentNumbers.clear();
+            trackedElements = new WeakMap();
+            swapRecords.clear();
+            swapElements.clear();
+            detectedTrackers = [];
+            runDetection();
+            // The region may have changed, so the baseline is rebuilt too
+            applyHtmlBaseline();
+            startGlobalWatcher();
+            sendResponse({ success: true });
+          });
           return true;
         }
       });
@@ -548,6 +1391,8 @@
 
   // Start initialization
   if (isExtensionContextValid()) {
+    // The page-context hooks (injected-swap-hook.js, injected-detector.js) are
+    // MAIN world content scripts listed before this one, so they already run
     initialize();
   } else {
     console.log('[Call Tracker Detector] Extension context invalid at startup, not initializing');
@@ -0,0 +1,346 @@
+// Site crawl mode for the background service worker
+// Visits same-origin pages in a background tab, lets content.js scan each one,
+// and collects the results into a site-wide report. Only one crawl runs at a time.
+// Depends on detection-store.js (getTabDetection) and background.js (detectionResults).
+
+const CRAWL_STATE_KEY = 'crawl_state';
+const CRAWL_PAGE_TIMEOUT_MS = 30000;
+const CRAWL_SCAN_TIMEOUT_MS = 10000;
+// Time after the scan completes for DNI scripts to swap numbers
+const CRAWL_SETTLE_MS = 4000;
+const MAX_CRAWL_PAGES = 200;
+const MAX_SITEMAP_FILES = 5;
+
+// File types that aren't pages
+const NON_PAGE_EXTENSIONS = /\.(pdf|jpe?g|png|gif|svg|webp|ico|zip|gz|mp3|mp4|mov|avi|docx?|xlsx?|pptx?|css|js|json|xml|txt)$/i;
+
+let activeCrawl = null;
+
+// Sleep helper
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Normalize a URL for crawling, or return null if it shouldn't be crawled
+ * @param {string} href - Link URL
+ * @param {string} origin - Origin of the site being crawled
+ * @returns {string|null} URL without its fragment
+ */
+function normalizeCrawlUrl(href, origin) {
+  try {
+    const url = new URL(href, origin);
+    if (url.origin !== origin) return null;
+    if (NON_PAGE_EXTENSIONS.test(url.pathname)) return null;
+    url.hash = '';
+    return url.href;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read page URLs from the site's sitemap.xml, following one level of sitemap index
+ * @param {string} origin - Origin of the site being crawled
+ * @returns {Promise<Array<string>>} Page URLs listed in the sitemap
+ */
+async function fetchSitemapUrls(origin) {
+  const readLocs = xml => Array.from(xml.matchAll(/<loc>\s*([^<]+?)\s*<\/loc>/gi))
+    .map(match => match[1].replace(/&amp;/g, '&'));
+
+  const fetchText = async (url) => {
+    const response = await fetch(url, { credentials: 'omit' });
+    return response.ok ? response.text() : '';
+  };
+
+  try {
+    const xml = await fetchText(`${origin}/sitemap.xml`);
+    if (!/<sitemapindex/i.test(xml)) {
+      return readLocs(xml);
+    }
+
+    // Sitemap index: read the first few child sitemaps
+    const urls = [];
+    for (const sitemapUrl of readLocs(xml).slice(0, MAX_SITEMAP_FILES)) {
+      urls.push(...readLocs(await fetchText(sitemapUrl)));
+    }
+    return urls;
+  } catch (error) {
+    console.log('[Crawler] No usable sitemap for', origin, error.message);
+    return [];
+  }
+}
+
+// Wait for a tab to finish loading; resolves false on timeout
+// Call it before starting the navigation, so a page that loads fast isn't missed
+function waitForTabComplete(tabId, timeoutMs) {
+  return new Promise(resolve => {
+    const timer = setTimeout(() => {
+      chrome.tabs.onUpdated.removeListener(listener);
+      resolve(false);
+    }, timeoutMs);
+
+    function listener(updatedTabId, changeInfo) {
+      if (updatedTabId === tabId && changeInfo.status === 'complete') {
+        clearTimeout(timer);
+        chrome.tabs.onUpdated.removeListener(listener);
+        resolve(true);
+      }
+    }
+
+    chrome.tabs.onUpdated.addListener(listener);
+  });
+}
+
+// Wait for content.js to report a completed scan of the tab's current page
+async function waitForScan(tabId, pageUrl) {
+  const deadline = Date.now() + CRAWL_SCAN_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    const detection = await getTabDetection(tabId);
+    if (detection && detection.scanComplete && detection.url === pageUrl) {
+      return true;
+    }
+    await delay(500);
+  }
+  return false;
+}
+
+// Summarize one crawled page for the report
+function summarizeCrawlPage(url, depth, detection, networkProviders) {
+  const providerNames = new Set(networkProviders);
+  const originalKeys = new Set();
+  const trackingKeys = new Set();
+
+  if (detection) {
+    detection.detectedTrackers.forEach(tracker => providerNames.add(tracker.provider));
+    detection.originalNumbers.forEach(num => originalKeys.add(num.normalized));
+    detection.currentNumbers
+      .filter(num => !originalKeys.has(num.normalized))
+      .forEach(num => trackingKeys.add(num.normalized));
+  }
+
+  const swaps = detection ? detection.swaps.map(swap => ({
+    original: swap.original,
+    tracking: swap.tracking,
+    swappedBy: swap.swappedBy ? swap.swappedBy.provider : null
+  })) : [];
+
+  const providers = Array.from(providerNames);
+  return {
+    url: url,
+    depth: depth,
+    status: detection ? 'scanned' : 'noResults',
+    providers: providers,
+    originalNumberCount: originalKeys.size,
+    trackingNumberCount: trackingKeys.size,
+    swaps: swaps,
+    // A provider is present and numbers are on the page, but nothing was swapped
+    swapFailed: providers.length > 0 && originalKeys.size > 0 && swaps.length === 0,
+    scannedAt: Date.now()
+  };
+}
+
+// Public view of the crawl state, without the working queue
+function describeCrawl(crawl) {
+  if (!crawl) return null;
+
+  const { queue, seen, tabId, ...state } = crawl;
+  return {
+    ...state,
+    queued: queue.length
+  };
+}
+
+// Persist the crawl state and tell the side panel about the progress
+async function publishCrawl(crawl) {
+  const state = describeCrawl(crawl);
+  await chrome.storage.session.set({ [CRAWL_STATE_KEY]: state });
+  chrome.runtime.sendMessage({ action: 'crawlProgress', crawl: state }).catch(() => {
+    // Side panel may not be open, ignore error
+  });
+}
+
+// Visit one page in the crawl tab and record its results
+async function crawlPage(crawl, item) {
+  crawl.currentUrl = item.url;
+  await publishCrawl(crawl);
+
+  const pageLoaded = waitForTabComplete(crawl.tabId, CRAWL_PAGE_TIMEOUT_MS);
+  await chrome.tabs.update(crawl.tabId, { url: item.url });
+  const loaded = await pageLoaded;
+  if (crawl.status !== 'running') return;
+
+  // Redirects can land on a different URL than the one requested
+  const tab = await chrome.tabs.get(crawl.tabId);
+  const pageUrl = tab.url;
+  const redirected = normalizeCrawlUrl(pageUrl, crawl.origin);
+  if (redirected && redirected !== item.url) {
+    if (crawl.seen.has(redirected)) return;
+    crawl.seen.add(redirected);
+  }
+
+  const scanned = await waitForScan(crawl.tabId, pageUrl);
+  await delay(CRAWL_SETTLE_MS);
+  if (crawl.status !== 'running') return;
+
+  const detection = scanned ? await getTabDetection(crawl.tabId) : null;
+  const networkData = detectionResults.get(crawl.tabId);
+  const page = summarizeCrawlPage(pageUrl, item.depth, detection,
+    networkData ? Array.from(networkData.providers) : []);
+  if (!loaded) {
+    page.status = 'timeout';
+  }
+  crawl.pages.push(page);
+
+  // Queue links from this page for the next depth
+  if (item.depth < crawl.maxDepth) {
+    try {
+      const response = await chrome.tabs.sendMessage(crawl.tabId, { action: 'getLinks' }, { frameId: 0 });
+      (response?.links || []).forEach(href => {
+        const url = normalizeCrawlUrl(href, crawl.origin);
+        if (url && !crawl.seen.has(url)) {
+          crawl.seen.add(url);
+          crawl.queue.push({ url: url, depth: item.depth + 1 });
+        }
+      });
+    } catch (error) {
+      console.log('[Crawler] Could not read links from', pageUrl, error.message);
+    }
+  }
+}
+
+// Work through the crawl queue until it's empty, the page limit is hit, or the crawl is cancelled
+async function runCrawl(crawl) {
+  try {
+    while (crawl.status === 'running' && crawl.queue.length > 0 && crawl.pages.length < crawl.maxPages) {
+      const item = crawl.queue.shift();
+      try {
+        await crawlPage(crawl, item);
+      } catch (error) {
+        // Errors after a cancel come from the crawl tab going away
+        if (crawl.status !== 'running') break;
+
+        console.error('[Crawler] Error crawling', item.url, error);
+        crawl.pages.push({
+          url: item.url,
+          depth: item.depth,
+          status: 'error',
+          error: error.message,
+          providers: [],
+          originalNumberCount: 0,
+          trackingNumberCount: 0,
+          swaps: [],
+          swapFailed: false,
+          scannedAt: Date.now()
+        });
+      }
+      await publishCrawl(crawl);
+    }
+
+    if (crawl.status === 'running') {
+      crawl.status = 'complete';
+    }
+  } finally {
+    crawl.currentUrl = null;
+    crawl.finishedAt = Date.now();
+    chrome.tabs.remove(crawl.tabId).catch(() => {
+      // Tab may already be closed
+    });
+    await publishCrawl(crawl);
+    console.log('[Crawler] Crawl', crawl.status, '-', crawl.pages.length, 'pages');
+  }
+}
+
+/**
+ * Start crawling a site from a URL
+ * @param {Object} options - Crawl options
+ * @param {string} options.startUrl - First page to visit; only pages on its origin are crawled
+ * @param {number} options.maxPages - Maximum number of pages to visit
+ * @param {number} options.maxDepth - Maximum number of link hops from the start page
+ * @param {boolean} options.useSitemap - Also queue pages listed in sitemap.xml
+ * @returns {Promise<Object>} Initial crawl state
+ */
+async function startCrawl({ startUrl, maxPages = 20, maxDepth = 2, useSitemap = true }) {
+  if (activeCrawl && activeCrawl.status === 'running') {
+    throw new Error('A crawl is already running');
+  }
+
+  const origin = new URL(startUrl).origin;
+  const firstUrl = normalizeCrawlUrl(startUrl, origin);
+  if (!firstUrl) {
+    throw new Error('Start URL can\'t be crawled');
+  }
+
+  const crawl = {
+    startUrl: firstUrl,
+    origin: origin,
+    maxPages: Math.min(Math.max(1, maxPages), MAX_CRAWL_PAGES),
+    maxDepth: Math.max(0, maxDepth),
+    status: 'running',
+    startedAt: Date.now(),
+    finishedAt: null,
+    currentUrl: null,
+    pages: [],
+    queue: [{ url: firstUrl, depth: 0 }],
+    seen: new Set([firstUrl]),
+    tabId: null
+  };
+
+  if (useSitemap) {
+    (await fetchSitemapUrls(origin)).forEach(href => {
+      const url = normalizeCrawlUrl(href, origin);
+      if (url && !crawl.seen.has(url)) {
+        crawl.seen.add(url);
+        crawl.queue.push({ url: url, depth: 1 });
+      }
+    });
+  }
+
+  const tab = await chrome.tabs.create({ url: 'about:blank', active: false });
+  crawl.tabId = tab.id;
+  activeCrawl = crawl;
+
+  runCrawl(crawl).catch(error => {
+    console.error('[Crawler] Crawl failed:', error);
+  });
+  return describeCrawl(crawl);
+}
+
+/**
+ * Stop the running crawl; pages already scanned are kept
+ * @returns {Promise<Object|null>} Crawl state
+ */
+async function cancelCrawl() {
+  if (activeCrawl && activeCrawl.status === 'running') {
+    activeCrawl.status = 'cancelled';
+    await publishCrawl(activeCrawl);
+  }
+  return describeCrawl(activeCrawl);
+}
+
+/**
+ * Get the state of the current or last crawl
+ * A crawl that was running when the service worker stopped is reported as interrupted
+ * @returns {Promise<Object|null>} Crawl state
+ */
+async function getCrawlState() {
+  if (activeCrawl) return describeCrawl(activeCrawl);
+
+  const result = await chrome.storage.session.get(CRAWL_STATE_KEY);
+  const state = result[CRAWL_STATE_KEY] || null;
+  if (state && state.status === 'running') {
+    state.status = 'interrupted';
+    state.currentUrl = null;
+  }
+  return state;
+}
+
+/**
+ * Handle a tab being closed; closing the crawl tab cancels the crawl
+ * @param {number} tabId - Closed tab ID
+ */
+function handleCrawlTabRemoved(tabId) {
+  if (activeCrawl && activeCrawl.tabId === tabId && activeCrawl.status === 'running') {
+    activeCrawl.status = 'cancelled';
+  }
+}
@@ -0,0 +1,313 @@
+// Per-tab detection store for the background service worker
+// Results are kept per tab and per navigation (document) and persisted in
+// chrome.storage.session, so they survive service worker restarts but are
+// dropped when the browser closes. Closed tabs are evicted and the number of
+// stored tabs is bounded.
+// Depends on confidence.js (scoreDetectionConfidence), utils.js (summarizeCoverage)
+// and background.js (providers).
+
+const TAB_KEY_PREFIX = 'tab_';
+const MAX_STORED_TABS = 50;
+const MAX_ITEMS_PER_LIST = 200;
+
+// Serialize store writes so updates from several frames don't overwrite each other
+let storeQueue = Promise.resolve();
+
+function enqueueStoreTask(task) {
+  const result = storeQueue.then(task);
+  storeQueue = result.catch(error => {
+    console.error('[Detection Store] Store task failed:', error);
+  });
+  return result;
+}
+
+function getTabKey(tabId) {
+  return `${TAB_KEY_PREFIX}${tabId}`;
+}
+
+// Drop DOM references and bound list sizes before persisting
+function trimDetection(data) {
+  const trimList = (list) => (list || []).slice(0, MAX_ITEMS_PER_LIST).map(item => {
+    const { element, ...rest } = item;
+    return rest;
+  });
+
+  return {
+    ...data,
+    detectedTrackers: trimList(data.detectedTrackers),
+    originalNumbers: trimList(data.originalNumbers),
+    currentNumbers: trimList(data.currentNumbers),
+    swaps: trimList(data.swaps),
+    discoveries: trimList(data.discoveries),
+    swapApiCalls: trimList(data.swapApiCalls),
+    // Counts are already totalled, so only the lists are bounded
+    coverage: data.coverage ? {
+      ...data.coverage,
+      numbers: data.coverage.numbers.slice(0, MAX_ITEMS_PER_LIST).map(entry => ({
+        ...entry,
+        occurrences: entry.occurrences.slice(0, MAX_ITEMS_PER_LIST)
+      })),
+      mismatches: data.coverage.mismatches.slice(0, MAX_ITEMS_PER_LIST)
+    } : null
+  };
+}
+
+/**
+ * Get the stored entry for a tab
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<Object|null>} Entry with navigation info and per-frame results
+ */
+async function getTabEntry(tabId) {
+  const key = getTabKey(tabId);
+  const result = await chrome.storage.session.get(key);
+  return result[key] || null;
+}
+
+/**
+ * Note that a tab's top frame started loading a page
+ * Child frames that report before the new top document does are held back
+ * until it reports, so the new navigation doesn't drop them
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<void>}
+ */
+function startTabNavigation(tabId) {
+  return enqueueStoreTask(async () => {
+    const entry = await getTabEntry(tabId);
+    if (!entry || !entry.navigationId) return;
+
+    entry.awaitingTopFrame = true;
+    entry.pendingFrames = {};
+    await chrome.storage.session.set({ [getTabKey(tabId)]: entry });
+  });
+}
+
+/**
+ * Save the latest results reported by one frame of a tab
+ * A new document in the top frame starts a new navigation and drops the
+ * previous navigation's results, including its child frames; child frames
+ * that reported since the tab started loading it are kept
+ * @param {number} tabId - Tab ID
+ * @param {number} frameId - Frame ID (0 for the top frame)
+ * @param {string} documentId - ID of the document that reported the results
+ * @param {Object} data - Detection results from the content script
+ * @returns {Promise<Object>} Updated entry
+ */
+function saveFrameDetection(tabId, frameId, documentId, data) {
+  return enqueueStoreTask(async () => {
+    let entry = await getTabEntry(tabId);
+    const navigationId = documentId || data.url;
+    const frame = {
+      frameId: frameId,
+      documentId: documentId || null,
+      url: data.url,
+      data: trimDetection(data),
+      updatedAt: Date.now()
+    };
+
+    if (frameId !== 0 && entry && entry.awaitingTopFrame) {
+      entry.pendingFrames[frameId] = frame;
+      entry.updatedAt = Date.now();
+      await chrome.storage.session.set({ [getTabKey(tabId)]: entry });
+      return entry;
+    }
+
+    const pendingFrames = (entry && entry.pendingFrames) || {};
+    if (!entry || (frameId === 0 && entry.navigationId !== navigationId)) {
+      entry = {
+        tabId: tabId,
+        navigationId: frameId === 0 ? navigationId : null,
+        url: frameId === 0 ? data.url : null,
+        frames: {},
+        createdAt: Date.now()
+      };
+    } else if (frameId === 0 && !entry.navigationId) {
+      // A child frame reported before the top frame did
+      entry.navigationId = navigationId;
+      entry.url = data.url;
+    }
+
+    if (frameId === 0) {
+      Object.assign(entry.frames, pendingFrames);
+      delete entry.awaitingTopFrame;
+      delete entry.pendingFrames;
+    }
+
+    entry.frames[frameId] = frame;
+    entry.updatedAt = Date.now();
+
+    await chrome.storage.session.set({ [getTabKey(tabId)]: entry });
+    await enforceStoreLimit();
+    return entry;
+  });
+}
+
+/**
+ * Remove a tab's stored results
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<void>}
+ */
+function removeTabEntry(tabId) {
+  return enqueueStoreTask(() => chrome.storage.session.remove(getTabKey(tabId)));
+}
+
+// Keep only the most recently updated tabs
+async function enforceStoreLimit() {
+  const all = await chrome.storage.session.get(null);
+  const entries = Object.entries(all).filter(([key]) => key.startsWith(TAB_KEY_PREFIX));
+  if (entries.length <= MAX_STORED_TABS) return;
+
+  const staleKeys = entries
+    .sort(([, a], [, b]) => (b.updatedAt || 0) - (a.updatedAt || 0))
+    .slice(MAX_STORED_TABS)
+    .map(([key]) => key);
+  await chrome.storage.session.remove(staleKeys);
+}
+
+/**
+ * Remove stored results for tabs that no longer exist
+ * Tab close events are missed while the service worker is stopped
+ * @returns {Promise<void>}
+ */
+function pruneClosedTabs() {
+  return enqueueStoreTask(async () => {
+    const [all, tabs] = await Promise.all([
+      chrome.storage.session.get(null),
+      chrome.tabs.query({})
+    ]);
+    const openKeys = new Set(tabs.map(tab => getTabKey(tab.id)));
+    const closedKeys = Object.keys(all).filter(key => key.startsWith(TAB_KEY_PREFIX) && !openKeys.has(key));
+    if (closedKeys.length > 0) {
+      await chrome.storage.session.remove(closedKeys);
+    }
+  });
+}
+
+/**
+ * Remove per-URL results written to chrome.storage.local by older versions
+ * @returns {Promise<void>}
+ */
+async function removeLegacyDetections() {
+  const all = await chrome.storage.local.get(null);
+  const legacyKeys = Object.keys(all).filter(key => key.startsWith('detection_'));
+  if (legacyKeys.length > 0) {
+    await chrome.storage.local.remove(legacyKeys);
+    console.log('[Detection Store] Removed', legacyKeys.length, 'legacy detection entries');
+  }
+}
+
+// Describe a child frame for labels, e.g. "iframe: booking.example.com/widget"
+function describeFrame(url) {
+  try {
+    const urlObj = new URL(url);
+    return `iframe: ${urlObj.hostname}${urlObj.pathname === '/' ? '' : urlObj.pathname}`;
+  } catch {
+    return `iframe: ${url}`;
+  }
+}
+
+/**
+ * Merge a tab's per-frame results into a single detection result
+ * Numbers and swaps from child frames are labeled with their frame, and each
+ * provider gets a confidence score from the evidence across all frames
+ * @param {Object} entry - Stored tab entry
+ * @returns {Object|null} Merged detection result, or null without an entry; until the
+ *   top frame reports it holds only child frames' results and scanComplete is false
+ */
+function mergeTabDetection(entry) {
+  if (!entry) return null;
+
+  const topFrame = entry.frames[0];
+  const merged = {
+    url: entry.url,
+    navigationId: entry.navigationId,
+    detectedTrackers: [],
+    originalNumbers: [],
+    currentNumbers: [],
+    swaps: [],
+    discoveries: [],
+    swapApiCalls: [],
+    scanComplete: topFrame ? !!topFrame.data.scanComplete : false,
+    frameCount: Object.keys(entry.frames).length,
+    timestamp: entry.updatedAt
+  };
+
+  Object.values(entry.frames)
+    .sort((a, b) => a.frameId - b.frameId)
+    .forEach(({ frameId, url, data }) => {
+      if (frameId === 0) {
+        merged.detectedTrackers.push(...data.detectedTrackers);
+        merged.originalNumbers.push(...data.originalNumbers);
+        merged.currentNumbers.push(...data.currentNumbers);
+        merged.swaps.push(...data.swaps);
+        merged.discoveries.push(...(data.discoveries || []));
+        merged.swapApiCalls.push(...(data.swapApiCalls || []));
+        return;
+      }
+
+      const frameLabel = describeFrame(url);
+      const labelItem = item => ({
+        ...item,
+        frame: frameLabel,
+        locations: (item.locations || []).map(location => `${location} (${frameLabel})`)
+      });
+
+      merged.detectedTrackers.push(...data.detectedTrackers.map(tracker => ({ ...tracker, frame: frameLabel })));
+      merged.originalNumbers.push(...data.originalNumbers.map(labelItem));
+      merged.currentNumbers.push(...data.currentNumbers.map(labelItem));
+      merged.swaps.push(...data.swaps.map(labelItem));
+      merged.discoveries.push(...(data.discoveries || []).map(candidate => ({ ...candidate, frame: frameLabel })));
+      merged.swapApiCalls.push(...(data.swapApiCalls || []).map(call => ({ ...call, frame: frameLabel })));
+    });
+
+  merged.coverage = mergeCoverage(entry);
+  merged.uniqueProviderCount = new Set(merged.detectedTrackers.map(t => t.providerId)).size;
+  merged.confidence = scoreDetectionConfidence(merged, providers);
+  return merged;
+}
+
+/**
+ * Combine the swap coverage reported by each frame into one page figure
+ * @param {Object} entry - Stored tab entry
+ * @returns {Object} Coverage with numbers, mismatches, untouched numbers and totals
+ */
+function mergeCoverage(entry) {
+  const numbers = [];
+  const mismatches = [];
+  const untouched = new Set();
+
+  Object.values(entry.frames)
+    .sort((a, b) => a.frameId - b.frameId)
+    .forEach(({ frameId, url, data }) => {
+      if (!data.coverage) return;
+      const frame = frameId === 0 ? null : describeFrame(url);
+      const label = item => (frame ? { ...item, frame: frame } : item);
+
+      numbers.push(...data.coverage.numbers.map(label));
+      mismatches.push(...data.coverage.mismatches.map(label));
+      data.coverage.untouchedNumbers.forEach(number => untouched.add(number));
+    });
+
+  return {
+    numbers: numbers,
+    mismatches: mismatches,
+    untouchedNumbers: Array.from(untouched),
+    ...summarizeCoverage(numbers)
+  };
+}
+
+/**
+ * Get the merged detection result for a tab
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<Object|null>} Merged detection result
+ */
+async function getTabDetection(tabId) {
+  return mergeTabDetection(await getTabEntry(tabId));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    startTabNavigation,
+    saveFrameDetection,
+    getTabEntry
+  };
+}
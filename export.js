@@ -0,0 +1,501 @@
+// Export helpers for the side panel
+// Serializes a tab's detection results to JSON, CSV and a printable HTML report,
+// and builds the site-wide report for a crawl
+
+// How each place a phone number can be found is described
+const PHONE_SOURCE_LABELS = {
+  text: 'Text',
+  telLink: 'tel: link',
+  smsLink: 'sms: link',
+  calltoLink: 'callto: link',
+  jsonLd: 'JSON-LD telephone',
+  meta: 'Meta tag',
+  dataAttribute: 'data-* attribute',
+  ariaLabel: 'aria-label',
+  imgAlt: 'Image alt text'
+};
+
+/**
+ * Describe where a phone number was found
+ * @param {string} sourceType - Source type from the content script, e.g. 'jsonLd'
+ * @returns {string} Label, e.g. "JSON-LD telephone"
+ */
+function describePhoneSource(sourceType) {
+  return PHONE_SOURCE_LABELS[sourceType] || PHONE_SOURCE_LABELS.text;
+}
+
+/**
+ * Build the export object shared by every format
+ * @param {Object} detection - Merged detection result for a tab
+ * @returns {Object} Export data
+ */
+function buildExportData(detection) {
+  const trackers = detection.detectedTrackers.map(tracker => ({
+    provider: tracker.provider,
+    providerId: tracker.providerId,
+    scriptUrl: tracker.scriptUrl,
+    matchType: tracker.matchType,
+    matchedPattern: tracker.matchedPattern,
+    globalInfo: tracker.globalInfo || null,
+    frame: tracker.frame || null
+  }));
+
+  const toNumber = num => ({
+    number: num.formatted,
+    normalized: num.normalized,
+    locations: num.locations || [],
+    sources: num.sources || [],
+    htmlLines: num.htmlLines || null,
+    frame: num.frame || null
+  });
+
+  const swaps = detection.swaps.map(swap => ({
+    original: swap.original,
+    tracking: swap.tracking,
+    originalNormalized: swap.originalNormalized,
+    trackingNormalized: swap.trackingNormalized,
+    swappedBy: swap.swappedBy || null,
+    apiCall: swap.apiCall || null,
+    timing: swap.timing || null,
+    locations: swap.locations || [],
+    elementPath: swap.elementPath || null,
+    sourceType: swap.sourceType || null,
+    htmlLines: swap.htmlLines || null,
+    foundBy: swap.foundBy || null,
+    frame: swap.frame || null
+  }));
+
+  return {
+    url: detection.url,
+    exportedAt: new Date().toISOString(),
+    scannedAt: detection.timestamp ? new Date(detection.timestamp).toISOString() : null,
+    extensionVersion: chrome.runtime.getManifest().version,
+    summary: {
+      providers: [...new Set(trackers.map(t => t.provider))],
+      trackerCount: trackers.length,
+      numberCount: collectExportNumbers(detection).length,
+      swapCount: swaps.length,
+      scanComplete: !!detection.scanComplete
+    },
+    trackers: trackers,
+    confidence: (detection.confidence || []).map(entry => ({
+      provider: entry.provider,
+      providerId: entry.providerId,
+      score: entry.score,
+      tier: entry.tier,
+      evidence: entry.evidence
+    })),
+    originalNumbers: detection.originalNumbers.map(toNumber),
+    currentNumbers: detection.currentNumbers.map(toNumber),
+    swaps: swaps,
+    swapApiCalls: (detection.swapApiCalls || []).map(call => ({
+      provider: call.provider,
+      providerId: call.providerId,
+      method: call.method,
+      url: call.url,
+      status: call.status,
+      matchType: call.matchType,
+      matchedPattern: call.matchedPattern,
+      numbers: call.numbers,
+      ids: call.ids,
+      frame: call.frame || null
+    })),
+    coverage: detection.coverage || null,
+    discoveries: (detection.discoveries || []).map(candidate => ({
+      site: candidate.site,
+      evidence: candidate.evidence,
+      swaps: candidate.swaps,
+      definition: candidate.definition,
+      frame: candidate.frame || null
+    }))
+  };
+}
+
+/**
+ * List every unique number on the page with its type and swap details
+ * Locations of the same number found in several places are merged
+ * @param {Object} detection - Merged detection result for a tab
+ * @returns {Array} One entry per number
+ */
+function collectExportNumbers(detection) {
+  const numbers = new Map();
+
+  const addNumber = (num, type) => {
+    const existing = numbers.get(num.normalized);
+    if (existing) {
+      existing.locations = [...new Set([...existing.locations, ...(num.locations || [])])];
+      existing.sources = [...new Set([...existing.sources, ...(num.sources || [])])];
+      existing.htmlLines = existing.htmlLines || num.htmlLines || null;
+      return;
+    }
+    numbers.set(num.normalized, {
+      number: num.formatted,
+      normalized: num.normalized,
+      type: type,
+      locations: num.locations || [],
+      sources: num.sources || [],
+      htmlLines: num.htmlLines || null,
+      swappedTo: [],
+      swappedFrom: [],
+      swappedBy: []
+    });
+  };
+
+  detection.originalNumbers.forEach(num => addNumber(num, 'original'));
+  detection.currentNumbers.forEach(num => addNumber(num, 'tracking'));
+
+  detection.swaps.forEach(swap => {
+    const provider = swap.swappedBy ? swap.swappedBy.provider : null;
+    const original = numbers.get(swap.originalNormalized);
+    const tracking = numbers.get(swap.trackingNormalized);
+
+    if (original && !original.swappedTo.includes(swap.tracking)) {
+      original.swappedTo.push(swap.tracking);
+    }
+    if (tracking && !tracking.swappedFrom.includes(swap.original)) {
+      tracking.swappedFrom.push(swap.original);
+    }
+    [original, tracking].forEach(entry => {
+      if (entry && provider && !entry.swappedBy.includes(provider)) {
+        entry.swappedBy.push(provider);
+      }
+    });
+  });
+
+  return Array.from(numbers.values());
+}
+
+/**
+ * Serialize results as pretty-printed JSON
+ * @param {Object} detection - Merged detection result for a tab
+ * @returns {string} JSON text
+ */
+function buildExportJson(detection) {
+  return JSON.stringify(buildExportData(detection), null, 2);
+}
+
+// Quote a CSV cell, and stop page-controlled text from being read as a spreadsheet formula
+function toCsvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?\d[\d\s().-]*$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize results as a flat CSV with one row per phone number
+ * @param {Object} detection - Merged detection result for a tab
+ * @returns {string} CSV text
+ */
+function buildExportCsv(detection) {
+  const header = ['Page URL', 'Number', 'E.164', 'Type', 'Swapped To', 'Swapped From', 'Swapped By', 'Locations', 'Found In', 'HTML Lines'];
+  const rows = collectExportNumbers(detection).map(num => [
+    detection.url,
+    num.number,
+    num.normalized,
+    num.type,
+    num.swappedTo.join('; '),
+    num.swappedFrom.join('; '),
+    num.swappedBy.join('; '),
+    num.locations.join('; '),
+    num.sources.map(describePhoneSource).join('; '),
+    num.htmlLines ? (num.htmlLines.length > 0 ? num.htmlLines.join('; ') : 'Not in HTML') : ''
+  ]);
+
+  return [header, ...rows]
+    .map(row => row.map(toCsvCell).join(','))
+    .join('\r\n');
+}
+
+// Shared styles for the printable reports
+const REPORT_STYLES = `
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #333; margin: 32px; font-size: 13px; }
+h1 { font-size: 22px; margin-bottom: 4px; }
+h2 { font-size: 16px; margin: 28px 0 10px; padding-bottom: 4px; border-bottom: 2px solid #667eea; }
+.meta { color: #666; margin-bottom: 20px; }
+.meta a { color: #667eea; word-break: break-all; }
+.summary { display: flex; gap: 12px; flex-wrap: wrap; }
+.summary div { background: #f8f9fa; border: 1px solid #e0e0e0; border-radius: 6px; padding: 10px 14px; }
+.summary strong { display: block; font-size: 18px; color: #667eea; }
+table { width: 100%; border-collapse: collapse; }
+th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e0e0e0; vertical-align: top; word-break: break-word; }
+th { background: #f8f9fa; font-weight: 600; }
+.empty { color: #999; font-style: italic; }
+.footer { margin-top: 32px; color: #999; font-size: 11px; }
+@media print {
+  body { margin: 0; }
+  h2 { page-break-after: avoid; }
+  tr { page-break-inside: avoid; }
+}
+`;
+
+// Escape text for the HTML report (no DOM needed)
+function escapeReportHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Build an HTML table, or an empty-state paragraph when there are no rows
+function buildReportTable(headers, rows, emptyText) {
+  if (rows.length === 0) {
+    return `<p class="empty">${escapeReportHtml(emptyText)}</p>`;
+  }
+
+  const head = headers.map(h => `<th>${escapeReportHtml(h)}</th>`).join('');
+  const body = rows
+    .map(row => `<tr>${row.map(cell => `<td>${escapeReportHtml(cell)}</td>`).join('')}</tr>`)
+    .join('');
+  return `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+}
+
+/**
+ * Build a self-contained, printable HTML audit report
+ * @param {Object} detection - Merged detection result for a tab
+ * @returns {string} HTML document
+ */
+function buildExportReport(detection) {
+  const data = buildExportData(detection);
+  const numbers = collectExportNumbers(detection);
+  const generated = new Date(data.exportedAt).toLocaleString();
+
+  let site = data.url;
+  try {
+    site = new URL(data.url).hostname;
+  } catch {
+    // Keep the full URL
+  }
+
+  const trackerRows = data.trackers.map(t => [
+    t.provider,
+    t.scriptUrl,
+    t.matchType,
+    t.matchedPattern,
+    t.frame || 'Main page'
+  ]);
+
+  const numberRows = numbers.map(num => [
+    num.number,
+    num.type === 'original' ? 'Original' : 'Tracking',
+    num.type === 'original' ? num.swappedTo.join(', ') : num.swappedFrom.join(', '),
+    num.swappedBy.join(', '),
+    num.locations.join(', '),
+    num.sources.map(describePhoneSource).join(', '),
+    num.htmlLines ? (num.htmlLines.length > 0 ? num.htmlLines.join(', ') : 'Not in HTML') : ''
+  ]);
+
+  const swapRows = data.swaps.map(swap => [
+    swap.original,
+    swap.tracking,
+    swap.swappedBy ? swap.swappedBy.provider : 'Unknown',
+    swap.timing ? `${Math.round(swap.timing.swapMs)}ms${swap.timing.visibleFlicker ? ' (after first paint)' : ''}`
+      : (swap.foundBy === 'htmlBaseline' ? 'Before first scan' : ''),
+    swap.elementPath ? `${describePhoneSource(swap.sourceType)}: ${swap.elementPath}` : '',
+    swap.locations.join(', ')
+  ]);
+
+  const apiCallRows = data.swapApiCalls.map(call => [
+    call.provider,
+    `${call.method} ${call.url}`,
+    call.numbers.join(', '),
+    Object.entries(call.ids).map(([name, value]) => `${name}: ${value}`).join(', ')
+  ]);
+
+  const coverage = data.coverage || { numbers: [], mismatches: [], percent: null };
+  const coverageRows = coverage.numbers.flatMap(entry => entry.occurrences
+    .filter(occurrence => !occurrence.swapped)
+    .map(occurrence => [
+      entry.original,
+      entry.trackingNumbers.join(', '),
+      describePhoneSource(occurrence.sourceType),
+      [occurrence.location, occurrence.visible ? '' : 'hidden', occurrence.frame || ''].filter(Boolean).join(', '),
+      occurrence.elementPath
+    ]));
+  coverage.mismatches.forEach(mismatch => {
+    coverageRows.push([
+      mismatch.hrefNumber,
+      mismatch.textNumber,
+      'tel: link text/href mismatch',
+      [mismatch.location, mismatch.frame || ''].filter(Boolean).join(', '),
+      mismatch.elementPath
+    ]);
+  });
+
+  const providerSummary = data.summary.providers.length > 0
+    ? data.summary.providers.map(provider => {
+      const confidence = data.confidence.find(entry => entry.provider === provider);
+      return confidence ? `${provider} (${confidence.tier} confidence)` : provider;
+    }).join(', ')
+    : 'None detected';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Call Tracking Audit - ${escapeReportHtml(site)}</title>
+  <style>${REPORT_STYLES}</style>
+</head>
+<body>
+  <h1>Call Tracking Audit: ${escapeReportHtml(site)}</h1>
+  <div class="meta">
+    Page: <a href="${escapeReportHtml(data.url)}">${escapeReportHtml(data.url)}</a><br>
+    Generated: ${escapeReportHtml(generated)}${data.summary.scanComplete ? '' : ' (scan still in progress)'}
+  </div>
+
+  <div class="summary">
+    <div><strong>${escapeReportHtml(providerSummary)}</strong>Call tracking providers</div>
+    <div><strong>${numbers.length}</strong>Phone numbers</div>
+    <div><strong>${data.swaps.length}</strong>Number swaps</div>
+    <div><strong>${coverage.percent === null ? '–' : `${coverage.percent}%`}</strong>Swap coverage</div>
+  </div>
+
+  <h2>Detected Trackers</h2>
+  ${buildReportTable(['Provider', 'Source', 'Match Type', 'Matched Pattern', 'Frame'], trackerRows, 'No tracking scripts detected')}
+
+  <h2>Phone Numbers</h2>
+  ${buildReportTable(['Number', 'Type', 'Swapped With', 'Swapped By', 'Locations', 'Found In', 'HTML Lines'], numberRows, 'No phone numbers found')}
+
+  <h2>Number Swaps</h2>
+  ${buildReportTable(['Original', 'Tracking', 'Swapped By', 'Swap Time', 'Element', 'Locations'], swapRows, 'No number swaps detected')}
+
+  <h2>Swap API Calls</h2>
+  ${buildReportTable(['Provider', 'Request', 'Numbers Returned', 'Pool/Session IDs'], apiCallRows, 'No provider swap API calls seen')}
+
+  <h2>Swap Coverage Gaps</h2>
+  ${buildReportTable(['Original', 'Tracking', 'Where', 'Location', 'Element'], coverageRows, 'Every place showing a swapped number shows the tracking number')}
+
+  <div class="footer">Call Tracking Detector v${escapeReportHtml(data.extensionVersion)}</div>
+</body>
+</html>
+`;
+}
+
+/**
+ * Build a download file name for a page, e.g. "call-tracking-example.com-2024-05-01-1430.csv"
+ * @param {string} url - Page URL
+ * @param {string} extension - File extension without the dot
+ * @param {string} prefix - Start of the file name
+ * @returns {string} File name
+ */
+function buildExportFilename(url, extension, prefix = 'call-tracking') {
+  let site = 'page';
+  try {
+    site = new URL(url).hostname.replace(/[^a-z0-9.-]/gi, '_');
+  } catch {
+    // Keep the generic name
+  }
+
+  const now = new Date();
+  const pad = n => String(n).padStart(2, '0');
+  const stamp = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}-${pad(now.getHours())}${pad(now.getMinutes())}`;
+  return `${prefix}-${site}-${stamp}.${extension}`;
+}
+
+/**
+ * Save text as a downloaded file
+ * @param {string} content - File contents
+ * @param {string} filename - File name
+ * @param {string} mimeType - MIME type
+ */
+function downloadExport(content, filename, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the download a moment to start before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Build a self-contained, printable HTML report for a site crawl
+ * @param {Object} crawl - Crawl state with per-page results
+ * @returns {string} HTML document
+ */
+function buildCrawlReport(crawl) {
+  const generated = new Date().toLocaleString();
+  const pages = crawl.pages;
+
+  let site = crawl.startUrl;
+  try {
+    site = new URL(crawl.startUrl).hostname;
+  } catch {
+    // Keep the full URL
+  }
+
+  // Pages each provider was found on
+  const providerPages = new Map();
+  pages.forEach(page => {
+    page.providers.forEach(provider => {
+      providerPages.set(provider, (providerPages.get(provider) || 0) + 1);
+    });
+  });
+
+  const providerRows = Array.from(providerPages.entries())
+    .sort((a, b) => b[1] - a[1])
+    .map(([provider, count]) => [provider, `${count} of ${pages.length}`]);
+
+  const pageStatus = page => {
+    if (page.status === 'error') return `Error: ${page.error}`;
+    if (page.status === 'timeout') return 'Load timed out';
+    if (page.status === 'noResults') return 'Not scanned';
+    if (page.swapFailed) return 'Not swapping';
+    if (page.providers.length === 0) return 'No tracking';
+    return 'OK';
+  };
+
+  const pageRows = pages.map(page => [
+    page.url,
+    page.providers.join(', '),
+    page.originalNumberCount,
+    page.swaps.map(swap => `${swap.original} → ${swap.tracking}`).join(', '),
+    pageStatus(page)
+  ]);
+
+  const failedRows = pages
+    .filter(page => page.swapFailed)
+    .map(page => [page.url, page.providers.join(', '), page.originalNumberCount]);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Call Tracking Site Audit - ${escapeReportHtml(site)}</title>
+  <style>${REPORT_STYLES}</style>
+</head>
+<body>
+  <h1>Call Tracking Site Audit: ${escapeReportHtml(site)}</h1>
+  <div class="meta">
+    Start page: <a href="${escapeReportHtml(crawl.startUrl)}">${escapeReportHtml(crawl.startUrl)}</a><br>
+    Generated: ${escapeReportHtml(generated)}${crawl.status === 'complete' ? '' : ` (crawl ${escapeReportHtml(crawl.status)})`}
+  </div>
+
+  <div class="summary">
+    <div><strong>${pages.length}</strong>Pages scanned</div>
+    <div><strong>${pages.filter(page => page.providers.length > 0).length}</strong>Pages with call tracking</div>
+    <div><strong>${failedRows.length}</strong>Pages not swapping</div>
+  </div>
+
+  <h2>Providers</h2>
+  ${buildReportTable(['Provider', 'Pages'], providerRows, 'No call tracking providers found')}
+
+  <h2>Pages Not Swapping</h2>
+  ${buildReportTable(['Page', 'Providers', 'Numbers'], failedRows, 'Every page with a provider swapped its numbers')}
+
+  <h2>All Pages</h2>
+  ${buildReportTable(['Page', 'Providers', 'Numbers', 'Swaps', 'Status'], pageRows, 'No pages scanned')}
+
+  <div class="footer">Call Tracking Detector v${escapeReportHtml(chrome.runtime.getManifest().version)}</div>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,145 @@
+// On-page highlighting of phone numbers for the content script
+// Outlines are drawn in an overlay inside a closed shadow root, so the page's
+// styles can't change them and the page's own elements are never modified.
+
+const HIGHLIGHT_HOST_ID = 'call-tracker-detector-highlights';
+
+// Colors by kind: the number clicked in the side panel, swapped elements and
+// phone numbers that were not swapped
+const HIGHLIGHT_COLORS = {
+  match: '#667eea',
+  swapped: '#2e7d32',
+  unswapped: '#f57c00'
+};
+
+const HIGHLIGHT_STYLES = `
+  .box {
+    position: absolute;
+    border: 2px solid;
+    border-radius: 3px;
+    box-sizing: border-box;
+    pointer-events: none;
+  }
+  .label {
+    position: absolute;
+    left: -2px;
+    bottom: 100%;
+    margin-bottom: 2px;
+    padding: 1px 5px;
+    border-radius: 3px;
+    color: white;
+    font: 600 11px/16px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    white-space: nowrap;
+  }
+`;
+
+let highlightHost = null;
+let highlightRoot = null;
+let highlightItems = [];
+let highlightFrame = null;
+let highlightResizeObserver = null;
+
+// Create the overlay host the first time it's needed
+function ensureHighlightHost() {
+  if (highlightHost && highlightHost.isConnected) return;
+
+  highlightHost = document.createElement('div');
+  highlightHost.id = HIGHLIGHT_HOST_ID;
+  highlightHost.style.cssText = 'position: absolute; top: 0; left: 0; width: 0; height: 0; z-index: 2147483647; pointer-events: none;';
+  highlightRoot = highlightHost.attachShadow({ mode: 'closed' });
+  // Outside <body>, so the content script's mutation observer doesn't see it
+  document.documentElement.appendChild(highlightHost);
+
+  window.addEventListener('scroll', scheduleHighlightUpdate, { capture: true, passive: true });
+  window.addEventListener('resize', scheduleHighlightUpdate, { passive: true });
+  // Layout changes (e.g. a menu opening) move the highlighted elements
+  if (document.body) {
+    highlightResizeObserver = new ResizeObserver(scheduleHighlightUpdate);
+    highlightResizeObserver.observe(document.body);
+  }
+}
+
+// Reposition the outlines on the next frame, e.g. after scrolling or layout changes
+function scheduleHighlightUpdate() {
+  if (highlightFrame) return;
+  highlightFrame = requestAnimationFrame(() => {
+    highlightFrame = null;
+    renderHighlights();
+  });
+}
+
+// Draw an outline for every highlighted element that is still on the page
+function renderHighlights() {
+  if (!highlightRoot) return;
+
+  const boxes = highlightItems
+    .filter(item => item.element.isConnected)
+    .map(item => {
+      const rect = item.element.getBoundingClientRect();
+      if (rect.width === 0 && rect.height === 0) return '';
+
+      const color = HIGHLIGHT_COLORS[item.kind] || HIGHLIGHT_COLORS.match;
+      const style = [
+        `top: ${rect.top + window.scrollY - 3}px`,
+        `left: ${rect.left + window.scrollX - 3}px`,
+        `width: ${rect.width + 6}px`,
+        `height: ${rect.height + 6}px`,
+        `border-color: ${color}`
+      ].join('; ');
+      const label = item.label
+        ? `<div class="label" style="background: ${color}">${escapeHighlightText(item.label)}</div>`
+        : '';
+      return `<div class="box" style="${style}">${label}</div>`;
+    });
+
+  highlightRoot.innerHTML = `<style>${HIGHLIGHT_STYLES}</style>${boxes.join('')}`;
+}
+
+/**
+ * Outline elements on the page, replacing any current highlights
+ * @param {Array<Object>} items - { element, kind ('match', 'swapped' or 'unswapped'), label }
+ * @param {boolean} scrollToFirst - Scroll the first element into view
+ * @returns {number} Number of elements highlighted
+ */
+function showHighlights(items, scrollToFirst = false) {
+  highlightItems = items.filter(item => item.element && item.element.isConnected);
+  if (highlightItems.length === 0) {
+    clearHighlights();
+    return 0;
+  }
+
+  ensureHighlightHost();
+  if (scrollToFirst) {
+    highlightItems[0].element.scrollIntoView({ block: 'center', behavior: 'smooth' });
+  }
+  renderHighlights();
+  return highlightItems.length;
+}
+
+/**
+ * Remove all highlights and the overlay
+ */
+function clearHighlights() {
+  highlightItems = [];
+  if (highlightFrame) {
+    cancelAnimationFrame(highlightFrame);
+    highlightFrame = null;
+  }
+  if (highlightHost) {
+    highlightHost.remove();
+    highlightHost = null;
+    highlightRoot = null;
+  }
+  if (highlightResizeObserver) {
+    highlightResizeObserver.disconnect();
+    highlightResizeObserver = null;
+  }
+  window.removeEventListener('scroll', scheduleHighlightUpdate, { capture: true });
+  window.removeEventListener('resize', scheduleHighlightUpdate);
+}
+
+function escapeHighlightText(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
@@ -0,0 +1,219 @@
+// Scan history for the background service worker
+// Every completed scan is kept per domain in IndexedDB, so changes to a
+// site's tracking numbers and providers can be reviewed over time
+
+const HISTORY_DB_NAME = 'callTrackingHistory';
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = 'scans';
+const MAX_SCANS_PER_DOMAIN = 200;
+
+let historyDbPromise = null;
+
+// Wrap an IndexedDB request in a promise
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Resolve when a transaction has committed
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+function openHistoryDb() {
+  if (!historyDbPromise) {
+    historyDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        // One record per navigation, listed per domain in time order
+        const store = request.result.createObjectStore(HISTORY_STORE, { keyPath: 'navigationId' });
+        store.createIndex('domainTime', ['domain', 'timestamp']);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        historyDbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return historyDbPromise;
+}
+
+// Key range covering every scan of a domain
+function domainRange(domain) {
+  return IDBKeyRange.bound([domain, 0], [domain, Infinity]);
+}
+
+/**
+ * Reduce a merged tab detection to what history needs to keep
+ * @param {Object} detection - Merged detection result from the detection store
+ * @returns {Object|null} Scan summary, or null if the URL can't be recorded
+ */
+function summarizeScan(detection) {
+  let domain;
+  try {
+    const url = new URL(detection.url);
+    if (!url.protocol.startsWith('http')) return null;
+    domain = url.hostname;
+  } catch {
+    return null;
+  }
+
+  const providers = [];
+  detection.detectedTrackers.forEach(tracker => {
+    if (!providers.some(p => p.id === tracker.providerId)) {
+      providers.push({ id: tracker.providerId, name: tracker.provider });
+    }
+  });
+
+  const originalKeys = new Set(detection.originalNumbers.map(num => num.normalized));
+  const uniqueNumbers = (numbers) => {
+    const seen = new Map();
+    numbers.forEach(num => {
+      if (!seen.has(num.normalized)) {
+        seen.set(num.normalized, { number: num.formatted, normalized: num.normalized });
+      }
+    });
+    return Array.from(seen.values());
+  };
+
+  return {
+    navigationId: detection.navigationId,
+    domain: domain,
+    url: detection.url,
+    providers: providers,
+    originalNumbers: uniqueNumbers(detection.originalNumbers),
+    trackingNumbers: uniqueNumbers(detection.currentNumbers.filter(num => !originalKeys.has(num.normalized))),
+    swaps: detection.swaps.map(swap => ({
+      original: swap.original,
+      tracking: swap.tracking,
+      originalNormalized: swap.originalNormalized,
+      trackingNormalized: swap.trackingNormalized,
+      swappedBy: swap.swappedBy ? swap.swappedBy.provider : null
+    }))
+  };
+}
+
+/**
+ * Record a completed scan, replacing earlier results for the same navigation
+ * Scans with no providers and no numbers are not recorded
+ * @param {Object} detection - Merged detection result from the detection store
+ * @returns {Promise<boolean>} True if the scan was recorded
+ */
+async function recordScan(detection) {
+  if (!detection || !detection.scanComplete || !detection.navigationId) return false;
+
+  const scan = summarizeScan(detection);
+  if (!scan || (scan.providers.length === 0 && scan.originalNumbers.length === 0 && scan.trackingNumbers.length === 0)) {
+    return false;
+  }
+
+  const db = await openHistoryDb();
+  const transaction = db.transaction(HISTORY_STORE, 'readwrite');
+  const store = transaction.objectStore(HISTORY_STORE);
+
+  // Keep the time of the first scan of this navigation
+  const existing = await requestToPromise(store.get(scan.navigationId));
+  store.put({
+    ...scan,
+    timestamp: existing ? existing.timestamp : Date.now(),
+    updatedAt: Date.now()
+  });
+
+  // Drop the oldest scans once a domain has too many
+  const count = await requestToPromise(store.index('domainTime').count(domainRange(scan.domain)));
+  if (count > MAX_SCANS_PER_DOMAIN) {
+    const keys = await requestToPromise(
+      store.index('domainTime').getAllKeys(domainRange(scan.domain), count - MAX_SCANS_PER_DOMAIN)
+    );
+    keys.forEach(key => store.delete(key));
+  }
+
+  await transactionDone(transaction);
+  return true;
+}
+
+/**
+ * Compare two scans of the same domain
+ * @param {Object} previous - Earlier scan
+ * @param {Object} current - Later scan
+ * @returns {Object} Differences between the scans
+ */
+function diffScans(previous, current) {
+  const providerIds = scan => new Set(scan.providers.map(p => p.id));
+  const swapsByOriginal = scan => new Map(scan.swaps.map(swap => [swap.originalNormalized, swap]));
+
+  const previousProviders = providerIds(previous);
+  const currentProviders = providerIds(current);
+  const previousSwaps = swapsByOriginal(previous);
+  const currentSwaps = swapsByOriginal(current);
+
+  const diff = {
+    newProviders: current.providers.filter(p => !previousProviders.has(p.id)),
+    lostProviders: previous.providers.filter(p => !currentProviders.has(p.id)),
+    newSwaps: current.swaps.filter(swap => !previousSwaps.has(swap.originalNormalized)),
+    lostSwaps: previous.swaps.filter(swap => !currentSwaps.has(swap.originalNormalized)),
+    changedTrackingNumbers: []
+  };
+
+  currentSwaps.forEach((swap, originalKey) => {
+    const before = previousSwaps.get(originalKey);
+    if (before && before.trackingNormalized !== swap.trackingNormalized) {
+      diff.changedTrackingNumbers.push({
+        original: swap.original,
+        from: before.tracking,
+        to: swap.tracking
+      });
+    }
+  });
+
+  diff.hasChanges = diff.newProviders.length > 0 || diff.lostProviders.length > 0 ||
+    diff.newSwaps.length > 0 || diff.lostSwaps.length > 0 || diff.changedTrackingNumbers.length > 0;
+  return diff;
+}
+
+/**
+ * Get a domain's scan timeline, newest first, each with its diff against the previous visit
+ * @param {string} domain - Site hostname
+ * @param {number} limit - Maximum number of scans to return
+ * @returns {Promise<Array>} Scans with a `diff` property (null for the first visit)
+ */
+async function getDomainHistory(domain, limit = 50) {
+  const db = await openHistoryDb();
+  const transaction = db.transaction(HISTORY_STORE, 'readonly');
+  const scans = await requestToPromise(
+    transaction.objectStore(HISTORY_STORE).index('domainTime').getAll(domainRange(domain))
+  );
+
+  // Fetched oldest first; diff each scan against the one before it
+  const timeline = scans.map((scan, index) => ({
+    ...scan,
+    diff: index > 0 ? diffScans(scans[index - 1], scan) : null
+  }));
+
+  return timeline.reverse().slice(0, limit);
+}
+
+/**
+ * Delete every recorded scan of a domain
+ * @param {string} domain - Site hostname
+ * @returns {Promise<number>} Number of scans deleted
+ */
+async function clearDomainHistory(domain) {
+  const db = await openHistoryDb();
+  const transaction = db.transaction(HISTORY_STORE, 'readwrite');
+  const store = transaction.objectStore(HISTORY_STORE);
+
+  const keys = await requestToPromise(store.index('domainTime').getAllKeys(domainRange(domain)));
+  keys.forEach(key => store.delete(key));
+
+  await transactionDone(transaction);
+  return keys.length;
+}
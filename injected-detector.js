@@ -1,46 +1,284 @@
 // This script runs in the page's context (not isolated)
-// It checks for tracking service global variables
+// It hooks fetch/XHR to report responses containing phone numbers, so DNI API
+// calls can be matched to providers and linked to the swaps they caused, and
+// watches for tracking service global variables for as long as the page is open
 
 (function() {
   'use strict';
-  
-  // Get the list of variables to check from the script tag's data attribute
-  const scriptTag = document.querySelector('script[data-tracker-vars], script#call-tracker-detector-data');
-  if (!scriptTag) return;
-  
-  let varsToCheck = [];
-  try {
-    const dataStr = scriptTag.dataset.trackerVars || scriptTag.getAttribute('data-tracker-vars');
-    if (!dataStr) return;
-    varsToCheck = JSON.parse(dataStr);
-  } catch (e) {
-    console.error('[Injected Detector] Failed to parse tracker vars:', e);
-    return;
-  }
-  
-  // Check for global variables
-  const foundVariables = [];
-  
-  varsToCheck.forEach(item => {
-    try {
-      if (typeof window[item.variable] !== 'undefined') {
-        foundVariables.push({
-          provider: item.name,
-          providerId: item.provider,
-          variable: item.variable,
-          type: typeof window[item.variable]
+
+  // Only hook the network once per page
+  if (window.__callTrackerNetworkHook) return;
+  Object.defineProperty(window, '__callTrackerNetworkHook', { value: true });
+
+  // Loose check for a phone-number-like run of digits in a response
+  const PHONE_PATTERN = /\d[\d\s().-]{5,}\d/;
+
+  // Skip responses too large to be a number lookup, and only pass on the start of the rest
+  const MAX_RESPONSE_LENGTH = 200000;
+  const MAX_VALUE_LENGTH = 20000;
+
+  // Pull script URLs out of a stack trace, most recent frame first
+  function getScriptUrls(stack) {
+    const urls = [];
+    (stack || '').split('\n').forEach(line => {
+      const match = line.match(/(https?:\/\/[^\s()]+?)(?::\d+){1,2}\)?\s*$/);
+      if (match && !urls.includes(match[1])) {
+        urls.push(match[1]);
+      }
+    });
+    return urls;
+  }
+
+  // Report a response that contains a phone number
+  function reportResponse(request, text) {
+    if (typeof text !== 'string' || text.length > MAX_RESPONSE_LENGTH) return;
+
+    const value = text.slice(0, MAX_VALUE_LENGTH);
+    if (!PHONE_PATTERN.test(value)) return;
+
+    document.dispatchEvent(new CustomEvent('trackingPayloadCall', {
+      detail: {
+        url: String(request.url),
+        method: request.method,
+        status: request.status,
+        value: value,
+        scriptUrls: request.scriptUrls,
+        time: performance.now()
+      }
+    }));
+  }
+
+  // Wrap fetch so phone numbers in responses are reported with the script that asked
+  function wrapFetch() {
+    const originalFetch = window.fetch;
+    if (typeof originalFetch !== 'function') return;
+
+    window.fetch = function(...args) {
+      const result = originalFetch.apply(this, args);
+
+      try {
+        const scriptUrls = getScriptUrls(new Error().stack);
+        const input = args[0];
+        const method = ((args[1] && args[1].method) || (input && input.method) || 'GET').toUpperCase();
+
+        result.then(response => {
+          const type = response.headers.get('content-type') || '';
+          if (!/json|text|javascript/i.test(type)) return;
+          response.clone().text()
+            .then(text => reportResponse({ url: response.url, method, status: response.status, scriptUrls }, text))
+            .catch(() => {
+              // Body unreadable (e.g. opaque response); nothing to report
+            });
+        }).catch(() => {
+          // The page handles its own failed requests
         });
-        console.log('[Injected Detector] Found', item.name, 'variable:', item.variable);
+      } catch (e) {
+        // Never break the page's own request
+      }
+
+      return result;
+    };
+  }
+
+  // Wrap XMLHttpRequest the same way, reading the response once it has loaded
+  function wrapXhr() {
+    const originalOpen = XMLHttpRequest.prototype.open;
+    const originalSend = XMLHttpRequest.prototype.send;
+    const methods = new WeakMap();
+
+    XMLHttpRequest.prototype.open = function(method, ...rest) {
+      try {
+        methods.set(this, String(method).toUpperCase());
+      } catch (e) {
+        // Never break the page's own request
+      }
+      return originalOpen.call(this, method, ...rest);
+    };
+
+    XMLHttpRequest.prototype.send = function(...args) {
+      try {
+        const scriptUrls = getScriptUrls(new Error().stack);
+        this.addEventListener('load', () => {
+          try {
+            const request = { url: this.responseURL, method: methods.get(this) || 'GET', status: this.status, scriptUrls };
+            if (this.responseType === '' || this.responseType === 'text') {
+              reportResponse(request, this.responseText);
+            } else if (this.responseType === 'json' && this.response) {
+              reportResponse(request, JSON.stringify(this.response));
+            }
+          } catch (e) {
+            // Never break the page's own request
+          }
+        });
+      } catch (e) {
+        // Never break the page's own request
+      }
+      return originalSend.apply(this, args);
+    };
+  }
+
+  wrapFetch();
+  wrapXhr();
+})();
+
+(function() {
+  'use strict';
+
+  // Only one watcher per page; the content script restarts it with a new list after a rescan
+  if (window.__callTrackerGlobalWatcher) return;
+  Object.defineProperty(window, '__callTrackerGlobalWatcher', { value: true });
+
+  // Poll quickly while the page loads, then back off; stop after a while and
+  // poll again briefly when the user interacts, since tag managers often load
+  // providers on scroll or click
+  const FIRST_INTERVAL_MS = 500;
+  const MAX_INTERVAL_MS = 5000;
+  const WATCH_MS = 60000;
+  const INTERACTION_WATCH_MS = 10000;
+  const INTERACTION_EVENTS = ['click', 'keydown', 'scroll', 'touchstart'];
+
+  // Keys on a provider global that usually hold its version or account configuration
+  const INFO_KEY_PATTERN = /version|company|account|customer|campaign|pool|session|profile|^(id|key|uid)$|_id$|Id$/i;
+  const MAX_INFO_ENTRIES = 10;
+  const MAX_INFO_VALUE_LENGTH = 200;
+
+  let watchList = [];
+  let reported = new Set();
+  let timer = null;
+  let interval = FIRST_INTERVAL_MS;
+  let watchUntil = 0;
+  let stopped = false;
+
+  // Collect version and configuration values from a global, a couple of levels deep
+  function describeGlobal(value) {
+    const info = {};
+    const visit = (object, path, depth) => {
+      if (!object || (typeof object !== 'object' && typeof object !== 'function') || depth > 2) return;
+
+      let keys = [];
+      try {
+        keys = Object.keys(object);
+      } catch (e) {
+        return; // Proxies and cross-origin objects can refuse enumeration
+      }
+
+      keys.forEach(key => {
+        if (Object.keys(info).length >= MAX_INFO_ENTRIES) return;
+        let child;
+        try {
+          child = object[key];
+        } catch (e) {
+          return; // Getters can throw
+        }
+
+        const childPath = path ? `${path}.${key}` : key;
+        if ((typeof child === 'string' || typeof child === 'number') && INFO_KEY_PATTERN.test(key)) {
+          info[childPath] = String(child).slice(0, MAX_INFO_VALUE_LENGTH);
+        } else if (child && typeof child === 'object' && !Array.isArray(child)) {
+          visit(child, childPath, depth + 1);
+        }
+      });
+    };
+
+    visit(value, '', 0);
+    return info;
+  }
+
+  // Report globals that have appeared since the last check
+  function check() {
+    const foundVariables = [];
+
+    watchList.forEach(item => {
+      const key = `${item.provider}|${item.variable}`;
+      if (reported.has(key)) return;
+
+      try {
+        const value = window[item.variable];
+        if (typeof value !== 'undefined') {
+          reported.add(key);
+          foundVariables.push({
+            provider: item.name,
+            providerId: item.provider,
+            variable: item.variable,
+            type: typeof value,
+            info: describeGlobal(value)
+          });
+          console.log('[Injected Detector] Found', item.name, 'variable:', item.variable);
+        }
+      } catch (e) {
+        // Silently ignore errors checking individual variables
+      }
+    });
+
+    if (foundVariables.length > 0) {
+      document.dispatchEvent(new CustomEvent('trackingVariablesFound', {
+        detail: foundVariables
+      }));
+    }
+
+    return reported.size >= watchList.length;
+  }
+
+  function schedule() {
+    clearTimeout(timer);
+    timer = null;
+    if (stopped || Date.now() >= watchUntil) return;
+
+    timer = setTimeout(() => {
+      if (check()) {
+        stop();
+        return;
       }
+      interval = Math.min(interval * 2, MAX_INTERVAL_MS);
+      schedule();
+    }, interval);
+  }
+
+  // Watch for a while longer, starting with quick checks again
+  function watchFor(ms) {
+    if (stopped) return;
+    watchUntil = Math.max(watchUntil, Date.now() + ms);
+    interval = FIRST_INTERVAL_MS;
+    if (!check()) {
+      schedule();
+    } else {
+      stop();
+    }
+  }
+
+  function onInteraction() {
+    if (!timer) watchFor(INTERACTION_WATCH_MS);
+  }
+
+  function stop() {
+    stopped = true;
+    clearTimeout(timer);
+    timer = null;
+    INTERACTION_EVENTS.forEach(type => window.removeEventListener(type, onInteraction, true));
+    window.removeEventListener('pagehide', stop);
+  }
+
+  // The content script sends the variables to watch (as JSON) once providers
+  // have loaded, and again after a rescan so everything is reported afresh
+  document.addEventListener('trackingWatchGlobals', (event) => {
+    try {
+      watchList = JSON.parse(event.detail);
     } catch (e) {
-      // Silently ignore errors checking individual variables
+      console.error('[Injected Detector] Failed to parse tracker vars:', e);
+      return;
+    }
+
+    reported = new Set();
+    if (stopped) {
+      stopped = false;
+      INTERACTION_EVENTS.forEach(type => window.addEventListener(type, onInteraction, { capture: true, passive: true }));
+      window.addEventListener('pagehide', stop);
     }
+    watchFor(WATCH_MS);
   });
-  
-  // Send results back to content script via custom event
-  if (foundVariables.length > 0) {
-    document.dispatchEvent(new CustomEvent('trackingVariablesFound', {
-      detail: foundVariables
-    }));
-  }
-})();
\ No newline at end of file
+
+  document.addEventListener('trackingStopGlobalWatch', stop);
+
+  // Not watching until the first list arrives
+  stopped = true;
+})();
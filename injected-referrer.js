@@ -0,0 +1,34 @@
+// This script runs in the page's context (not isolated) at document_start
+// When a referrer is simulated the background worker passes it in a marker at
+// the start of the URL fragment, which follows redirects to other hosts. This
+// removes the marker before any page script runs and makes document.referrer
+// report the referrer, so DNI scripts see the same referrer the server did.
+// Pages loaded without the marker are left alone.
+
+(function() {
+  'use strict';
+
+  const MARKER_PREFIX = '#__ctd_referrer=';
+
+  if (!location.hash.startsWith(MARKER_PREFIX)) return;
+
+  // The page's own fragment, if any, follows the marker
+  const marker = location.hash.slice(MARKER_PREFIX.length);
+  const fragmentStart = marker.indexOf('#');
+  const fragment = fragmentStart === -1 ? '' : marker.slice(fragmentStart);
+  history.replaceState(history.state, '', location.pathname + location.search + fragment);
+
+  let referrer;
+  try {
+    referrer = decodeURIComponent(fragmentStart === -1 ? marker : marker.slice(0, fragmentStart));
+  } catch (e) {
+    return;
+  }
+
+  Object.defineProperty(Document.prototype, 'referrer', {
+    configurable: true,
+    get() {
+      return referrer;
+    }
+  });
+})();
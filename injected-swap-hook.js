@@ -0,0 +1,104 @@
+// This script runs in the page's context (not isolated)
+// It wraps the DOM setters DNI scripts use to write phone numbers and reports
+// the script URLs on the call stack, so swaps can be attributed to a provider.
+// It also lists the globals the page gained since it started, for discovering
+// unknown providers. Network responses are watched by injected-detector.js.
+
+(function() {
+  'use strict';
+
+  // Only hook once per page, even if injected again
+  if (window.__callTrackerSwapHook) return;
+  Object.defineProperty(window, '__callTrackerSwapHook', { value: true });
+
+  // Loose check for a phone-number-like run of digits inside the written value
+  const PHONE_PATTERN = /\d[\d\s().-]{5,}\d/;
+
+  // Only inspect the start of very large writes (e.g. innerHTML of a whole section)
+  const MAX_VALUE_LENGTH = 20000;
+
+  // Globals that existed before any page script ran
+  const baselineGlobals = new Set(Object.getOwnPropertyNames(window));
+
+  // Pull script URLs out of a stack trace, most recent frame first
+  function getScriptUrls(stack) {
+    const urls = [];
+    (stack || '').split('\n').forEach(line => {
+      const match = line.match(/(https?:\/\/[^\s()]+?)(?::\d+){1,2}\)?\s*$/);
+      if (match && !urls.includes(match[1])) {
+        urls.push(match[1]);
+      }
+    });
+    return urls;
+  }
+
+  // Report a write that contains a phone number
+  function report(value) {
+    if (value === null || value === undefined) return;
+
+    const text = String(value).slice(0, MAX_VALUE_LENGTH);
+    if (!PHONE_PATTERN.test(text)) return;
+
+    document.dispatchEvent(new CustomEvent('trackingSwapCall', {
+      detail: {
+        value: text,
+        scriptUrls: getScriptUrls(new Error().stack),
+        time: performance.now()
+      }
+    }));
+  }
+
+  // Wrap a property setter so writes are reported before they happen
+  function wrapSetter(proto, property) {
+    const descriptor = Object.getOwnPropertyDescriptor(proto, property);
+    if (!descriptor || !descriptor.set) return;
+
+    Object.defineProperty(proto, property, {
+      ...descriptor,
+      set(value) {
+        try {
+          report(value);
+        } catch (e) {
+          // Never break the page's own write
+        }
+        return descriptor.set.call(this, value);
+      }
+    });
+  }
+
+  // Wrap a method so its string arguments are reported
+  function wrapMethod(proto, method) {
+    const original = proto[method];
+    if (typeof original !== 'function') return;
+
+    proto[method] = function(...args) {
+      try {
+        args.forEach(arg => {
+          if (typeof arg === 'string') report(arg);
+        });
+      } catch (e) {
+        // Never break the page's own call
+      }
+      return original.apply(this, args);
+    };
+  }
+
+  // Answer the content script with the globals added since the page started
+  document.addEventListener('trackingListGlobals', () => {
+    const added = Object.getOwnPropertyNames(window).filter(name => !baselineGlobals.has(name));
+    document.dispatchEvent(new CustomEvent('trackingGlobalsListed', {
+      detail: { globals: added.slice(0, 500) }
+    }));
+  });
+
+  wrapSetter(Node.prototype, 'textContent');
+  wrapSetter(Node.prototype, 'nodeValue');
+  wrapSetter(CharacterData.prototype, 'data');
+  wrapSetter(Element.prototype, 'innerHTML');
+  wrapSetter(Element.prototype, 'outerHTML');
+  wrapSetter(HTMLElement.prototype, 'innerText');
+  wrapSetter(HTMLAnchorElement.prototype, 'href');
+  wrapMethod(Element.prototype, 'setAttribute');
+  wrapMethod(Element.prototype, 'insertAdjacentHTML');
+  wrapMethod(CharacterData.prototype, 'replaceData');
+})();
@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+// Lint a provider library file with Node
+// Usage: node lint-providers.js [path/to/providers.json]
+// Prints every issue found and exits with status 1 if any are errors
+
+const fs = require('fs');
+const path = require('path');
+const { lintProviderLibrary } = require('./provider-lint.js');
+
+const file = process.argv[2] || path.join(__dirname, 'providers.json');
+
+let data;
+try {
+  data = JSON.parse(fs.readFileSync(file, 'utf8'));
+} catch (error) {
+  console.error(`Could not read ${file}: ${error.message}`);
+  process.exit(1);
+}
+
+const issues = lintProviderLibrary(data);
+issues.forEach(issue => {
+  const location = [issue.providerId, issue.field, issue.pattern === null ? null : `"${issue.pattern}"`]
+    .filter(part => part !== null)
+    .join(' ');
+  console.log(`${issue.severity.padEnd(7)} ${issue.rule.padEnd(15)} ${location}: ${issue.message}`);
+});
+
+const errorCount = issues.filter(issue => issue.severity === 'error').length;
+console.log(`\n${file}: ${errorCount} error(s), ${issues.length - errorCount} warning(s)`);
+process.exit(errorCount > 0 ? 1 : 0);
@@ -0,0 +1,379 @@
+// Options page script for Call Tracking Detector
+// Edits the provider library kept by provider-library.js
+
+// Labels for the pattern lists in the editor
+const PATTERN_FIELD_LABELS = {
+  domains: 'Domains',
+  scriptPatterns: 'Script patterns',
+  signatures: 'Inline script signatures',
+  urlPathPatterns: 'URL path patterns',
+  queryParamPatterns: 'Query parameters',
+  globalVariables: 'Global variables',
+  cookiePatterns: 'Cookie patterns',
+  storageKeyPatterns: 'Storage key patterns'
+};
+
+let providerLibrary = [];
+// ID of the provider being edited, or null when adding one
+let editingProviderId = null;
+
+// Initialize the options page
+document.addEventListener('DOMContentLoaded', () => {
+  buildPatternFields();
+  setupEventListeners();
+  loadProviderLibrary().then(openDraftFromHash);
+
+  // Keep the list current when the library is changed elsewhere
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && (changes[CUSTOM_PROVIDERS_KEY] || changes[DISABLED_PROVIDERS_KEY])) {
+      loadProviderLibrary();
+    }
+  });
+});
+
+// Create one textarea per pattern list
+function buildPatternFields() {
+  document.getElementById('patternFields').innerHTML = PROVIDER_PATTERN_FIELDS.map(field => `
+    <div class="pattern-field">
+      <label class="field-label" for="field_${field}">${PATTERN_FIELD_LABELS[field]}</label>
+      <textarea id="field_${field}" class="text-input" rows="4"></textarea>
+    </div>
+  `).join('');
+}
+
+// Load and display the provider library
+async function loadProviderLibrary() {
+  try {
+    providerLibrary = await getProviderLibrary();
+    displayProviders(providerLibrary);
+    displayLibraryCheck(providerLibrary);
+  } catch (error) {
+    console.error('[Options] Error loading provider library:', error);
+    document.getElementById('providerList').innerHTML = '<p class="empty-state">Could not load providers</p>';
+  }
+}
+
+// Display every provider with its enabled switch and actions
+function displayProviders(library) {
+  document.getElementById('providerCount').textContent = library.length;
+  const list = document.getElementById('providerList');
+
+  if (library.length === 0) {
+    list.innerHTML = '<p class="empty-state">No providers</p>';
+    return;
+  }
+
+  const sourceLabels = { bundled: 'Bundled', edited: 'Edited', custom: 'Custom' };
+  list.innerHTML = library.map(provider => `
+    <div class="provider-item ${provider.enabled ? '' : 'disabled'}">
+      <input type="checkbox" data-action="toggle" data-provider-id="${escapeHtml(provider.id)}" ${provider.enabled ? 'checked' : ''} title="Use for detection">
+      <div class="provider-info">
+        <div class="provider-name">${escapeHtml(provider.name)} <span class="provider-source ${provider.source}">${sourceLabels[provider.source]}</span></div>
+        <div class="provider-details">${escapeHtml(provider.id)}${provider.domains.length > 0 ? ` · ${escapeHtml(provider.domains.join(', '))}` : ''}</div>
+      </div>
+      <div class="provider-actions">
+        <button class="btn btn-secondary btn-small" data-action="edit" data-provider-id="${escapeHtml(provider.id)}">Edit</button>
+        ${provider.source === 'bundled' ? '' : `<button class="btn btn-warning btn-small" data-action="delete" data-provider-id="${escapeHtml(provider.id)}">${provider.source === 'edited' ? 'Reset' : 'Delete'}</button>`}
+      </div>
+    </div>
+  `).join('');
+}
+
+// Strip the library's source and enabled flags, leaving the provider definition
+function toDefinition(provider) {
+  const { source, enabled, ...definition } = provider;
+  return definition;
+}
+
+// Build the list of lint issues, errors first
+function buildLintIssues(issues) {
+  const sorted = [...issues].sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1));
+  return sorted.map(issue => {
+    const location = [issue.providerId, issue.field, issue.pattern === null ? null : `"${issue.pattern}"`]
+      .filter(part => part !== null)
+      .join(' ');
+    return `
+      <div class="lint-issue ${issue.severity}">
+        <span class="lint-issue-location">${escapeHtml(location)}</span>: ${escapeHtml(issue.message)}
+      </div>
+    `;
+  }).join('');
+}
+
+// Display the lint issues of the enabled library
+function displayLibraryCheck(library) {
+  const issues = lintProviders(library.filter(p => p.enabled).map(toDefinition));
+  document.getElementById('lintCount').textContent = issues.length;
+  document.getElementById('lintResults').innerHTML = issues.length > 0
+    ? buildLintIssues(issues)
+    : '<p class="empty-state">No problems found</p>';
+}
+
+// Lint the editor's provider against the rest of the enabled library
+// Listing it first attributes every overlap to it
+function lintDraftProvider(provider) {
+  const others = providerLibrary
+    .filter(p => p.enabled && p.id !== provider.id)
+    .map(toDefinition);
+  return lintProviders([provider, ...others]).filter(issue => issue.providerId === provider.id);
+}
+
+// Open the editor for a new provider or an existing one
+// A draft (e.g. a discovered provider) fills the editor but is added as a new provider
+function openEditor(provider, isDraft = false) {
+  const isEdit = !!provider && !isDraft;
+  editingProviderId = isEdit ? provider.id : null;
+
+  document.getElementById('editorTitle').textContent = isEdit ? `✏️ Edit ${provider.name}` : '✏️ Add Provider';
+  const idInput = document.getElementById('providerId');
+  idInput.value = provider ? provider.id : '';
+  // Editing an ID would create a new provider instead
+  idInput.disabled = isEdit;
+  document.getElementById('providerName').value = provider ? provider.name : '';
+  document.getElementById('providerDescription').value = provider ? provider.description : '';
+  PROVIDER_PATTERN_FIELDS.forEach(field => {
+    document.getElementById(`field_${field}`).value = provider ? provider[field].join('\n') : '';
+  });
+  document.getElementById('providerWeights').value = provider && provider.confidenceWeights
+    ? Object.entries(provider.confidenceWeights).map(([type, weight]) => `${type}=${weight}`).join('\n')
+    : '';
+
+  showEditorErrors([]);
+  document.getElementById('editorWarnings').innerHTML = '';
+  document.getElementById('testResults').innerHTML = '';
+  const editorSection = document.getElementById('editorSection');
+  editorSection.classList.remove('hidden');
+  editorSection.scrollIntoView({ behavior: 'smooth' });
+}
+
+// Open the editor with a draft passed in the URL, e.g. options.html#draft=<JSON>
+// The side panel uses this for "Add to Library" on a discovered provider
+function openDraftFromHash() {
+  const match = window.location.hash.match(/^#draft=(.+)$/);
+  if (!match) return;
+  history.replaceState(null, '', window.location.pathname);
+
+  try {
+    const draft = JSON.parse(decodeURIComponent(match[1]));
+    const provider = { id: '', name: '', description: '' };
+    PROVIDER_PATTERN_FIELDS.forEach(field => {
+      provider[field] = Array.isArray(draft[field]) ? draft[field].filter(item => typeof item === 'string') : [];
+    });
+    ['id', 'name', 'description'].forEach(field => {
+      if (typeof draft[field] === 'string') provider[field] = draft[field];
+    });
+
+    openEditor(provider, true);
+    document.getElementById('editorWarnings').innerHTML = buildLintIssues(lintDraftProvider(provider));
+  } catch (error) {
+    console.error('[Options] Error reading provider draft:', error);
+  }
+}
+
+function closeEditor() {
+  editingProviderId = null;
+  document.getElementById('editorSection').classList.add('hidden');
+}
+
+// Read the editor into a provider definition
+function readEditor() {
+  const provider = {
+    id: document.getElementById('providerId').value.trim(),
+    name: document.getElementById('providerName').value.trim(),
+    description: document.getElementById('providerDescription').value.trim()
+  };
+  PROVIDER_PATTERN_FIELDS.forEach(field => {
+    provider[field] = document.getElementById(`field_${field}`).value
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean);
+  });
+
+  // "type=weight" lines; anything that isn't a number is left for validateProvider to report
+  const weights = {};
+  document.getElementById('providerWeights').value.split('\n').forEach(line => {
+    const [type, weight] = line.split('=').map(part => part.trim());
+    if (type) {
+      weights[type] = weight ? Number(weight) : NaN;
+    }
+  });
+  if (Object.keys(weights).length > 0) {
+    provider.confidenceWeights = weights;
+  }
+  return provider;
+}
+
+function showEditorErrors(errors) {
+  const errorsElement = document.getElementById('editorErrors');
+  errorsElement.textContent = errors.join('\n');
+  errorsElement.classList.toggle('hidden', errors.length === 0);
+}
+
+// The page the user was last looking at, skipping extension pages like this one
+async function findTestTab() {
+  const tabs = await chrome.tabs.query({ active: true, windowType: 'normal' });
+  const pageTabs = tabs
+    .filter(tab => tab.url && tab.url.startsWith('http'))
+    .sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0));
+  return pageTabs[0] || null;
+}
+
+// Display which of the provider's patterns matched the page
+function displayTestResults(result) {
+  const { url, matches, checked } = result;
+  const summary = `<p class="test-summary">Tested ${escapeHtml(url)}: ${checked.scripts} script(s), ${checked.requests} request(s), ${checked.cookies} cookie(s), ${checked.storageKeys} storage key(s)</p>`;
+
+  if (matches.length === 0) {
+    document.getElementById('testResults').innerHTML = `${summary}<p class="empty-state">Nothing on this page matches this provider</p>`;
+    return;
+  }
+
+  document.getElementById('testResults').innerHTML = summary + matches.map(match => `
+    <div class="test-match">
+      <span class="test-match-type">${escapeHtml(match.type)}</span> ${escapeHtml(match.value)}
+      <div class="provider-details">matched ${escapeHtml(match.matchType)}: ${escapeHtml(match.matchedPattern)}</div>
+    </div>
+  `).join('');
+}
+
+// Set up event listeners
+function setupEventListeners() {
+  document.getElementById('addProvider').addEventListener('click', () => openEditor(null));
+  document.getElementById('cancelEdit').addEventListener('click', closeEditor);
+
+  // Provider list actions
+  document.getElementById('providerList').addEventListener('change', async (e) => {
+    if (e.target.dataset.action !== 'toggle') return;
+
+    try {
+      await setProviderEnabled(e.target.dataset.providerId, e.target.checked);
+    } catch (error) {
+      console.error('[Options] Error changing provider:', error);
+      alert('Could not change provider');
+      e.target.checked = !e.target.checked;
+    }
+  });
+
+  document.getElementById('providerList').addEventListener('click', async (e) => {
+    const { action, providerId } = e.target.dataset;
+    const provider = providerLibrary.find(p => p.id === providerId);
+    if (!provider) return;
+
+    if (action === 'edit') {
+      openEditor(provider);
+    }
+
+    if (action === 'delete') {
+      const question = provider.source === 'edited'
+        ? `Restore the bundled definition of ${provider.name}?`
+        : `Delete ${provider.name}?`;
+      if (!confirm(question)) return;
+
+      try {
+        await deleteCustomProvider(provider.id);
+        if (editingProviderId === provider.id) {
+          closeEditor();
+        }
+      } catch (error) {
+        console.error('[Options] Error deleting provider:', error);
+        alert('Could not delete provider');
+      }
+    }
+  });
+
+  // Save the edited provider
+  document.getElementById('saveProvider').addEventListener('click', async () => {
+    const provider = readEditor();
+    const errors = validateProvider(provider);
+    if (!editingProviderId && providerLibrary.some(p => p.id === provider.id)) {
+      errors.push(`A provider with the ID "${provider.id}" already exists; edit it instead`);
+    }
+    showEditorErrors(errors);
+    if (errors.length > 0) return;
+
+    // Patterns that can never match are errors; generic and shared patterns are only warnings
+    const issues = lintDraftProvider(provider);
+    document.getElementById('editorWarnings').innerHTML = buildLintIssues(issues);
+    if (issues.some(issue => issue.severity === 'error')) return;
+
+    try {
+      await saveCustomProvider(provider);
+      closeEditor();
+    } catch (error) {
+      console.error('[Options] Error saving provider:', error);
+      showEditorErrors([error.message]);
+    }
+  });
+
+  // Test the editor's definition, saved or not, against the page open in the browser
+  document.getElementById('testProvider').addEventListener('click', async () => {
+    const provider = readEditor();
+    const errors = validateProvider(provider);
+    showEditorErrors(errors);
+    if (errors.length > 0) return;
+    document.getElementById('editorWarnings').innerHTML = buildLintIssues(lintDraftProvider(provider));
+
+    const resultsElement = document.getElementById('testResults');
+    try {
+      const tab = await findTestTab();
+      if (!tab) {
+        resultsElement.innerHTML = '<p class="empty-state">Open the site you want to test in a browser tab first</p>';
+        return;
+      }
+
+      resultsElement.innerHTML = '<p class="empty-state">Testing...</p>';
+      const response = await chrome.runtime.sendMessage({
+        action: 'testProvider',
+        provider: provider,
+        tabId: tab.id
+      });
+
+      if (response?.success) {
+        displayTestResults(response.result);
+      } else {
+        resultsElement.innerHTML = `<p class="empty-state">Test failed: ${escapeHtml(response?.error || 'unknown error')}</p>`;
+      }
+    } catch (error) {
+      console.error('[Options] Error testing provider:', error);
+      resultsElement.innerHTML = `<p class="empty-state">Test failed: ${escapeHtml(error.message)}</p>`;
+    }
+  });
+
+  // Export custom providers and disabled IDs
+  document.getElementById('exportProviders').addEventListener('click', async () => {
+    try {
+      const data = await buildProviderLibraryExport();
+      const stamp = new Date().toISOString().slice(0, 10);
+      downloadExport(JSON.stringify(data, null, 2), `call-tracking-providers-${stamp}.json`, 'application/json');
+    } catch (error) {
+      console.error('[Options] Error exporting providers:', error);
+      alert('Could not export providers');
+    }
+  });
+
+  // Import from a file
+  const importFile = document.getElementById('importFile');
+  document.getElementById('importProviders').addEventListener('click', () => importFile.click());
+
+  importFile.addEventListener('change', async () => {
+    const file = importFile.files[0];
+    importFile.value = '';
+    if (!file) return;
+
+    try {
+      const data = JSON.parse(await file.text());
+      const { imported, disabled } = await importProviderLibrary(data);
+      alert(`Imported ${imported} provider(s)${disabled > 0 ? ` and ${disabled} disabled provider setting(s)` : ''}`);
+    } catch (error) {
+      console.error('[Options] Error importing providers:', error);
+      alert(`Could not import providers:\n${error.message}`);
+    }
+  });
+}
+
+// Utility function to escape HTML
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
@@ -0,0 +1,328 @@
+// Tracking number pool discovery for the background service worker
+// A single visit only ever shows one tracking number per original, so this
+// reloads a page in a background tab as a new visitor each time (site cookies,
+// provider cookies and the site's storage cleared) and records every tracking
+// number shown for each original number and traffic source. How often numbers
+// repeat gives an estimate of the pool size; a number shown again to a new
+// visitor within minutes means calls from the two visitors can't be told apart.
+// Only one discovery runs at a time.
+// Depends on traffic-sources.js, crawler.js (tab helpers) and source-compare.js
+// (runIsolatedVisit).
+
+const POOL_STATE_KEY = 'pool_state';
+const DEFAULT_POOL_VISITS = 10;
+const MAX_POOL_VISITS = 30;
+
+// Providers usually keep a number assigned to a visitor for 15-30 minutes;
+// handing it to another visitor sooner mixes up their calls
+const POOL_REUSE_WARNING_MS = 15 * 60 * 1000;
+
+let activePool = null;
+
+/**
+ * Estimate how many numbers a pool holds from how often each one was seen
+ * Uses the bias-corrected Chao1 estimator: numbers seen only once suggest
+ * more that haven't turned up yet
+ * @param {Array<number>} counts - Times each distinct number was seen
+ * @returns {number} Estimated pool size, at least the number of distinct numbers seen
+ */
+function estimatePoolSize(counts) {
+  const seenOnce = counts.filter(count => count === 1).length;
+  const seenTwice = counts.filter(count => count === 2).length;
+  return Math.ceil(counts.length + (seenOnce * (seenOnce - 1)) / (2 * (seenTwice + 1)));
+}
+
+/**
+ * Pick the tracking number shown for each original number in one visit
+ * @param {Object} detection - Merged detection result
+ * @returns {Array<Object>} { original, originalNormalized, tracking, trackingNormalized };
+ *   tracking is null for originals that weren't swapped
+ */
+function collectPoolNumbers(detection) {
+  const numbers = new Map();
+
+  detection.swaps.forEach(swap => {
+    if (!numbers.has(swap.originalNormalized)) {
+      numbers.set(swap.originalNormalized, {
+        original: swap.original,
+        originalNormalized: swap.originalNormalized,
+        tracking: swap.tracking,
+        trackingNormalized: swap.trackingNormalized
+      });
+    }
+  });
+
+  detection.originalNumbers.forEach(num => {
+    if (!numbers.has(num.normalized)) {
+      numbers.set(num.normalized, {
+        original: num.formatted,
+        originalNormalized: num.normalized,
+        tracking: null,
+        trackingNormalized: null
+      });
+    }
+  });
+
+  return Array.from(numbers.values());
+}
+
+/**
+ * Group the visits' numbers by original number and source, with the estimated
+ * pool size and any number handed to a new visitor too soon after another
+ * Originals seen with several sources also get a group for all sources together
+ * @param {Array<Object>} visits - Visits with visit, sourceId, name, time and numbers
+ * @returns {Array<Object>} One group per original number and source
+ */
+function analyzePoolVisits(visits) {
+  const groups = new Map();
+
+  const addToGroup = (key, sourceId, sourceName, visit, entry) => {
+    if (!groups.has(key)) {
+      groups.set(key, {
+        original: entry.original,
+        originalNormalized: entry.originalNormalized,
+        sourceId: sourceId,
+        source: sourceName,
+        visits: 0,
+        unswappedVisits: 0,
+        shown: []
+      });
+    }
+    const group = groups.get(key);
+    group.visits++;
+    if (entry.trackingNormalized) {
+      group.shown.push({ visit: visit.visit, time: visit.time, tracking: entry.tracking, trackingNormalized: entry.trackingNormalized });
+    } else {
+      group.unswappedVisits++;
+    }
+  };
+
+  visits.forEach(visit => {
+    visit.numbers.forEach(entry => {
+      addToGroup(`${entry.originalNormalized}|${visit.sourceId}`, visit.sourceId, visit.name, visit, entry);
+    });
+  });
+
+  // The same pool is often shared by every source
+  const sourceIds = new Set(visits.map(visit => visit.sourceId));
+  if (sourceIds.size > 1) {
+    visits.forEach(visit => {
+      visit.numbers.forEach(entry => {
+        addToGroup(`${entry.originalNormalized}|*`, null, 'All sources', visit, entry);
+      });
+    });
+  }
+
+  return Array.from(groups.values()).map(({ shown, ...group }) => {
+    const byNumber = new Map();
+    shown.forEach(item => {
+      if (!byNumber.has(item.trackingNormalized)) {
+        byNumber.set(item.trackingNormalized, { number: item.tracking, normalized: item.trackingNormalized, count: 0, shown: [] });
+      }
+      const number = byNumber.get(item.trackingNormalized);
+      number.count++;
+      number.shown.push(item);
+    });
+
+    // Each repeat of a number went to a new visitor
+    const reuses = [];
+    byNumber.forEach(number => {
+      for (let i = 1; i < number.shown.length; i++) {
+        const gapMs = number.shown[i].time - number.shown[i - 1].time;
+        reuses.push({
+          number: number.number,
+          gapMs: gapMs,
+          gapVisits: number.shown[i].visit - number.shown[i - 1].visit,
+          quick: gapMs < POOL_REUSE_WARNING_MS
+        });
+      }
+    });
+
+    const trackingNumbers = Array.from(byNumber.values())
+      .map(number => ({ number: number.number, normalized: number.normalized, count: number.count }))
+      .sort((a, b) => b.count - a.count);
+
+    return {
+      ...group,
+      trackingNumbers: trackingNumbers,
+      distinctCount: trackingNumbers.length,
+      estimatedPoolSize: trackingNumbers.length > 0 ? estimatePoolSize(trackingNumbers.map(number => number.count)) : 0,
+      reuses: reuses.sort((a, b) => a.gapMs - b.gapMs),
+      quickReuse: reuses.some(reuse => reuse.quick)
+    };
+  });
+}
+
+// Public view of the discovery state
+function describePool(pool) {
+  if (!pool) return null;
+
+  const { tabId, ...state } = pool;
+  return state;
+}
+
+async function publishPool(pool) {
+  const state = describePool(pool);
+  await chrome.storage.session.set({ [POOL_STATE_KEY]: state });
+  chrome.runtime.sendMessage({ action: 'poolProgress', pool: state }).catch(() => {
+    // Side panel may not be open, ignore error
+  });
+}
+
+// Visit the page the requested number of times per source, alternating sources
+async function runPoolDiscovery(pool) {
+  try {
+    for (let round = 1; round <= pool.visitsPerSource && pool.status === 'running'; round++) {
+      for (const source of pool.sources) {
+        if (pool.status !== 'running') break;
+
+        pool.currentSource = source.name;
+        pool.currentVisit = pool.visits.length + 1;
+        await publishPool(pool);
+
+        const visit = {
+          visit: pool.visits.length + 1,
+          sourceId: source.id,
+          name: source.name,
+          url: applyTrafficSource(pool.url, source, pool.sources),
+          status: 'scanned',
+          time: null,
+          providers: [],
+          numbers: []
+        };
+
+        try {
+          const result = await runIsolatedVisit(pool.tabId, visit.url, { referrer: source.referrer });
+          visit.time = Date.now();
+          if (!result.detection) {
+            visit.status = result.loaded ? 'noResults' : 'timeout';
+          } else {
+            visit.providers = [...new Set(result.detection.detectedTrackers.map(t => t.provider))];
+            visit.numbers = collectPoolNumbers(result.detection);
+          }
+        } catch (error) {
+          if (pool.status !== 'running') break;
+          console.error('[Pool Discovery] Error visiting', visit.url, error);
+          visit.status = 'error';
+          visit.error = error.message;
+        }
+
+        pool.visits.push(visit);
+        pool.groups = analyzePoolVisits(pool.visits.filter(item => item.status === 'scanned'));
+        await publishPool(pool);
+      }
+    }
+
+    if (pool.status === 'running') {
+      pool.status = 'complete';
+    }
+  } finally {
+    pool.currentSource = null;
+    pool.currentVisit = null;
+    pool.finishedAt = Date.now();
+    chrome.tabs.remove(pool.tabId).catch(() => {
+      // Tab may already be closed
+    });
+    await publishPool(pool);
+    console.log('[Pool Discovery] Discovery', pool.status, '-', pool.visits.length, 'visits');
+  }
+}
+
+/**
+ * Start discovering the tracking number pool behind a page's numbers
+ * @param {Object} options - Discovery options
+ * @param {string} options.url - Page URL
+ * @param {Array<string>} options.sources - Traffic source or preset IDs
+ * @param {number} options.visitsPerSource - Visits per source
+ * @returns {Promise<Object>} Initial discovery state
+ */
+async function startPoolDiscovery({ url, sources, visitsPerSource }) {
+  if (activePool && activePool.status === 'running') {
+    throw new Error('A pool discovery is already running');
+  }
+  // Both clear the site's cookies between visits
+  if (activeCompare && activeCompare.status === 'running') {
+    throw new Error('Wait for the source comparison to finish');
+  }
+
+  const allSources = await getAllTrafficSources();
+  const selectedSources = (sources || [])
+    .map(sourceId => getTrafficSource(sourceId, allSources))
+    .filter(Boolean);
+  if (selectedSources.length === 0) {
+    throw new Error('No traffic sources selected');
+  }
+
+  const pageUrl = new URL(url);
+  if (!pageUrl.protocol.startsWith('http')) {
+    throw new Error('Only web pages can be checked');
+  }
+
+  const tab = await chrome.tabs.create({ url: 'about:blank', active: false });
+  const pool = {
+    url: pageUrl.href,
+    sources: selectedSources,
+    visitsPerSource: Math.min(Math.max(parseInt(visitsPerSource, 10) || DEFAULT_POOL_VISITS, 2), MAX_POOL_VISITS),
+    status: 'running',
+    startedAt: Date.now(),
+    finishedAt: null,
+    currentSource: null,
+    currentVisit: null,
+    visits: [],
+    groups: [],
+    tabId: tab.id
+  };
+  activePool = pool;
+
+  runPoolDiscovery(pool).catch(error => {
+    console.error('[Pool Discovery] Discovery failed:', error);
+  });
+  return describePool(pool);
+}
+
+/**
+ * Stop the running discovery; visits already made are kept
+ * @returns {Promise<Object|null>} Discovery state
+ */
+async function cancelPoolDiscovery() {
+  if (activePool && activePool.status === 'running') {
+    activePool.status = 'cancelled';
+    await publishPool(activePool);
+  }
+  return describePool(activePool);
+}
+
+/**
+ * Get the state of the current or last discovery
+ * @returns {Promise<Object|null>} Discovery state
+ */
+async function getPoolDiscoveryState() {
+  if (activePool) return describePool(activePool);
+
+  const result = await chrome.storage.session.get(POOL_STATE_KEY);
+  const state = result[POOL_STATE_KEY] || null;
+  if (state && state.status === 'running') {
+    state.status = 'interrupted';
+    state.currentSource = null;
+    state.currentVisit = null;
+  }
+  return state;
+}
+
+/**
+ * Handle a tab being closed; closing the discovery tab cancels the discovery
+ * @param {number} tabId - Closed tab ID
+ */
+function handlePoolTabRemoved(tabId) {
+  if (activePool && activePool.tabId === tabId && activePool.status === 'running') {
+    activePool.status = 'cancelled';
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    estimatePoolSize,
+    collectPoolNumbers,
+    analyzePoolVisits
+  };
+}
@@ -16,33 +16,21 @@ document.addEventListener('DOMContentLoaded', async () => {
   setupEventListeners(tab);
 });
 
-// Load detection results from content script
+// Load detection results for the tab from the background store
 async function loadDetectionResults(tab) {
   try {
-    // Try to get results from content script
-    const response = await chrome.tabs.sendMessage(tab.id, { action: 'getDetection' });
+    const response = await chrome.runtime.sendMessage({
+      action: 'getTabDetection',
+      tabId: tab.id
+    });
 
-    if (response) {
-      displayResults(response);
+    if (response?.detection) {
+      displayResults(response.detection);
     } else {
-      // Fall back to storage
-      loadFromStorage(tab);
+      updateStatus('No detection data available', 'gray');
     }
   } catch (error) {
-    console.log('Could not get detection from content script:', error);
-    // Fall back to storage
-    loadFromStorage(tab);
-  }
-}
-
-// Load from chrome storage
-async function loadFromStorage(tab) {
-  const key = `detection_${tab.url}`;
-  const result = await chrome.storage.local.get(key);
-
-  if (result[key]) {
-    displayResults(result[key]);
-  } else {
+    console.log('Could not get detection results:', error);
     updateStatus('No detection data available', 'gray');
   }
 }
@@ -304,19 +292,40 @@ function displaySwaps(swaps) {
 
 // Set up event listeners
 function setupEventListeners(tab) {
-  // Blocking toggle
+  // Blocking toggle, blocks every provider for this site
   const blockingToggle = document.getElementById('blockingToggle');
+  let blockingProviderIds = [];
+
+  // Until the current state loads, a toggle would send an empty provider list
+  blockingToggle.disabled = true;
+  chrome.runtime.sendMessage({ action: 'getBlocking', tabId: tab.id, url: tab.url }).then(response => {
+    if (!response?.success) return;
+    blockingProviderIds = response.blocking.providers.map(provider => provider.id);
+    blockingToggle.checked = blockingProviderIds.length > 0 &&
+      blockingProviderIds.every(providerId => response.blocking.siteBlocked.includes(providerId));
+    blockingToggle.disabled = false;
+  }).catch(error => {
+    console.error('Error loading blocking state:', error);
+  });
+
   blockingToggle.addEventListener('change', async (e) => {
     const enabled = e.target.checked;
 
     try {
-      if (enabled) {
-        await chrome.runtime.sendMessage({ action: 'enableBlocking' });
-        alert('Blocking enabled. Page will reload.');
-      } else {
-        await chrome.runtime.sendMessage({ action: 'disableBlocking' });
-        alert('Blocking disabled. Page will reload.');
+      const response = await chrome.runtime.sendMessage({
+        action: 'setProviderBlocking',
+        options: {
+          providerIds: blockingProviderIds,
+          blocked: enabled,
+          scope: 'site',
+          tabId: tab.id,
+          url: tab.url
+        }
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Blocking could not be changed');
       }
+      alert(enabled ? 'Blocking enabled for this site. Page will reload.' : 'Blocking disabled for this site. Page will reload.');
 
       // Reload the page
       chrome.tabs.reload(tab.id);
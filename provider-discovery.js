@@ -0,0 +1,172 @@
+// Unknown provider discovery
+// When numbers swap but no known provider accounts for it, the content script
+// collects the third-party scripts that wrote the tracking number and the
+// requests that returned it. These helpers group that evidence by site and
+// turn it into a draft provider definition the user can review on the options page.
+
+// Second-level labels used under country code TLDs, e.g. example.co.uk
+const SECOND_LEVEL_LABELS = ['co', 'com', 'net', 'org', 'gov', 'ac', 'edu'];
+
+// Path segments that look like IDs (numbers, hashes, UUIDs) and vary between requests
+const ID_SEGMENT_PATTERN = /^(?=.*\d)[0-9a-f-]{6,}$|^\d+$/i;
+
+// Provider globals usually carry the vendor name, e.g. AcmeDNI for acmedni.com
+const MIN_NAME_MATCH_LENGTH = 4;
+
+const MAX_CANDIDATE_URLS = 5;
+
+/**
+ * Get the site (registrable domain) of a host name
+ * @param {string} hostname - Host name, e.g. cdn.acmedni.co.uk
+ * @returns {string} Site, e.g. acmedni.co.uk
+ */
+function getSiteDomain(hostname) {
+  const labels = (hostname || '').toLowerCase().split('.').filter(Boolean);
+  if (labels.length <= 2) return labels.join('.');
+
+  const secondLevel = labels[labels.length - 2];
+  const keep = labels[labels.length - 1].length === 2 && SECOND_LEVEL_LABELS.includes(secondLevel) ? 3 : 2;
+  return labels.slice(-keep).join('.');
+}
+
+/**
+ * Get the site of an http(s) URL
+ * @param {string} url - URL
+ * @returns {string|null} Site, or null for other URLs
+ */
+function getUrlSiteDomain(url) {
+  try {
+    const urlObj = new URL(url);
+    return urlObj.protocol === 'http:' || urlObj.protocol === 'https:' ? getSiteDomain(urlObj.hostname) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Turn a request path into a urlPathPatterns entry, replacing ID segments with *
+ * @param {string} url - Request URL
+ * @returns {string|null} Path pattern, e.g. /api/v1/numbers/*, or null for bare paths
+ */
+function toPathPattern(url) {
+  try {
+    const segments = new URL(url).pathname.split('/')
+      .map(segment => (ID_SEGMENT_PATTERN.test(segment) ? '*' : segment));
+    const pattern = segments.join('/');
+    return pattern === '/' || pattern === '' ? null : pattern;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Pick the globals whose names look like the vendor's site name
+ * @param {Array<string>} globals - Global variables the page gained after loading
+ * @param {string} site - Candidate site, e.g. acmedni.com
+ * @returns {Array<string>} Matching global variable names
+ */
+function matchDiscoveredGlobals(globals, site) {
+  const vendor = site.split('.')[0].replace(/[^a-z0-9]/g, '');
+  if (vendor.length < MIN_NAME_MATCH_LENGTH) return [];
+
+  return globals.filter(name => {
+    const normalized = name.toLowerCase().replace(/[^a-z0-9]/g, '');
+    return normalized.length >= MIN_NAME_MATCH_LENGTH && (normalized.includes(vendor) || vendor.includes(normalized));
+  });
+}
+
+/**
+ * Group discovery evidence into one candidate per third-party site
+ * @param {Array<Object>} evidence - { url, type, swap } where type is
+ *   'wroteNumber' (script on the stack), 'requestedNumber' (script that made the
+ *   request) or 'returnedNumber' (request whose response held the number)
+ * @param {Object} context - { pageUrl, globals, scriptUrls, requestUrls } from the page
+ * @returns {Array<Object>} Candidates with site, evidence, swaps and a draft definition
+ */
+function buildDiscoveryCandidates(evidence, context) {
+  const bySite = new Map();
+
+  evidence.forEach(({ url, type, swap }) => {
+    const site = getUrlSiteDomain(url);
+    if (!site) return;
+
+    if (!bySite.has(site)) {
+      bySite.set(site, { site: site, evidence: [], swaps: [], scripts: [], endpoints: [] });
+    }
+    const candidate = bySite.get(site);
+    if (!candidate.evidence.some(item => item.type === type && item.url === url)) {
+      candidate.evidence.push({ type: type, url: url });
+    }
+    const swapLabel = `${swap.original} → ${swap.tracking}`;
+    if (!candidate.swaps.includes(swapLabel)) {
+      candidate.swaps.push(swapLabel);
+    }
+    const list = type === 'returnedNumber' ? candidate.endpoints : candidate.scripts;
+    if (!list.includes(url)) {
+      list.push(url);
+    }
+  });
+
+  return Array.from(bySite.values()).map(candidate => {
+    // Other scripts and requests from the same site fill in the definition
+    const sameSite = url => getUrlSiteDomain(url) === candidate.site;
+    const scripts = [...new Set([...candidate.scripts, ...(context.scriptUrls || []).filter(sameSite)])]
+      .slice(0, MAX_CANDIDATE_URLS);
+    const endpoints = [...new Set([...candidate.endpoints, ...(context.requestUrls || []).filter(sameSite)])]
+      .slice(0, MAX_CANDIDATE_URLS);
+    const globals = matchDiscoveredGlobals(context.globals || [], candidate.site);
+
+    return {
+      ...candidate,
+      scripts: scripts,
+      endpoints: endpoints,
+      globals: globals,
+      definition: buildCandidateDefinition(candidate.site, scripts, endpoints, globals, context.pageUrl, candidate.swaps)
+    };
+  });
+}
+
+/**
+ * Draft a provider definition for a discovered site
+ * @param {string} site - Vendor site, e.g. acmedni.com
+ * @param {Array<string>} scripts - Script URLs from the site
+ * @param {Array<string>} endpoints - Request URLs from the site
+ * @param {Array<string>} globals - Global variables that look like the vendor's
+ * @param {string} pageUrl - Page the provider was found on
+ * @param {Array<string>} swaps - Swaps it performed, e.g. "(555) 123-4567 → (555) 987-6543"
+ * @returns {Object} Provider definition for the options page editor
+ */
+function buildCandidateDefinition(site, scripts, endpoints, globals, pageUrl, swaps) {
+  const vendor = site.split('.')[0];
+  const stripQuery = url => {
+    const urlObj = new URL(url);
+    return `${urlObj.hostname}${urlObj.pathname}`;
+  };
+  let foundOn = pageUrl;
+  try {
+    foundOn = new URL(pageUrl).hostname;
+  } catch {
+    // Keep the URL as given
+  }
+
+  return {
+    id: vendor.toLowerCase().replace(/[^a-z0-9_-]/g, '-').replace(/^[^a-z0-9]+/, '') || 'discovered',
+    name: vendor.charAt(0).toUpperCase() + vendor.slice(1),
+    description: `Discovered on ${foundOn}: swapped ${swaps.join(', ')}`,
+    domains: [site],
+    scriptPatterns: [...new Set(scripts.map(stripQuery))],
+    urlPathPatterns: [...new Set(endpoints.map(toPathPattern).filter(Boolean))],
+    globalVariables: globals
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    getSiteDomain,
+    getUrlSiteDomain,
+    toPathPattern,
+    matchDiscoveredGlobals,
+    buildDiscoveryCandidates,
+    buildCandidateDefinition
+  };
+}
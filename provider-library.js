@@ -0,0 +1,331 @@
+// Provider library: the bundled providers.json merged with user edits
+// Custom and edited providers are kept in chrome.storage.local; a custom provider
+// with the same ID as a bundled one replaces it. Shared by the background service
+// worker, the content script and the options page.
+
+const CUSTOM_PROVIDERS_KEY = 'customProviders';
+const DISABLED_PROVIDERS_KEY = 'disabledProviders';
+const PROVIDER_LIBRARY_EXPORT_VERSION = 1;
+
+// Pattern lists a provider definition can have, in display order
+const PROVIDER_PATTERN_FIELDS = [
+  'domains',
+  'scriptPatterns',
+  'signatures',
+  'urlPathPatterns',
+  'queryParamPatterns',
+  'globalVariables',
+  'cookiePatterns',
+  'storageKeyPatterns'
+];
+
+// Kinds of detection evidence; a provider's confidenceWeights can override the
+// default weight of any of them (see confidence.js)
+const PROVIDER_EVIDENCE_TYPES = [
+  'domain',
+  'scriptPattern',
+  'urlPath',
+  'queryParam',
+  'signature',
+  'globalVariable',
+  'networkSwapCall',
+  'observedSwap',
+  'swapAfterRequest',
+  'swapAfterScriptLoad'
+];
+
+const PROVIDER_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+const PROVIDER_DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}$/i;
+const GLOBAL_VARIABLE_PATTERN = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * Check a provider definition
+ * @param {Object} provider - Provider definition
+ * @returns {Array<string>} Problems found, empty if the provider is valid
+ */
+function validateProvider(provider) {
+  if (!provider || typeof provider !== 'object' || Array.isArray(provider)) {
+    return ['Provider must be an object'];
+  }
+
+  const errors = [];
+  const allowedFields = ['id', 'name', 'description', ...PROVIDER_PATTERN_FIELDS, 'confidenceWeights'];
+
+  Object.keys(provider).forEach(field => {
+    if (!allowedFields.includes(field)) {
+      errors.push(`Unknown field "${field}"`);
+    }
+  });
+
+  if (typeof provider.id !== 'string' || !PROVIDER_ID_PATTERN.test(provider.id)) {
+    errors.push('id must use lowercase letters, numbers, "-" and "_"');
+  }
+  if (typeof provider.name !== 'string' || !provider.name.trim()) {
+    errors.push('name is required');
+  }
+  if (provider.description !== undefined && typeof provider.description !== 'string') {
+    errors.push('description must be text');
+  }
+
+  PROVIDER_PATTERN_FIELDS.forEach(field => {
+    const value = provider[field];
+    if (value === undefined) return;
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item.trim())) {
+      errors.push(`${field} must be a list of non-empty strings`);
+    }
+  });
+
+  if (Array.isArray(provider.domains)) {
+    provider.domains.forEach(domain => {
+      if (typeof domain === 'string' && domain.trim() && !PROVIDER_DOMAIN_PATTERN.test(domain.trim())) {
+        errors.push(`"${domain}" is not a domain name`);
+      }
+    });
+  }
+
+  if (Array.isArray(provider.globalVariables)) {
+    provider.globalVariables.forEach(variable => {
+      if (typeof variable === 'string' && variable.trim() && !GLOBAL_VARIABLE_PATTERN.test(variable.trim())) {
+        errors.push(`"${variable}" is not a JavaScript variable name`);
+      }
+    });
+  }
+
+  if (provider.confidenceWeights !== undefined) {
+    const weights = provider.confidenceWeights;
+    if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+      errors.push('confidenceWeights must map evidence types to weights');
+    } else {
+      Object.entries(weights).forEach(([type, weight]) => {
+        if (!PROVIDER_EVIDENCE_TYPES.includes(type)) {
+          errors.push(`Unknown evidence type "${type}" in confidenceWeights`);
+        } else if (typeof weight !== 'number' || !(weight >= 0 && weight <= 1)) {
+          errors.push(`confidenceWeights.${type} must be a number from 0 to 1`);
+        }
+      });
+    }
+  }
+
+  const detectable = ['domains', 'scriptPatterns', 'signatures', 'globalVariables']
+    .some(field => Array.isArray(provider[field]) && provider[field].length > 0);
+  if (!detectable) {
+    errors.push('Add at least one domain, script pattern, signature or global variable');
+  }
+
+  return errors;
+}
+
+/**
+ * Trim a provider definition and give it every pattern list
+ * Detection code expects each list to exist
+ * @param {Object} provider - Valid provider definition
+ * @returns {Object} Normalized provider
+ */
+function normalizeProvider(provider) {
+  const normalized = {
+    id: provider.id.trim(),
+    name: provider.name.trim()
+  };
+  PROVIDER_PATTERN_FIELDS.forEach(field => {
+    normalized[field] = (provider[field] || []).map(item => item.trim());
+  });
+  normalized.description = (provider.description || '').trim();
+  if (provider.confidenceWeights && Object.keys(provider.confidenceWeights).length > 0) {
+    normalized.confidenceWeights = { ...provider.confidenceWeights };
+  }
+  return normalized;
+}
+
+/**
+ * Load the providers bundled with the extension
+ * @returns {Promise<Array>} Providers from providers.json
+ */
+async function fetchBundledProviders() {
+  const response = await fetch(chrome.runtime.getURL('providers.json'));
+  const data = await response.json();
+  return data.providers || [];
+}
+
+/**
+ * Get the providers added or edited by the user
+ * @returns {Promise<Array>} Custom providers
+ */
+async function getCustomProviders() {
+  const result = await chrome.storage.local.get(CUSTOM_PROVIDERS_KEY);
+  return result[CUSTOM_PROVIDERS_KEY] || [];
+}
+
+/**
+ * Get the IDs of disabled providers
+ * @returns {Promise<Array<string>>} Provider IDs
+ */
+async function getDisabledProviderIds() {
+  const result = await chrome.storage.local.get(DISABLED_PROVIDERS_KEY);
+  return result[DISABLED_PROVIDERS_KEY] || [];
+}
+
+/**
+ * Merge bundled and custom providers
+ * @param {Array} bundled - Providers from providers.json
+ * @param {Array} custom - Custom providers, replacing bundled ones with the same ID
+ * @param {Array<string>} disabledIds - Disabled provider IDs
+ * @returns {Array} Providers with source ('bundled', 'edited' or 'custom') and enabled flags
+ */
+function mergeProviderLibrary(bundled, custom, disabledIds) {
+  const customById = new Map(custom.map(provider => [provider.id, provider]));
+  const bundledIds = new Set(bundled.map(provider => provider.id));
+
+  const merged = [
+    ...bundled.map(provider => customById.has(provider.id)
+      ? { ...normalizeProvider(customById.get(provider.id)), source: 'edited' }
+      : { ...normalizeProvider(provider), source: 'bundled' }),
+    ...custom
+      .filter(provider => !bundledIds.has(provider.id))
+      .map(provider => ({ ...normalizeProvider(provider), source: 'custom' }))
+  ];
+
+  return merged.map(provider => ({ ...provider, enabled: !disabledIds.includes(provider.id) }));
+}
+
+/**
+ * Get every provider, including disabled ones
+ * @returns {Promise<Array>} Merged provider library
+ */
+async function getProviderLibrary() {
+  const [bundled, custom, disabledIds] = await Promise.all([
+    fetchBundledProviders(),
+    getCustomProviders(),
+    getDisabledProviderIds()
+  ]);
+  return mergeProviderLibrary(bundled, custom, disabledIds);
+}
+
+/**
+ * Get the providers used for detection
+ * @returns {Promise<Array>} Enabled providers
+ */
+async function getActiveProviders() {
+  const library = await getProviderLibrary();
+  return library.filter(provider => provider.enabled);
+}
+
+/**
+ * Add a provider, or replace the provider with the same ID
+ * @param {Object} provider - Provider definition
+ * @returns {Promise<Object>} Saved provider
+ * @throws {Error} If the provider isn't valid
+ */
+async function saveCustomProvider(provider) {
+  const errors = validateProvider(provider);
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+
+  const saved = normalizeProvider(provider);
+  const custom = await getCustomProviders();
+  await chrome.storage.local.set({
+    [CUSTOM_PROVIDERS_KEY]: [...custom.filter(p => p.id !== saved.id), saved]
+  });
+  return saved;
+}
+
+/**
+ * Delete a custom provider; for an edited bundled provider this restores the original
+ * @param {string} providerId - Provider ID
+ * @returns {Promise<void>}
+ */
+async function deleteCustomProvider(providerId) {
+  const [custom, disabledIds] = await Promise.all([getCustomProviders(), getDisabledProviderIds()]);
+  await chrome.storage.local.set({
+    [CUSTOM_PROVIDERS_KEY]: custom.filter(provider => provider.id !== providerId),
+    [DISABLED_PROVIDERS_KEY]: disabledIds.filter(id => id !== providerId)
+  });
+}
+
+/**
+ * Enable or disable a provider
+ * @param {string} providerId - Provider ID
+ * @param {boolean} enabled - Whether the provider is used for detection
+ * @returns {Promise<void>}
+ */
+async function setProviderEnabled(providerId, enabled) {
+  const disabledIds = (await getDisabledProviderIds()).filter(id => id !== providerId);
+  if (!enabled) {
+    disabledIds.push(providerId);
+  }
+  await chrome.storage.local.set({ [DISABLED_PROVIDERS_KEY]: disabledIds });
+}
+
+/**
+ * Build the export of the user's provider changes
+ * @returns {Promise<Object>} Custom providers and disabled provider IDs
+ */
+async function buildProviderLibraryExport() {
+  const [custom, disabledIds] = await Promise.all([getCustomProviders(), getDisabledProviderIds()]);
+  return {
+    version: PROVIDER_LIBRARY_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    providers: custom,
+    disabled: disabledIds
+  };
+}
+
+/**
+ * Import providers from an export, a providers.json file or a list of providers
+ * Imported providers replace custom providers with the same ID
+ * @param {Object|Array} data - Parsed JSON
+ * @returns {Promise<Object>} { imported, disabled } counts
+ * @throws {Error} If any provider isn't valid; nothing is imported then
+ */
+async function importProviderLibrary(data) {
+  const imported = Array.isArray(data) ? data : (data && data.providers);
+  if (!Array.isArray(imported)) {
+    throw new Error('File should contain a "providers" list');
+  }
+
+  const problems = [];
+  imported.forEach((provider, index) => {
+    const errors = validateProvider(provider);
+    if (errors.length > 0) {
+      const label = provider && typeof provider.id === 'string' ? provider.id : `#${index + 1}`;
+      problems.push(`${label}: ${errors.join('; ')}`);
+    }
+  });
+  if (problems.length > 0) {
+    throw new Error(problems.join('\n'));
+  }
+
+  const importedProviders = imported.map(normalizeProvider);
+  const importedIds = new Set(importedProviders.map(provider => provider.id));
+  const importedDisabled = Array.isArray(data.disabled) ? data.disabled.filter(id => typeof id === 'string') : [];
+
+  const [custom, disabledIds] = await Promise.all([getCustomProviders(), getDisabledProviderIds()]);
+  await chrome.storage.local.set({
+    [CUSTOM_PROVIDERS_KEY]: [...custom.filter(provider => !importedIds.has(provider.id)), ...importedProviders],
+    [DISABLED_PROVIDERS_KEY]: [...new Set([...disabledIds, ...importedDisabled])]
+  });
+
+  return { imported: importedProviders.length, disabled: importedDisabled.length };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CUSTOM_PROVIDERS_KEY,
+    DISABLED_PROVIDERS_KEY,
+    PROVIDER_PATTERN_FIELDS,
+    PROVIDER_EVIDENCE_TYPES,
+    validateProvider,
+    normalizeProvider,
+    fetchBundledProviders,
+    getCustomProviders,
+    getDisabledProviderIds,
+    mergeProviderLibrary,
+    getProviderLibrary,
+    getActiveProviders,
+    saveCustomProvider,
+    deleteCustomProvider,
+    setProviderEnabled,
+    buildProviderLibraryExport,
+    importProviderLibrary
+  };
+}
@@ -0,0 +1,241 @@
+// Provider library linter
+// Flags provider patterns likely to cause false positives: patterns shared with
+// or contained in another provider's, generic substrings, and wildcards the
+// matchers in utils.js don't treat as wildcards. Shared by the options page and
+// lint-providers.js, which runs it over providers.json with Node; the background
+// worker uses isGenericDomain to leave such domains out of blocking rules.
+
+// In the extension the validator is a global from provider-library.js
+const validateProviderDefinition = typeof validateProvider === 'function'
+  ? validateProvider
+  : require('./provider-library.js').validateProvider;
+
+// Fields matched as plain substrings (matchesTrackingUrl, inline signatures, query keys)
+const SUBSTRING_FIELDS = ['domains', 'scriptPatterns', 'signatures', 'queryParamPatterns'];
+// Fields where * is not a wildcard
+const LITERAL_FIELDS = [...SUBSTRING_FIELDS, 'globalVariables'];
+// Fields matched with * wildcards against the whole cookie or storage key name
+const NAME_PATTERN_FIELDS = ['cookiePatterns', 'storageKeyPatterns'];
+
+// Substrings shorter than this match too many unrelated URLs and scripts
+const MIN_PATTERN_LENGTH = 4;
+
+// Words that appear in many sites' own URLs, scripts and parameters
+const GENERIC_WORDS = [
+  'api', 'call', 'calls', 'campaign_id', 'conversion', 'dni', 'id', 'label', 'lead_id', 'number',
+  'phone', 'session', 'session_id', 'swap', 'track', 'tracking', 'tracking_id', 'account_id', 'v1'
+];
+
+// Script file names used by many unrelated vendors
+const GENERIC_SCRIPT_NAMES = ['ls.js', 'track.js', 'tracking.js', 'analytics.js', 'main.js', 'app.js'];
+
+// Domains that serve far more than call tracking
+const GENERIC_DOMAINS = [
+  'google.com', 'googleapis.com', 'gstatic.com', 'googletagmanager.com', 'facebook.com',
+  'facebook.net', 'cloudflare.com', 'cloudfront.net', 'amazonaws.com', 'jsdelivr.net', 'unpkg.com'
+];
+
+/**
+ * Check whether a domain serves far more than call tracking
+ * @param {string} domain - Provider domain
+ * @returns {boolean} True if blocking or matching it would hit unrelated requests
+ */
+function isGenericDomain(domain) {
+  return GENERIC_DOMAINS.includes(domain.toLowerCase());
+}
+
+function createIssue(severity, rule, provider, field, pattern, message) {
+  return {
+    severity: severity,
+    rule: rule,
+    providerId: provider.id,
+    field: field,
+    pattern: pattern,
+    message: message
+  };
+}
+
+// Wildcards used where the matcher doesn't support them, or that make a pattern match everything
+function lintWildcards(provider) {
+  const issues = [];
+
+  LITERAL_FIELDS.forEach(field => {
+    (provider[field] || []).forEach(pattern => {
+      if (pattern.includes('*')) {
+        issues.push(createIssue('error', 'invalidWildcard', provider, field, pattern,
+          `* is matched literally in ${field}, so this pattern never matches`));
+      }
+    });
+  });
+
+  (provider.urlPathPatterns || []).forEach(pattern => {
+    if (/[?#]/.test(pattern)) {
+      issues.push(createIssue('error', 'invalidWildcard', provider, 'urlPathPatterns', pattern,
+        'Only the URL path is matched, so a query string or fragment never matches'));
+    } else if (/^[^/*]*\.[a-z]{2,}\//i.test(pattern) || pattern.includes('://')) {
+      issues.push(createIssue('error', 'invalidWildcard', provider, 'urlPathPatterns', pattern,
+        'Only the URL path is matched, so a host name never matches; put it in domains'));
+    }
+    if (pattern.includes('**')) {
+      issues.push(createIssue('warning', 'invalidWildcard', provider, 'urlPathPatterns', pattern,
+        '** is the same as *'));
+    }
+  });
+
+  ['urlPathPatterns', ...NAME_PATTERN_FIELDS].forEach(field => {
+    (provider[field] || []).forEach(pattern => {
+      if (/^[*/]*$/.test(pattern)) {
+        issues.push(createIssue('error', 'invalidWildcard', provider, field, pattern,
+          'Pattern matches everything'));
+      }
+    });
+  });
+
+  return issues;
+}
+
+// Patterns short or common enough to match unrelated sites
+function lintGenericPatterns(provider) {
+  const issues = [];
+
+  (provider.domains || []).forEach(domain => {
+    if (isGenericDomain(domain)) {
+      issues.push(createIssue('warning', 'genericPattern', provider, 'domains', domain,
+        'Domain serves much more than call tracking; use a more specific host or path'));
+    }
+  });
+
+  ['scriptPatterns', 'signatures', 'queryParamPatterns'].forEach(field => {
+    (provider[field] || []).forEach(pattern => {
+      const normalized = pattern.toLowerCase().replace(/^\//, '');
+      if (GENERIC_WORDS.includes(normalized) || GENERIC_SCRIPT_NAMES.includes(normalized)) {
+        issues.push(createIssue('warning', 'genericPattern', provider, field, pattern,
+          'Common name used by many sites and vendors'));
+      } else if (normalized.length < MIN_PATTERN_LENGTH) {
+        issues.push(createIssue('warning', 'genericPattern', provider, field, pattern,
+          `Substrings shorter than ${MIN_PATTERN_LENGTH} characters match unrelated URLs and scripts`));
+      }
+    });
+  });
+
+  (provider.urlPathPatterns || []).forEach(pattern => {
+    const segments = pattern.toLowerCase().split(/[/*]+/).filter(Boolean);
+    // Short product prefixes like /ctm/ are fine as path segments
+    const specific = segments.filter(segment => !GENERIC_WORDS.includes(segment) && segment.length >= 3);
+    if (segments.length > 0 && specific.length === 0) {
+      issues.push(createIssue('warning', 'genericPattern', provider, 'urlPathPatterns', pattern,
+        'Path only has generic segments, so it matches many sites\' own URLs'));
+    }
+  });
+
+  NAME_PATTERN_FIELDS.forEach(field => {
+    (provider[field] || []).forEach(pattern => {
+      const match = pattern.match(/^([^*]+)\*+$/);
+      // Patterns that are all wildcard are already errors
+      if (match && match[1].replace(/[^a-z0-9]/gi, '').length < MIN_PATTERN_LENGTH) {
+        issues.push(createIssue('warning', 'genericPattern', provider, field, pattern,
+          `Prefixes shorter than ${MIN_PATTERN_LENGTH} characters match other scripts' cookies and storage keys; list the exact names`));
+      }
+    });
+  });
+
+  return issues;
+}
+
+// Whether matching one pattern implies matching the other
+function patternsOverlap(field, a, b) {
+  const lowerA = a.toLowerCase();
+  const lowerB = b.toLowerCase();
+  if (SUBSTRING_FIELDS.includes(field)) {
+    return lowerA.includes(lowerB) || lowerB.includes(lowerA);
+  }
+  return lowerA === lowerB;
+}
+
+// Patterns that would attribute the same script, request or cookie to two providers
+function lintOverlaps(providers) {
+  const issues = [];
+  const fields = [...LITERAL_FIELDS, 'urlPathPatterns', ...NAME_PATTERN_FIELDS];
+
+  providers.forEach((provider, index) => {
+    providers.slice(index + 1).forEach(other => {
+      fields.forEach(field => {
+        (provider[field] || []).forEach(pattern => {
+          (other[field] || []).forEach(otherPattern => {
+            if (!patternsOverlap(field, pattern, otherPattern)) return;
+
+            const message = pattern.toLowerCase() === otherPattern.toLowerCase()
+              ? `Also used by ${other.id}`
+              : `Overlaps "${otherPattern}" from ${other.id}`;
+            issues.push(createIssue('warning', 'overlap', provider, field, pattern, message));
+          });
+        });
+      });
+    });
+  });
+
+  return issues;
+}
+
+/**
+ * Lint a list of providers
+ * @param {Array<Object>} providers - Provider definitions
+ * @returns {Array<Object>} Issues: { severity, rule, providerId, field, pattern, message }
+ */
+function lintProviders(providers) {
+  const issues = [];
+  const seenIds = new Set();
+
+  providers.forEach((provider, index) => {
+    const label = provider && typeof provider.id === 'string' ? provider : { id: `#${index + 1}` };
+
+    validateProviderDefinition(provider).forEach(error => {
+      issues.push(createIssue('error', 'schema', label, null, null, error));
+    });
+    if (seenIds.has(label.id)) {
+      issues.push(createIssue('error', 'schema', label, 'id', label.id, 'Duplicate provider ID'));
+    }
+    seenIds.add(label.id);
+  });
+
+  // Pattern checks only need the pattern lists to be lists of strings
+  const wellFormed = providers.filter(provider =>
+    provider && typeof provider === 'object' &&
+    [...LITERAL_FIELDS, 'urlPathPatterns', ...NAME_PATTERN_FIELDS].every(field =>
+      provider[field] === undefined || (Array.isArray(provider[field]) && provider[field].every(item => typeof item === 'string'))
+    )
+  );
+  wellFormed.forEach(provider => {
+    issues.push(...lintWildcards(provider), ...lintGenericPatterns(provider));
+  });
+  issues.push(...lintOverlaps(wellFormed));
+
+  return issues;
+}
+
+/**
+ * Lint a provider library file's contents
+ * @param {Object} data - Parsed providers.json
+ * @returns {Array<Object>} Issues, as from lintProviders
+ */
+function lintProviderLibrary(data) {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.providers)) {
+    return [createIssue('error', 'schema', { id: null }, 'providers', null, 'File must have a "providers" list')];
+  }
+
+  const issues = [];
+  Object.keys(data).forEach(key => {
+    if (key !== 'providers' && key !== '$schema') {
+      issues.push(createIssue('error', 'schema', { id: null }, key, null, `Unknown top-level field "${key}"`));
+    }
+  });
+  return [...issues, ...lintProviders(data.providers)];
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    isGenericDomain,
+    lintProviders,
+    lintProviderLibrary
+  };
+}
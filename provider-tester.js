@@ -0,0 +1,118 @@
+// Live test of a provider definition against a page, for the options page
+// Collects what the detector looks at (script URLs, inline scripts, network
+// requests, global variables, cookies and storage keys) from the tab and reports
+// which of the provider's patterns match.
+// Depends on utils.js (matchesTrackingUrl, matchesNamePattern) and
+// provider-library.js (validateProvider, normalizeProvider).
+
+// Collect script URLs, network requests, inline signature hits and storage keys from the top frame
+async function collectPageSignals(tabId, signatures) {
+  const [injection] = await chrome.scripting.executeScript({
+    target: { tabId: tabId, frameIds: [0] },
+    args: [signatures],
+    func: (signaturesToFind) => {
+      const inlineText = Array.from(document.querySelectorAll('script:not([src])'))
+        .map(script => script.textContent.toLowerCase());
+      const readKeys = (storage) => {
+        try {
+          return Object.keys(storage);
+        } catch (e) {
+          // Storage can be blocked for the page
+          return [];
+        }
+      };
+
+      return {
+        scriptUrls: Array.from(document.querySelectorAll('script[src]')).map(script => script.src),
+        requestUrls: performance.getEntriesByType('resource').map(entry => entry.name),
+        inlineSignatures: signaturesToFind.filter(signature =>
+          inlineText.some(text => text.includes(signature.toLowerCase()))
+        ),
+        storageKeys: [...readKeys(window.localStorage), ...readKeys(window.sessionStorage)]
+      };
+    }
+  });
+  return injection?.result || { scriptUrls: [], requestUrls: [], inlineSignatures: [], storageKeys: [] };
+}
+
+// Check which global variables exist in the page's own context
+async function findGlobalVariables(tabId, variables) {
+  if (variables.length === 0) return [];
+
+  const [injection] = await chrome.scripting.executeScript({
+    target: { tabId: tabId, frameIds: [0] },
+    world: 'MAIN',
+    args: [variables],
+    func: (variablesToFind) => variablesToFind.filter(variable => {
+      try {
+        return typeof window[variable] !== 'undefined';
+      } catch (e) {
+        return false;
+      }
+    })
+  });
+  return injection?.result || [];
+}
+
+/**
+ * Test a provider definition against the page open in a tab
+ * @param {Object} provider - Provider definition, saved or not
+ * @param {number} tabId - Tab to test against
+ * @returns {Promise<Object>} { url, matches, checked }
+ * @throws {Error} If the provider isn't valid or the page can't be scripted
+ */
+async function testProviderOnTab(provider, tabId) {
+  const errors = validateProvider(provider);
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+
+  const normalized = normalizeProvider(provider);
+  const tab = await chrome.tabs.get(tabId);
+  const [signals, foundVariables, cookies] = await Promise.all([
+    collectPageSignals(tabId, normalized.signatures),
+    findGlobalVariables(tabId, normalized.globalVariables),
+    chrome.cookies.getAll({ url: tab.url })
+  ]);
+
+  const matches = [];
+  const addUrlMatches = (urls, type) => {
+    [...new Set(urls)].forEach(url => {
+      const result = matchesTrackingUrl(url, normalized);
+      if (result.matches) {
+        matches.push({ type: type, value: url, matchType: result.matchType, matchedPattern: result.matchedPattern });
+      }
+    });
+  };
+  const addNameMatches = (names, type, field) => {
+    [...new Set(names)].forEach(name => {
+      const matchedPattern = matchesNamePattern(name, normalized[field]);
+      if (matchedPattern) {
+        matches.push({ type: type, value: name, matchType: field, matchedPattern: matchedPattern });
+      }
+    });
+  };
+
+  addUrlMatches(signals.scriptUrls, 'script');
+  // Scripts also show up as resource timing entries
+  addUrlMatches(signals.requestUrls.filter(url => !signals.scriptUrls.includes(url)), 'request');
+  signals.inlineSignatures.forEach(signature => {
+    matches.push({ type: 'inlineScript', value: 'inline script', matchType: 'signature', matchedPattern: signature });
+  });
+  foundVariables.forEach(variable => {
+    matches.push({ type: 'globalVariable', value: `window.${variable}`, matchType: 'globalVariable', matchedPattern: variable });
+  });
+  addNameMatches(cookies.map(cookie => cookie.name), 'cookie', 'cookiePatterns');
+  addNameMatches(signals.storageKeys, 'storage', 'storageKeyPatterns');
+
+  return {
+    url: tab.url,
+    matches: matches,
+    checked: {
+      scripts: signals.scriptUrls.length,
+      requests: signals.requestUrls.length,
+      cookies: cookies.length,
+      storageKeys: signals.storageKeys.length
+    }
+  };
+}
@@ -0,0 +1,125 @@
+// Referrer simulation for the background service worker
+// The Referer header is set with a declarativeNetRequest session rule scoped to
+// one tab, and document.referrer is overridden by injected-referrer.js, a MAIN
+// world content script on every page. It reads the value from a marker in the
+// URL fragment of that one navigation, which never reaches the server and
+// follows redirects to other hosts, and removes it before page scripts run.
+// Each tab gets its own rule, so runs in different tabs don't mix referrers.
+// Depends on crawler.js (waitForTabComplete, CRAWL_PAGE_TIMEOUT_MS).
+
+const REFERRER_FRAGMENT_PREFIX = '__ctd_referrer=';
+// Session rule IDs reserved for simulated Referer headers, below BLOCKING_RULE_ID_BASE
+const REFERRER_RULE_ID_MIN = 1;
+const REFERRER_RULE_ID_MAX = 999;
+
+// Session rule ID per tab simulating a referrer
+const referrerRuleIds = new Map();
+
+// Compare page URLs without their fragments
+function stripFragment(url) {
+  const parsed = new URL(url);
+  parsed.hash = '';
+  return parsed.href;
+}
+
+// The tab's rule ID, or the lowest one no other tab is using
+function getReferrerRuleId(tabId) {
+  if (referrerRuleIds.has(tabId)) return referrerRuleIds.get(tabId);
+
+  const used = new Set(referrerRuleIds.values());
+  for (let id = REFERRER_RULE_ID_MIN; id <= REFERRER_RULE_ID_MAX; id++) {
+    if (!used.has(id)) {
+      referrerRuleIds.set(tabId, id);
+      return id;
+    }
+  }
+  throw new Error('Too many tabs simulating a referrer');
+}
+
+/**
+ * Make the next page load in a tab look like it came from a referrer
+ * If the tab already shows the page it's moved to a blank page first, since
+ * changing only the fragment wouldn't load the page again
+ * @param {number} tabId - Tab ID
+ * @param {string} url - URL that will be loaded
+ * @param {string} referrer - Referrer to simulate
+ * @returns {Promise<string>} URL to load, with the referrer marker in its fragment
+ */
+async function setSimulatedReferrer(tabId, url, referrer) {
+  const target = new URL(url);
+  const ruleId = getReferrerRuleId(tabId);
+
+  await chrome.declarativeNetRequest.updateSessionRules({
+    removeRuleIds: [ruleId],
+    addRules: [{
+      id: ruleId,
+      priority: 1,
+      action: {
+        type: 'modifyHeaders',
+        requestHeaders: [{ header: 'referer', operation: 'set', value: referrer }]
+      },
+      condition: {
+        tabIds: [tabId],
+        resourceTypes: ['main_frame']
+      }
+    }]
+  });
+
+  const tab = await chrome.tabs.get(tabId);
+  if (tab.url && /^https?:/.test(tab.url) && stripFragment(tab.url) === stripFragment(url)) {
+    const blankLoaded = waitForTabComplete(tabId, CRAWL_PAGE_TIMEOUT_MS);
+    await chrome.tabs.update(tabId, { url: 'about:blank' });
+    await blankLoaded;
+  }
+
+  // The page's own fragment, if any, follows the marker
+  const fragment = target.hash;
+  target.hash = '';
+  return `${target.href}#${REFERRER_FRAGMENT_PREFIX}${encodeURIComponent(referrer)}${fragment}`;
+}
+
+/**
+ * Stop simulating a referrer in a tab
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<void>}
+ */
+async function clearSimulatedReferrer(tabId) {
+  if (!referrerRuleIds.has(tabId)) return;
+
+  const ruleId = referrerRuleIds.get(tabId);
+  referrerRuleIds.delete(tabId);
+  await chrome.declarativeNetRequest.updateSessionRules({ removeRuleIds: [ruleId] });
+}
+
+/**
+ * Remove every simulated referrer; run at startup, in case the worker stopped
+ * while simulating one
+ * @returns {Promise<void>}
+ */
+async function clearAllSimulatedReferrers() {
+  referrerRuleIds.clear();
+  const rules = await chrome.declarativeNetRequest.getSessionRules();
+  await chrome.declarativeNetRequest.updateSessionRules({
+    removeRuleIds: rules
+      .filter(rule => rule.id >= REFERRER_RULE_ID_MIN && rule.id <= REFERRER_RULE_ID_MAX)
+      .map(rule => rule.id)
+  });
+}
+
+/**
+ * Load a URL in a tab as if the visitor came from a referrer
+ * @param {number} tabId - Tab ID
+ * @param {string} url - URL to load
+ * @param {string} referrer - Referrer to simulate
+ * @returns {Promise<boolean>} True if the page finished loading
+ */
+async function loadWithReferrer(tabId, url, referrer) {
+  try {
+    const markedUrl = await setSimulatedReferrer(tabId, url, referrer);
+    const pageLoaded = waitForTabComplete(tabId, CRAWL_PAGE_TIMEOUT_MS);
+    await chrome.tabs.update(tabId, { url: markedUrl });
+    return await pageLoaded;
+  } finally {
+    await clearSimulatedReferrer(tabId);
+  }
+}
@@ -2,6 +2,10 @@
 
 let currentTabId = null;
 let isScanning = false;
+let currentDetection = null;
+let currentCrawl = null;
+let allTrafficSources = TRAFFIC_SOURCES;
+let blockingState = null;
 
 // Initialize the side panel
 document.addEventListener('DOMContentLoaded', async () => {
@@ -26,6 +30,11 @@ document.addEventListener('DOMContentLoaded', async () => {
   if (currentTabId) {
     loadDetectionResults();
   }
+
+  // Show a crawl, comparison or pool discovery that's running or finished while the panel was closed
+  loadCrawlState();
+  loadSourceCompareState();
+  loadPoolState();
 });
 
 // Update current tab and display URL
@@ -36,6 +45,8 @@ async function updateCurrentTab() {
     if (tab) {
       currentTabId = tab.id;
       displayCurrentUrl(tab.url);
+      loadPhoneRegionSetting(tab.url);
+      loadBlockingState(tab.url);
       console.log('[Side Panel] Current tab:', currentTabId, tab.url);
     }
   } catch (error) {
@@ -56,13 +67,59 @@ function displayCurrentUrl(url) {
   }
 }
 
+// Show the phone region configured for a site
+async function loadPhoneRegionSetting(url) {
+  const select = document.getElementById('phoneRegion');
+  if (!select || !url) return;
+
+  try {
+    const hostname = new URL(url).hostname;
+    const { phoneRegions = {} } = await chrome.storage.local.get('phoneRegions');
+    select.value = phoneRegions[hostname] || '';
+  } catch {
+    select.value = '';
+  }
+}
+
+// Save the phone region for the current site and rescan with it
+async function savePhoneRegionSetting(region) {
+  try {
+    const tab = await chrome.tabs.get(currentTabId);
+    const hostname = new URL(tab.url).hostname;
+    const { phoneRegions = {} } = await chrome.storage.local.get('phoneRegions');
+
+    if (region) {
+      phoneRegions[hostname] = region;
+    } else {
+      delete phoneRegions[hostname];
+    }
+    await chrome.storage.local.set({ phoneRegions });
+
+    updateStatus('Rescanning...', 'default');
+    await chrome.tabs.sendMessage(currentTabId, { action: 'rescan' });
+    setTimeout(() => {
+      loadDetectionResults();
+    }, 1000);
+  } catch (error) {
+    console.error('[Side Panel] Error saving phone region:', error);
+    alert('Could not change phone region. Try reloading the page.');
+  }
+}
+
 // Handle tab change
 async function handleTabChange(activeInfo) {
   console.log('[Side Panel] Tab changed to:', activeInfo.tabId);
+
+  // Marks belong to the page they were turned on for
+  if (currentTabId && document.getElementById('markNumbersToggle').checked) {
+    setPageMarking(false);
+  }
   currentTabId = activeInfo.tabId;
 
   const tab = await chrome.tabs.get(currentTabId);
   displayCurrentUrl(tab.url);
+  loadPhoneRegionSetting(tab.url);
+  loadBlockingState(tab.url);
 
   // Clear current results
   clearResults();
@@ -84,6 +141,8 @@ function handleTabUpdate(tabId, changeInfo, tab) {
 
     if (changeInfo.url) {
       displayCurrentUrl(changeInfo.url);
+      loadPhoneRegionSetting(changeInfo.url);
+      loadBlockingState(changeInfo.url);
       clearResults();
     }
 
@@ -98,21 +157,41 @@ function handleTabUpdate(tabId, changeInfo, tab) {
 
 // Handle messages
 function handleMessage(request, sender, sendResponse) {
-  if (request.action === 'detectionUpdated' && sender.tab?.id === currentTabId) {
+  if (request.action === 'detectionUpdated' && request.tabId === currentTabId) {
     console.log('[Side Panel] Detection updated for current tab');
     loadDetectionResults();
   }
+
+  if (request.action === 'crawlProgress') {
+    displayCrawl(request.crawl);
+  }
+
+  if (request.action === 'compareProgress') {
+    displaySourceCompare(request.compare);
+  }
+
+  if (request.action === 'poolProgress') {
+    displayPoolDiscovery(request.pool);
+  }
 }
 
 // Clear results display
 function clearResults() {
+  currentDetection = null;
   updateStatus('Scanning...', 'default');
   displayTrackers([]);
   displayPhoneNumbers([], []);
   displaySwaps([]);
+  displayCoverage(null);
+  displayDiscoveries([], []);
+  displayHistory([]);
+  displayTrackingData(null);
+  displayBlockedRequests(null);
+  // A new page starts without marks
+  document.getElementById('markNumbersToggle').checked = false;
 }
 
-// Load detection results from content script
+// Load detection results for the current tab from the background store
 async function loadDetectionResults() {
   if (isScanning) return;
   isScanning = true;
@@ -122,39 +201,28 @@ async function loadDetectionResults() {
       await updateCurrentTab();
     }
 
-    // Try to get results from content script
-    const response = await chrome.tabs.sendMessage(currentTabId, { action: 'getDetection' });
-
-    if (response) {
-      displayResults(response);
-    } else {
-      // Fall back to storage
-      await loadFromStorage();
-    }
-  } catch (error) {
-    console.log('[Side Panel] Could not get detection from content script:', error);
-    // Fall back to storage
-    await loadFromStorage();
-  } finally {
-    isScanning = false;
-  }
-}
-
-// Load from chrome storage
-async function loadFromStorage() {
-  try {
-    const tab = await chrome.tabs.get(currentTabId);
-    const key = `detection_${tab.url}`;
-    const result = await chrome.storage.local.get(key);
+    const response = await chrome.runtime.sendMessage({
+      action: 'getTabDetection',
+      tabId: currentTabId
+    });
 
-    if (result[key]) {
-      displayResults(result[key]);
+    if (response?.detection) {
+      currentDetection = response.detection;
+      displayResults(response.detection);
+      loadHistory(response.detection.url);
+      loadTrackingData(response.detection.url);
+      // getMatchedRules is rate limited, so only check once the scan has finished
+      if (response.detection.scanComplete && isBlockingActive()) {
+        loadBlockedRequests();
+      }
     } else {
       updateStatus('No detection data available', 'gray');
     }
   } catch (error) {
-    console.error('[Side Panel] Error loading from storage:', error);
+    console.error('[Side Panel] Error loading detection results:', error);
     updateStatus('Error loading data', 'error');
+  } finally {
+    isScanning = false;
   }
 }
 
@@ -165,6 +233,9 @@ function displayResults(data) {
     originalNumbers = [],
     currentNumbers = [],
     swaps = [],
+    discoveries = [],
+    coverage = null,
+    confidence = [],
     scanComplete = false
   } = data;
 
@@ -183,13 +254,17 @@ function displayResults(data) {
   }
 
   // Display trackers
-  displayTrackers(detectedTrackers);
+  displayTrackers(detectedTrackers, confidence);
 
   // Display phone numbers
   displayPhoneNumbers(originalNumbers, currentNumbers);
 
   // Display swaps (always call, it will handle empty state)
   displaySwaps(swaps);
+
+  displayCoverage(coverage);
+
+  displayDiscoveries(discoveries, swaps);
 }
 
 // Update status message
@@ -212,7 +287,7 @@ function updateStatus(message, type = 'default') {
 }
 
 // Display detected trackers
-function displayTrackers(trackers) {
+function displayTrackers(trackers, confidence = []) {
   const trackerCount = document.getElementById('trackerCount');
   const trackerList = document.getElementById('trackerList');
 
@@ -244,7 +319,8 @@ function displayTrackers(trackers) {
     const detailsId = `tracker-details-${index}`;
 
     // Count different detection methods
-    const externalScripts = scripts.filter(s => !s.isInline);
+    const globalVariables = scripts.filter(s => s.matchType === 'globalVariable');
+    const externalScripts = scripts.filter(s => !s.isInline && s.matchType !== 'globalVariable');
     const inlineScripts = scripts.filter(s => s.isInline);
 
     // Build detection details
@@ -274,6 +350,39 @@ function displayTrackers(trackers) {
       detailsHtml += '</div>';
     }
 
+    // Global variables, with the version and account details they expose
+    if (globalVariables.length > 0) {
+      detailsHtml += '<div class="detection-section">';
+      detailsHtml += '<div class="detection-section-title">🌍 Global Variables Detected:</div>';
+      globalVariables.forEach(s => {
+        detailsHtml += `<div class="detection-item">
+          <span class="detection-label">Variable:</span>
+          <span class="detection-value">${escapeHtml(s.globalVariable)}</span>
+        </div>`;
+        Object.entries(s.globalInfo || {}).forEach(([key, value]) => {
+          detailsHtml += `<div class="detection-item">
+            <span class="detection-label">${escapeHtml(s.globalVariable)}.${escapeHtml(key)}:</span>
+            <span class="detection-value">${escapeHtml(value)}</span>
+          </div>`;
+        });
+      });
+      detailsHtml += '</div>';
+    }
+
+    // Evidence behind the confidence score
+    const providerConfidence = confidence.find(c => c.providerId === scripts[0].providerId);
+    if (providerConfidence) {
+      detailsHtml += '<div class="detection-section">';
+      detailsHtml += `<div class="detection-section-title">🎯 Confidence: ${providerConfidence.label} (${Math.round(providerConfidence.score * 100)}%)</div>`;
+      providerConfidence.evidence.forEach(item => {
+        detailsHtml += `<div class="detection-item">
+          <span class="detection-label">✓ ${escapeHtml(item.label)} (${Math.round(item.weight * 100)}%):</span>
+          <span class="detection-value">${escapeHtml(item.detail)}</span>
+        </div>`;
+      });
+      detailsHtml += '</div>';
+    }
+
     // Detection method explanation
     detailsHtml += '<div class="detection-section">';
     detailsHtml += '<div class="detection-section-title">🔍 Detection Method:</div>';
@@ -284,6 +393,9 @@ function displayTrackers(trackers) {
     if (inlineScripts.length > 0) {
       detailsHtml += '<span class="detection-value">✓ Found provider-specific JavaScript signatures</span>';
     }
+    if (globalVariables.length > 0) {
+      detailsHtml += '<span class="detection-value">✓ Found provider global variables on the page</span>';
+    }
     detailsHtml += '</div>';
     detailsHtml += '</div>';
 
@@ -292,6 +404,7 @@ function displayTrackers(trackers) {
     trackerCard.innerHTML = `
       <div class="tracker-header">
         <span class="tracker-name">${escapeHtml(provider)}</span>
+        ${providerConfidence ? `<span class="confidence-badge ${providerConfidence.tier}" title="Confidence from ${providerConfidence.evidence.length} piece(s) of evidence">${providerConfidence.label} · ${Math.round(providerConfidence.score * 100)}%</span>` : ''}
         <span class="tracker-badge">${scripts.length} script(s)</span>
       </div>
       <div class="detection-details">
@@ -339,9 +452,19 @@ function displayPhoneNumbers(originalNumbers, currentNumbers) {
   const allNumbers = new Map();
 
   originalNumbers.forEach(num => {
+    // The same number can appear in several frames
+    if (allNumbers.has(num.normalized)) {
+      const existing = allNumbers.get(num.normalized);
+      existing.locations = [...new Set([...existing.locations, ...(num.locations || [])])];
+      existing.sources = [...new Set([...existing.sources, ...(num.sources || [])])];
+      return;
+    }
+
     allNumbers.set(num.normalized, {
       number: num.formatted,
       locations: num.locations || [],
+      sources: num.sources || [],
+      htmlLines: num.htmlLines || null,
       isOriginal: true
     });
   });
@@ -351,6 +474,8 @@ function displayPhoneNumbers(originalNumbers, currentNumbers) {
       allNumbers.set(num.normalized, {
         number: num.formatted,
         locations: num.locations || [],
+        sources: num.sources || [],
+        htmlLines: num.htmlLines || null,
         isOriginal: false,
         isTracking: true
       });
@@ -385,6 +510,20 @@ function displayPhoneNumbers(originalNumbers, currentNumbers) {
   }
 }
 
+// Describe where a number was found, when it's more than visible text
+function buildNumberSourcesHtml(sources) {
+  if (!sources || sources.every(source => source === 'text')) return '';
+  return `<div class="number-location">🔎 Found in: ${escapeHtml(sources.map(describePhoneSource).join(', '))}</div>`;
+}
+
+// Describe where a number appears in the server's HTML, before any script ran
+function buildHtmlLinesHtml(htmlLines, className = 'number-location') {
+  if (!htmlLines) return '';
+  return htmlLines.length > 0
+    ? `<div class="${className}">📄 Found in HTML: Line ${escapeHtml(htmlLines.join(', '))}</div>`
+    : `<div class="${className}">📄 Not in the page HTML (added by a script)</div>`;
+}
+
 // Display the next batch of phone numbers
 function displayMoreNumbers() {
   const numberList = document.getElementById('numberList');
@@ -424,6 +563,8 @@ function displayMoreNumbers() {
         ${badge}
       </div>
       ${locations}
+      ${buildNumberSourcesHtml(info.sources)}
+      ${buildHtmlLinesHtml(info.htmlLines)}
     `;
 
     numberList.appendChild(numberCard);
@@ -442,6 +583,15 @@ function displayMoreNumbers() {
   }
 }
 
+// How each kind of swap attribution evidence is described
+const SWAP_EVIDENCE_LABELS = {
+  stackTrace: 'provider script wrote the number',
+  apiResponse: 'provider API returned the number',
+  networkCall: 'provider API call before swap',
+  scriptLoadOrder: 'provider script loaded before swap',
+  onlyDetectedProvider: 'only provider on page'
+};
+
 // Display number swaps
 function displaySwaps(swaps) {
   const swapCount = document.getElementById('swapCount');
@@ -468,11 +618,31 @@ function displaySwaps(swaps) {
   swaps.forEach(swap => {
     const swapCard = document.createElement('div');
     swapCard.className = 'swap-card';
+    swapCard.setAttribute('data-original', swap.originalNormalized);
+    swapCard.setAttribute('data-tracking', swap.trackingNormalized);
+    swapCard.title = 'Show on page';
 
     const locations = swap.locations?.length > 0
       ? `<div class="swap-location">📍 Found in: ${escapeHtml(swap.locations.join(', '))}</div>`
       : '';
 
+    const swappedBy = swap.swappedBy
+      ? `<div class="swap-provider">📊 Swapped by: <strong>${escapeHtml(swap.swappedBy.provider)}</strong>
+          <span class="swap-evidence">(${escapeHtml(SWAP_EVIDENCE_LABELS[swap.swappedBy.evidence] || swap.swappedBy.evidence)})</span></div>`
+      : '<div class="swap-provider unknown">📊 Swapped by: Unknown provider</div>';
+
+    const timing = swap.timing ? buildSwapTimingHtml(swap.timing) : '';
+
+    const baseline = swap.foundBy === 'htmlBaseline'
+      ? '<div class="swap-timing">⏱️ Swapped before the page was first scanned, found by comparing with the page HTML</div>'
+      : '';
+
+    const apiCall = swap.apiCall ? buildSwapApiCallHtml(swap.apiCall) : '';
+
+    const elementPath = swap.elementPath
+      ? `<div class="swap-element">🏷️ ${escapeHtml(describePhoneSource(swap.sourceType))} at <code>${escapeHtml(swap.elementPath)}</code></div>`
+      : '';
+
     swapCard.innerHTML = `
       <div class="swap-row original">
         <div>
@@ -487,13 +657,844 @@ function displaySwaps(swaps) {
           <div class="swap-value tracking">${escapeHtml(swap.tracking)}</div>
         </div>
       </div>
+      ${swappedBy}
+      ${apiCall}
+      ${timing}
+      ${baseline}
+      ${buildHtmlLinesHtml(swap.htmlLines, 'swap-location')}
       ${locations}
+      ${elementPath}
     `;
 
     swapList.appendChild(swapCard);
   });
 }
 
+// Which side of a tel: link DNI updated
+const MISMATCH_SIDE_LABELS = {
+  href: 'only the dialed number was swapped',
+  text: 'only the visible text was swapped'
+};
+
+// Display how many places showing a swapped number now show the tracking number
+function displayCoverage(coverage) {
+  const percentElement = document.getElementById('coveragePercent');
+  const list = document.getElementById('coverageList');
+
+  if (!coverage || (coverage.numbers.length === 0 && coverage.mismatches.length === 0)) {
+    percentElement.textContent = '–';
+    list.innerHTML = '<p class="empty-state">Coverage is measured once numbers are swapped</p>';
+    return;
+  }
+
+  const total = coverage.swappedCount + coverage.unswappedCount;
+  percentElement.textContent = coverage.percent === null ? '–' : `${coverage.percent}%`;
+
+  const summary = coverage.percent === null ? '' : `
+    <div class="coverage-summary ${coverage.unswappedCount > 0 ? 'partial' : ''}">
+      ${coverage.unswappedCount > 0 ? '⚠️' : '✅'} ${coverage.swappedCount} of ${total} place(s) show a tracking number
+    </div>
+  `;
+
+  const describeOccurrence = occurrence => [
+    `🏷️ ${describePhoneSource(occurrence.sourceType)}`,
+    occurrence.location,
+    occurrence.visible ? null : 'hidden',
+    occurrence.frame || null
+  ].filter(Boolean).join(' · ');
+
+  const numbers = coverage.numbers.map(entry => {
+    const unswapped = entry.occurrences.filter(o => !o.swapped);
+    return `
+      <div class="coverage-card" data-number="${escapeHtml(entry.originalNormalized)}" title="Show on page">
+        <div class="coverage-number">${escapeHtml(entry.original)} → ${escapeHtml(entry.trackingNumbers.join(', '))}</div>
+        <div class="coverage-occurrence">${entry.swappedCount} of ${entry.occurrences.length} place(s) swapped</div>
+        ${unswapped.map(o => `
+          <div class="coverage-occurrence unswapped">❌ Still original: ${escapeHtml(describeOccurrence(o))} <code>${escapeHtml(o.elementPath)}</code></div>
+        `).join('')}
+      </div>
+    `;
+  }).join('');
+
+  const mismatches = coverage.mismatches.map(mismatch => `
+    <div class="coverage-mismatch">
+      ⚠️ tel: link shows ${escapeHtml(mismatch.textNumber)} but dials ${escapeHtml(mismatch.hrefNumber)}${mismatch.swappedSide ? ` (${escapeHtml(MISMATCH_SIDE_LABELS[mismatch.swappedSide])})` : ''}
+      <div class="coverage-occurrence">${escapeHtml([mismatch.location, mismatch.frame].filter(Boolean).join(' · '))} <code>${escapeHtml(mismatch.elementPath)}</code></div>
+    </div>
+  `).join('');
+
+  const untouched = coverage.untouchedNumbers.length > 0
+    ? `<p class="help-text">Never swapped, not counted: ${escapeHtml(coverage.untouchedNumbers.join(', '))}</p>`
+    : '';
+
+  list.innerHTML = summary + mismatches + numbers + untouched;
+}
+
+// How each kind of discovery evidence is described
+const DISCOVERY_EVIDENCE_LABELS = {
+  wroteNumber: 'Script wrote the tracking number',
+  requestedNumber: 'Script requested the tracking number',
+  returnedNumber: 'Request returned the tracking number'
+};
+
+// Display candidate providers for swaps no known provider accounts for
+function displayDiscoveries(discoveries, swaps) {
+  const countElement = document.getElementById('discoveryCount');
+  const list = document.getElementById('discoveryList');
+
+  countElement.textContent = discoveries.length;
+
+  if (discoveries.length === 0) {
+    const unexplained = swaps.filter(swap => !swap.swappedBy).length;
+    list.innerHTML = unexplained > 0
+      ? `<p class="empty-state">${unexplained} swap(s) by an unknown script, but no third-party script or request could be linked to them</p>`
+      : '<p class="empty-state">No unexplained number swaps</p>';
+    return;
+  }
+
+  list.innerHTML = discoveries.map((candidate, index) => `
+    <div class="discovery-card">
+      <div class="discovery-site">${escapeHtml(candidate.site)}${candidate.frame ? ` <span class="swap-evidence">(${escapeHtml(candidate.frame)})</span>` : ''}</div>
+      <div class="discovery-evidence">🔄 ${escapeHtml(candidate.swaps.join(', '))}</div>
+      ${candidate.evidence.map(item => `
+        <div class="discovery-evidence">${escapeHtml(DISCOVERY_EVIDENCE_LABELS[item.type] || item.type)}: <code>${escapeHtml(item.url)}</code></div>
+      `).join('')}
+      ${candidate.globals.length > 0 ? `<div class="discovery-evidence">Globals: <code>${escapeHtml(candidate.globals.join(', '))}</code></div>` : ''}
+      <button class="btn btn-primary btn-block" data-discovery-index="${index}">Review &amp; Add to Library</button>
+    </div>
+  `).join('');
+
+  // The options page opens its editor with the draft; nothing is saved until the user does
+  list.querySelectorAll('[data-discovery-index]').forEach(button => {
+    button.addEventListener('click', () => {
+      const { definition } = discoveries[Number(button.dataset.discoveryIndex)];
+      chrome.tabs.create({
+        url: chrome.runtime.getURL(`options.html#draft=${encodeURIComponent(JSON.stringify(definition))}`)
+      });
+    });
+  });
+}
+
+// Describe the provider API call that returned a swap's tracking number
+function buildSwapApiCallHtml(apiCall) {
+  const ids = Object.entries(apiCall.ids || {})
+    .map(([name, value]) => `<div class="swap-api-id">${escapeHtml(name)}: <code>${escapeHtml(value)}</code></div>`)
+    .join('');
+
+  return `
+    <div class="swap-api">
+      🌐 ${escapeHtml(apiCall.provider)} API: <code>${escapeHtml(`${apiCall.method} ${apiCall.url}`)}</code>
+      ${ids}
+    </div>
+  `;
+}
+
+// Scroll to and outline the elements showing these numbers (E.164 keys) on the page
+// Every frame checks its own elements
+async function highlightOnPage(numbers) {
+  try {
+    await chrome.tabs.sendMessage(currentTabId, { action: 'highlightNumbers', numbers: numbers });
+  } catch (error) {
+    console.error('[Side Panel] Error highlighting numbers:', error);
+  }
+}
+
+// Turn page-wide marking of swapped and unswapped numbers on or off
+async function setPageMarking(enabled) {
+  try {
+    await chrome.tabs.sendMessage(currentTabId, { action: 'markAllNumbers', enabled: enabled });
+  } catch (error) {
+    console.error('[Side Panel] Error marking numbers:', error);
+  }
+}
+
+// Load the scan history for the site a URL belongs to
+async function loadHistory(url) {
+  try {
+    const domain = new URL(url).hostname;
+    const response = await chrome.runtime.sendMessage({
+      action: 'getHistory',
+      domain: domain
+    });
+    displayHistory(response?.history || []);
+  } catch (error) {
+    console.error('[Side Panel] Error loading history:', error);
+    displayHistory([]);
+  }
+}
+
+// Load which providers are blocked for the current page
+async function loadBlockingState(url) {
+  if (!url || !url.startsWith('http')) {
+    displayBlocking(null);
+    return;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'getBlocking',
+      tabId: currentTabId,
+      url: url
+    });
+    displayBlocking(response?.success ? response.blocking : null);
+    if (isBlockingActive()) {
+      loadBlockedRequests();
+    } else {
+      displayBlockedRequests(null);
+    }
+  } catch (error) {
+    console.error('[Side Panel] Error loading blocking state:', error);
+    displayBlocking(null);
+  }
+}
+
+// Display a blocking switch per provider for the selected scope
+function displayBlocking(state) {
+  blockingState = state;
+  const list = document.getElementById('blockingProviderList');
+
+  if (!state) {
+    list.innerHTML = '<p class="empty-state">Blocking is not available on this page</p>';
+    return;
+  }
+
+  const scope = document.getElementById('blockingScope').value;
+  const blocked = scope === 'tab' ? state.tabBlocked : state.siteBlocked;
+  const otherBlocked = scope === 'tab' ? state.siteBlocked : state.tabBlocked;
+  const otherLabel = scope === 'tab' ? 'blocked for this site' : 'blocked for this tab';
+  const detectedIds = new Set((currentDetection?.detectedTrackers || []).map(tracker => tracker.providerId));
+
+  list.innerHTML = state.providers.map(provider => {
+    const notes = [];
+    if (detectedIds.has(provider.id)) notes.push('on this page');
+    if (otherBlocked.includes(provider.id)) notes.push(otherLabel);
+
+    return `
+      <label class="toggle-label">
+        <input type="checkbox" data-provider-id="${escapeHtml(provider.id)}" ${blocked.includes(provider.id) ? 'checked' : ''}>
+        <span class="toggle-slider"></span>
+        <span class="toggle-text">${escapeHtml(provider.name)}</span>
+        ${notes.length > 0 ? `<span class="blocking-note">${escapeHtml(notes.join(' · '))}</span>` : ''}
+      </label>
+    `;
+  }).join('');
+}
+
+// Block or unblock providers in the selected scope, then reload the page
+async function changeProviderBlocking(providerIds, blocked) {
+  const tab = await chrome.tabs.get(currentTabId);
+  const response = await chrome.runtime.sendMessage({
+    action: 'setProviderBlocking',
+    options: {
+      providerIds: providerIds,
+      blocked: blocked,
+      scope: document.getElementById('blockingScope').value,
+      tabId: currentTabId,
+      url: tab.url
+    }
+  });
+
+  if (!response?.success) {
+    throw new Error(response?.error || 'Blocking could not be changed');
+  }
+
+  displayBlocking(response.blocking);
+  chrome.tabs.reload(currentTabId);
+}
+
+// Whether any provider is blocked for the current page
+function isBlockingActive() {
+  return !!blockingState && (blockingState.siteBlocked.length > 0 || blockingState.tabBlocked.length > 0);
+}
+
+// Load the requests the blocking rules stopped on the current page
+async function loadBlockedRequests() {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'getBlockedRequests',
+      tabId: currentTabId
+    });
+    displayBlockedRequests(response?.success ? response.log : null);
+  } catch (error) {
+    console.error('[Side Panel] Error loading blocked requests:', error);
+    displayBlockedRequests(null);
+  }
+}
+
+// Display blocked requests and whether tracking numbers still appeared
+function displayBlockedRequests(log) {
+  const countElement = document.getElementById('blockedRequestsCount');
+  const list = document.getElementById('blockedRequestsList');
+
+  if (!log) {
+    countElement.textContent = 0;
+    list.innerHTML = '<p class="empty-state">No requests blocked on this page</p>';
+    return;
+  }
+
+  countElement.textContent = log.entries.length;
+
+  let verdict = '';
+  if (log.scanComplete) {
+    verdict = log.swaps.length === 0
+      ? '<div class="blocked-requests-verdict clean">✅ No tracking numbers shown after blocking</div>'
+      : `<div class="blocked-requests-verdict swapped">⚠️ Page still showed ${log.swaps.length} tracking number(s): ${log.swaps.map(swap =>
+        escapeHtml(`${swap.tracking}${swap.provider ? ` (${swap.provider})` : ''}`)).join(', ')}</div>`;
+  }
+
+  const notes = [];
+  if (log.error) {
+    notes.push(`<p class="help-text">Could not read matched rules: ${escapeHtml(log.error)}</p>`);
+  } else if (!log.hasUrls) {
+    notes.push('<p class="help-text">Chrome only reports blocked URLs to unpacked extensions, so requests are listed by provider.</p>');
+  }
+
+  if (log.entries.length === 0) {
+    list.innerHTML = `${verdict}<p class="empty-state">No requests blocked on this page</p>${notes.join('')}`;
+    return;
+  }
+
+  list.innerHTML = verdict + log.entries.map(entry => `
+    <div class="blocked-request-item">
+      <div class="blocked-request-url">${escapeHtml(entry.url || 'URL not available')}</div>
+      <div class="blocked-request-details">
+        📊 ${escapeHtml(entry.provider)}${entry.resourceType ? ` · ${escapeHtml(entry.resourceType)}` : ''} · blocked for this ${entry.scope === 'tab' ? 'tab' : 'site'} · ${new Date(entry.timestamp).toLocaleTimeString()}
+      </div>
+    </div>
+  `).join('') + notes.join('');
+}
+
+// Load the provider cookies and storage entries active on the current page
+async function loadTrackingData(url) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'getTrackingData',
+      tabId: currentTabId,
+      url: url
+    });
+    displayTrackingData(response?.success ? response.data : null);
+  } catch (error) {
+    console.error('[Side Panel] Error loading tracking data:', error);
+    displayTrackingData(null);
+  }
+}
+
+// Display provider cookies and storage entries
+function displayTrackingData(data) {
+  const countElement = document.getElementById('trackingDataCount');
+  const list = document.getElementById('trackingDataList');
+
+  if (!data) {
+    countElement.textContent = 0;
+    list.innerHTML = '<p class="empty-state">No tracking cookies or storage found</p>';
+    return;
+  }
+
+  const entries = [
+    ...data.cookies.map(cookie => ({
+      name: cookie.name,
+      kind: `🍪 Cookie on ${cookie.domain}`,
+      provider: cookie.provider,
+      value: cookie.value
+    })),
+    ...data.storage.map(item => ({
+      name: item.key,
+      kind: item.area === 'localStorage' ? '💾 localStorage' : '💾 sessionStorage',
+      provider: item.provider,
+      value: item.value
+    }))
+  ];
+
+  countElement.textContent = entries.length;
+
+  const storageTotal = data.storageError ? 'storage unavailable' : `${data.totalStorage} storage entr${data.totalStorage === 1 ? 'y' : 'ies'}`;
+  const summary = `<p class="tracking-data-summary">Site has ${data.totalCookies} cookie(s) and ${storageTotal} in total</p>`;
+
+  if (entries.length === 0) {
+    list.innerHTML = `<p class="empty-state">No tracking cookies or storage found</p>${summary}`;
+    return;
+  }
+
+  list.innerHTML = entries.map(entry => `
+    <div class="tracking-data-item">
+      <div class="tracking-data-name">${escapeHtml(entry.name)}</div>
+      <div class="tracking-data-details">${escapeHtml(entry.kind)} · 📊 ${escapeHtml(entry.provider)}</div>
+      ${entry.value ? `<div class="tracking-data-details">${escapeHtml(entry.value)}</div>` : ''}
+    </div>
+  `).join('') + summary;
+}
+
+// Describe what changed since the previous visit
+function buildHistoryChanges(diff) {
+  const changes = [];
+
+  diff.newProviders.forEach(provider => {
+    changes.push({ type: 'added', text: `New provider: ${provider.name}` });
+  });
+  diff.lostProviders.forEach(provider => {
+    changes.push({ type: 'removed', text: `Provider gone: ${provider.name}` });
+  });
+  diff.newSwaps.forEach(swap => {
+    changes.push({ type: 'added', text: `New swap: ${swap.original} → ${swap.tracking}` });
+  });
+  diff.lostSwaps.forEach(swap => {
+    changes.push({ type: 'removed', text: `Swap stopped: ${swap.original} (was ${swap.tracking})` });
+  });
+  diff.changedTrackingNumbers.forEach(change => {
+    changes.push({ type: 'changed', text: `Pool number changed for ${change.original}: ${change.from} → ${change.to}` });
+  });
+
+  return changes;
+}
+
+// Display the scan timeline for the current site, newest first
+function displayHistory(history) {
+  const historyCount = document.getElementById('historyCount');
+  const historyList = document.getElementById('historyList');
+
+  historyCount.textContent = history.length;
+
+  if (history.length === 0) {
+    historyList.innerHTML = '<p class="empty-state">No scans recorded for this site yet</p>';
+    return;
+  }
+
+  historyList.innerHTML = '';
+
+  history.forEach(scan => {
+    const entry = document.createElement('div');
+    const changes = scan.diff ? buildHistoryChanges(scan.diff) : [];
+    entry.className = changes.length > 0 ? 'history-entry changed' : 'history-entry';
+
+    let path = scan.url;
+    try {
+      const urlObj = new URL(scan.url);
+      path = urlObj.pathname + urlObj.search;
+    } catch {
+      // Keep the full URL
+    }
+
+    const providerNames = scan.providers.map(p => p.name).join(', ') || 'No providers';
+    const swapSummary = scan.swaps.length === 1 ? '1 swap' : `${scan.swaps.length} swaps`;
+
+    let changesHtml;
+    if (!scan.diff) {
+      changesHtml = '<li class="history-change">First recorded visit</li>';
+    } else if (changes.length === 0) {
+      changesHtml = '<li class="history-change">No changes since previous visit</li>';
+    } else {
+      changesHtml = changes
+        .map(change => `<li class="history-change ${change.type}">${escapeHtml(change.text)}</li>`)
+        .join('');
+    }
+
+    entry.innerHTML = `
+      <div class="history-header">
+        <span class="history-time">${escapeHtml(new Date(scan.timestamp).toLocaleString())}</span>
+        <span class="history-path">${escapeHtml(path)}</span>
+      </div>
+      <div class="history-summary">📊 ${escapeHtml(providerNames)} · 🔄 ${swapSummary}</div>
+      <ul class="history-changes">${changesHtml}</ul>
+    `;
+
+    historyList.appendChild(entry);
+  });
+}
+
+// Load the state of the current or last site crawl
+async function loadCrawlState() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getCrawl' });
+    displayCrawl(response?.crawl || null);
+  } catch (error) {
+    console.error('[Side Panel] Error loading crawl state:', error);
+  }
+}
+
+// Display site crawl progress and per-page results
+function displayCrawl(crawl) {
+  currentCrawl = crawl;
+
+  const crawlStatus = document.getElementById('crawlStatus');
+  const crawlResults = document.getElementById('crawlResults');
+  const exportButton = document.getElementById('exportCrawlReport');
+
+  if (!crawl) {
+    crawlStatus.textContent = '';
+    crawlResults.innerHTML = '';
+    exportButton.classList.add('hidden');
+    return;
+  }
+
+  const pageCount = crawl.pages.length;
+  const failedCount = crawl.pages.filter(page => page.swapFailed).length;
+  const statusMessages = {
+    running: crawl.currentUrl
+      ? `Crawling page ${pageCount + 1} of up to ${crawl.maxPages}: ${crawl.currentUrl}`
+      : 'Starting crawl...',
+    complete: `Crawl complete: ${pageCount} page(s) scanned`,
+    cancelled: `Crawl stopped after ${pageCount} page(s)`,
+    interrupted: `Crawl interrupted after ${pageCount} page(s)`
+  };
+  let statusText = statusMessages[crawl.status] || crawl.status;
+  if (failedCount > 0) {
+    statusText += ` · ⚠️ ${failedCount} page(s) not swapping`;
+  }
+  crawlStatus.textContent = statusText;
+
+  crawlResults.innerHTML = '';
+  crawl.pages.forEach(page => {
+    const row = document.createElement('div');
+    let className = 'crawl-page';
+    if (page.status === 'error') {
+      className += ' error';
+    } else if (page.swapFailed) {
+      className += ' swap-failed';
+    } else if (page.providers.length === 0) {
+      className += ' no-tracking';
+    }
+    row.className = className;
+
+    let path = page.url;
+    try {
+      const urlObj = new URL(page.url);
+      path = urlObj.pathname + urlObj.search;
+    } catch {
+      // Keep the full URL
+    }
+
+    const providers = page.providers.length > 0 ? page.providers.join(', ') : 'No providers';
+    const swapSummary = page.swaps.length === 1 ? '1 swap' : `${page.swaps.length} swaps`;
+
+    let warning = '';
+    if (page.status === 'error') {
+      warning = `Error: ${page.error}`;
+    } else if (page.status === 'timeout') {
+      warning = 'Page took too long to load';
+    } else if (page.status === 'noResults') {
+      warning = 'Page was not scanned';
+    } else if (page.swapFailed) {
+      warning = 'Provider present but numbers were not swapped';
+    }
+
+    row.innerHTML = `
+      <div class="crawl-page-path">${escapeHtml(path)}</div>
+      <div class="crawl-page-details">📊 ${escapeHtml(providers)} · 🔄 ${swapSummary} · 📞 ${page.originalNumberCount} number(s)</div>
+      ${warning ? `<div class="crawl-page-warning">⚠️ ${escapeHtml(warning)}</div>` : ''}
+    `;
+    crawlResults.appendChild(row);
+  });
+
+  exportButton.classList.toggle('hidden', pageCount === 0);
+}
+
+// Fill a traffic source checklist, keeping its current selections when it's rebuilt
+function populateSourceChecklist(sourceList, defaultSources) {
+  const checkedSources = sourceList.children.length > 0
+    ? Array.from(sourceList.querySelectorAll('input:checked')).map(input => input.value)
+    : defaultSources;
+
+  sourceList.innerHTML = '';
+  allTrafficSources.forEach(source => {
+    const label = document.createElement('label');
+    label.className = 'crawl-option';
+    label.innerHTML = `
+      <input type="checkbox" value="${escapeHtml(source.id)}" ${checkedSources.includes(source.id) ? 'checked' : ''}>
+      ${escapeHtml(source.name)}
+    `;
+    sourceList.appendChild(label);
+  });
+}
+
+// Fill the traffic source dropdown and the comparison and pool checklists with built-in sources and saved presets
+async function populateTrafficSources() {
+  const select = document.getElementById('trafficSource');
+
+  try {
+    allTrafficSources = await getAllTrafficSources();
+  } catch (error) {
+    console.error('[Side Panel] Error loading source presets:', error);
+    allTrafficSources = TRAFFIC_SOURCES;
+  }
+
+  // Keep the current selection when the list is rebuilt
+  const selectedSource = select.value;
+
+  select.innerHTML = '<option value="">Select Source...</option>';
+  const builtInGroup = document.createElement('optgroup');
+  builtInGroup.label = 'Platforms';
+  const presetGroup = document.createElement('optgroup');
+  presetGroup.label = 'Saved Presets';
+
+  allTrafficSources.forEach(source => {
+    // Clear already returns the page to a direct visit
+    if (source.id !== 'direct') {
+      const option = document.createElement('option');
+      option.value = source.id;
+      option.textContent = source.name;
+      (source.custom ? presetGroup : builtInGroup).appendChild(option);
+    }
+  });
+
+  populateSourceChecklist(document.getElementById('compareSourceList'), DEFAULT_COMPARE_SOURCES);
+  populateSourceChecklist(document.getElementById('poolSourceList'), DEFAULT_POOL_SOURCES);
+
+  select.appendChild(builtInGroup);
+  if (presetGroup.children.length > 0) {
+    select.appendChild(presetGroup);
+  }
+  select.value = getTrafficSource(selectedSource, allTrafficSources) ? selectedSource : '';
+  updateDeletePresetButton();
+}
+
+// Only saved presets can be deleted
+function updateDeletePresetButton() {
+  const source = getTrafficSource(document.getElementById('trafficSource').value, allTrafficSources);
+  document.getElementById('deletePreset').classList.toggle('hidden', !source?.custom);
+}
+
+// Show a source's settings in the builder so it can be tweaked or saved under a new name
+function fillSourceBuilder(source) {
+  document.getElementById('builderName').value = source.custom ? source.name : '';
+  document.getElementById('builderParams').value = Object.entries(source.params)
+    .map(([name, value]) => `${name}=${value}`)
+    .join('\n');
+  document.getElementById('builderReferrer').value = source.referrer || '';
+  document.getElementById('builderLandingPath').value = source.landingPath || '';
+}
+
+// Read the builder fields into a traffic source; alerts and returns null if invalid
+function readSourceBuilder() {
+  try {
+    return createTrafficSource({
+      name: document.getElementById('builderName').value,
+      params: document.getElementById('builderParams').value,
+      referrer: document.getElementById('builderReferrer').value,
+      landingPath: document.getElementById('builderLandingPath').value
+    });
+  } catch (error) {
+    alert(error.message);
+    return null;
+  }
+}
+
+// Reload the current tab as a visitor from a traffic source
+async function applySourceToTab(source) {
+  const tab = await chrome.tabs.get(currentTabId);
+  const url = applyTrafficSource(tab.url, source, allTrafficSources);
+
+  if (source.referrer) {
+    const response = await chrome.runtime.sendMessage({
+      action: 'loadWithReferrer',
+      tabId: currentTabId,
+      url: url,
+      referrer: source.referrer
+    });
+    if (!response?.success) {
+      alert(`Could not simulate referrer: ${response?.error || 'unknown error'}`);
+    }
+  } else {
+    chrome.tabs.update(currentTabId, { url: url });
+  }
+}
+
+// Load the state of the current or last source comparison
+async function loadSourceCompareState() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getSourceCompare' });
+    displaySourceCompare(response?.compare || null);
+  } catch (error) {
+    console.error('[Side Panel] Error loading source comparison:', error);
+  }
+}
+
+// Display source comparison progress and the source-by-location number matrix
+function displaySourceCompare(compare) {
+  const compareStatus = document.getElementById('compareStatus');
+  const compareMatrix = document.getElementById('compareMatrix');
+
+  if (!compare) {
+    compareStatus.textContent = '';
+    compareMatrix.innerHTML = '';
+    return;
+  }
+
+  const doneCount = compare.results.length;
+  const statusMessages = {
+    running: compare.currentSource
+      ? `Visiting as ${compare.currentSource} (${doneCount + 1} of ${compare.sources.length})...`
+      : 'Starting comparison...',
+    complete: `Comparison complete: ${doneCount} source(s)`,
+    cancelled: `Comparison stopped after ${doneCount} source(s)`,
+    interrupted: `Comparison interrupted after ${doneCount} source(s)`
+  };
+  compareStatus.textContent = statusMessages[compare.status] || compare.status;
+
+  if (doneCount === 0) {
+    compareMatrix.innerHTML = '';
+    return;
+  }
+
+  // One row per original number and location, in the order they were first seen
+  const rows = new Map();
+  compare.results.forEach(result => {
+    Object.entries(result.cells).forEach(([key, cell]) => {
+      if (!rows.has(key)) {
+        rows.set(key, { original: cell.original, location: cell.location });
+      }
+    });
+  });
+
+  if (rows.size === 0) {
+    compareMatrix.innerHTML = '<p class="empty-state">No phone numbers found for any source</p>';
+    return;
+  }
+
+  const headerCells = compare.results.map(result => {
+    const warning = result.status === 'scanned' ? '' : ' ⚠️';
+    const title = result.status === 'scanned'
+      ? result.providers.join(', ') || 'No providers'
+      : (result.error || result.status);
+    return `<th title="${escapeHtml(title)}">${escapeHtml(result.name)}${warning}</th>`;
+  }).join('');
+
+  const bodyRows = Array.from(rows.entries()).map(([key, row]) => {
+    const cells = compare.results.map(result => {
+      const cell = result.cells[key];
+      if (!cell) return '<td class="compare-missing">—</td>';
+      return `<td class="${cell.swapped ? 'compare-swapped' : 'compare-original'}">${escapeHtml(cell.number)}</td>`;
+    }).join('');
+
+    return `
+      <tr>
+        <th class="compare-row-label">${escapeHtml(row.original)}<small>${escapeHtml(row.location)}</small></th>
+        ${cells}
+      </tr>
+    `;
+  }).join('');
+
+  compareMatrix.innerHTML = `
+    <table>
+      <thead><tr><th>Number / Location</th>${headerCells}</tr></thead>
+      <tbody>${bodyRows}</tbody>
+    </table>
+  `;
+}
+
+// Load the state of the current or last pool discovery
+async function loadPoolState() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getPoolDiscovery' });
+    displayPoolDiscovery(response?.pool || null);
+  } catch (error) {
+    console.error('[Side Panel] Error loading pool discovery:', error);
+  }
+}
+
+// Display pool discovery progress and, per original number and source, the
+// tracking numbers seen, the estimated pool size and numbers reused too soon
+function displayPoolDiscovery(pool) {
+  const poolStatus = document.getElementById('poolStatus');
+  const poolResults = document.getElementById('poolResults');
+
+  if (!pool) {
+    poolStatus.textContent = '';
+    poolResults.innerHTML = '';
+    return;
+  }
+
+  const doneCount = pool.visits.length;
+  const totalCount = pool.visitsPerSource * pool.sources.length;
+  const statusMessages = {
+    running: pool.currentSource
+      ? `Visit ${pool.currentVisit} of ${totalCount} as ${pool.currentSource}...`
+      : 'Clearing data from earlier visits...',
+    complete: `Pool discovery complete: ${doneCount} visit(s)`,
+    cancelled: `Pool discovery stopped after ${doneCount} visit(s)`,
+    interrupted: `Pool discovery interrupted after ${doneCount} visit(s)`
+  };
+  const failedCount = pool.visits.filter(visit => visit.status !== 'scanned').length;
+  poolStatus.textContent = (statusMessages[pool.status] || pool.status) +
+    (failedCount > 0 ? ` (${failedCount} failed to scan)` : '');
+
+  if (doneCount === 0) {
+    poolResults.innerHTML = '';
+    return;
+  }
+
+  if (pool.groups.length === 0) {
+    poolResults.innerHTML = '<p class="empty-state">No phone numbers found on any visit</p>';
+    return;
+  }
+
+  poolResults.innerHTML = pool.groups.map(group => {
+    const swappedVisits = group.visits - group.unswappedVisits;
+    const summary = group.distinctCount > 0
+      ? `${group.distinctCount} tracking number(s) in ${swappedVisits} swapped visit(s) · Estimated pool: ~${group.estimatedPoolSize}`
+      : `Not swapped on any of ${group.visits} visit(s)`;
+    const numbers = group.trackingNumbers
+      .map(number => `${number.number}${number.count > 1 ? ` ×${number.count}` : ''}`)
+      .join(', ');
+    const unswapped = group.unswappedVisits > 0 && group.distinctCount > 0
+      ? `<div class="pool-detail">Original shown on ${group.unswappedVisits} visit(s)</div>`
+      : '';
+    const reuses = group.reuses.filter(reuse => reuse.quick).slice(0, 3).map(reuse => `
+      <div class="pool-warning">⚠️ ${escapeHtml(reuse.number)} shown to a new visitor again ${reuse.gapVisits} visit(s) (${escapeHtml(formatDuration(reuse.gapMs))}) later</div>
+    `).join('');
+
+    return `
+      <div class="pool-card ${group.quickReuse ? 'reused' : ''}">
+        <div class="pool-title">${escapeHtml(group.original)}<small>${escapeHtml(group.source)}</small></div>
+        <div class="pool-detail">${escapeHtml(summary)}</div>
+        ${numbers ? `<div class="pool-detail">${escapeHtml(numbers)}</div>` : ''}
+        ${unswapped}
+        ${reuses}
+      </div>
+    `;
+  }).join('');
+}
+
+// Format a duration in milliseconds for display
+function formatDuration(ms) {
+  const abs = Math.abs(ms);
+  return abs >= 1000 ? `${(abs / 1000).toFixed(2)}s` : `${Math.round(abs)}ms`;
+}
+
+// Describe a swap time relative to a page milestone, e.g. "234ms after page load"
+function describeRelative(ms, milestone) {
+  return `${formatDuration(ms)} ${ms < 0 ? 'before' : 'after'} ${milestone}`;
+}
+
+// Build the timing block for a swap card
+function buildSwapTimingHtml(timing) {
+  const headline = timing.sinceLoadMs !== null
+    ? describeRelative(timing.sinceLoadMs, 'page load')
+    : `${formatDuration(timing.swapMs)} after navigation start (page still loading)`;
+
+  const details = [`${formatDuration(timing.swapMs)} after navigation start`];
+  if (timing.sinceFirstPaintMs !== null) {
+    details.push(describeRelative(timing.sinceFirstPaintMs, 'first paint'));
+  }
+  if (timing.sinceDomContentLoadedMs !== null) {
+    details.push(describeRelative(timing.sinceDomContentLoadedMs, 'DOMContentLoaded'));
+  }
+  if (timing.providerScriptLoadMs !== null) {
+    details.push(`provider script loaded at ${formatDuration(timing.providerScriptLoadMs)}`);
+  }
+
+  const flicker = timing.visibleFlicker
+    ? '<div class="swap-flicker">⚠️ Swapped after first paint - visitors may see the number flicker</div>'
+    : '';
+
+  return `
+    <div class="swap-timing">
+      ⏱️ Swap Time: <strong>${escapeHtml(headline)}</strong>
+      <div class="swap-timing-details">${escapeHtml(details.join(' · '))}</div>
+      ${flicker}
+    </div>
+  `;
+}
+
 // Filter phone numbers based on search query
 function filterPhoneNumbers(searchQuery) {
   const numberList = document.getElementById('numberList');
@@ -540,6 +1541,8 @@ function filterPhoneNumbers(searchQuery) {
           ${badge}
         </div>
         ${locations}
+        ${buildNumberSourcesHtml(info.sources)}
+        ${buildHtmlLinesHtml(info.htmlLines)}
       `;
 
       numberList.appendChild(numberCard);
@@ -621,6 +1624,38 @@ function setupEventListeners() {
     });
   });
 
+  // Phone region
+  document.getElementById('phoneRegion')?.addEventListener('change', (e) => {
+    savePhoneRegionSetting(e.target.value);
+  });
+
+  // Mark swapped and unswapped numbers on the page
+  document.getElementById('markNumbersToggle')?.addEventListener('change', (e) => {
+    setPageMarking(e.target.checked);
+  });
+
+  // Clicking a number or swap finds it on the page; cards are re-rendered, so listen on the lists
+  document.getElementById('numberList')?.addEventListener('click', (e) => {
+    const card = e.target.closest('.number-card[data-number]');
+    if (card) {
+      highlightOnPage([card.getAttribute('data-number')]);
+    }
+  });
+
+  document.getElementById('coverageList')?.addEventListener('click', (e) => {
+    const card = e.target.closest('.coverage-card[data-number]');
+    if (card) {
+      highlightOnPage([card.getAttribute('data-number')]);
+    }
+  });
+
+  document.getElementById('swapList')?.addEventListener('click', (e) => {
+    const card = e.target.closest('.swap-card[data-original]');
+    if (card) {
+      highlightOnPage([card.getAttribute('data-original'), card.getAttribute('data-tracking')]);
+    }
+  });
+
   // Phone number search
   const numberSearch = document.getElementById('numberSearch');
   if (numberSearch) {
@@ -638,80 +1673,322 @@ function setupEventListeners() {
     });
   }
 
-  // Blocking toggle
-  const blockingToggle = document.getElementById('blockingToggle');
-  blockingToggle?.addEventListener('change', async (e) => {
-    const enabled = e.target.checked;
+  // Blocked request log
+  document.getElementById('refreshBlockedRequests')?.addEventListener('click', () => {
+    loadBlockedRequests();
+  });
+
+  // Per-provider blocking
+  document.getElementById('blockingScope')?.addEventListener('change', () => {
+    displayBlocking(blockingState);
+  });
 
-    try {
-      if (enabled) {
-        await chrome.runtime.sendMessage({ action: 'enableBlocking' });
-        alert('Blocking enabled. Page will reload.');
-      } else {
-        await chrome.runtime.sendMessage({ action: 'disableBlocking' });
-        alert('Blocking disabled. Page will reload.');
-      }
+  document.getElementById('blockingProviderList')?.addEventListener('change', async (e) => {
+    const providerId = e.target.dataset.providerId;
+    if (!providerId) return;
 
-      // Reload the page
-      chrome.tabs.reload(currentTabId);
+    const blocked = e.target.checked;
+    try {
+      await changeProviderBlocking([providerId], blocked);
     } catch (error) {
       console.error('Error toggling blocking:', error);
       alert('Could not toggle blocking');
-      e.target.checked = !enabled;
+      e.target.checked = !blocked;
     }
   });
 
+  ['blockAllProviders', 'unblockAllProviders'].forEach(buttonId => {
+    document.getElementById(buttonId)?.addEventListener('click', async () => {
+      if (!blockingState) return;
+
+      try {
+        await changeProviderBlocking(blockingState.providers.map(provider => provider.id), buttonId === 'blockAllProviders');
+      } catch (error) {
+        console.error('Error changing blocking:', error);
+        alert('Could not change blocking');
+      }
+    });
+  });
+
   // Apply traffic source
+  populateTrafficSources();
+
+  document.getElementById('trafficSource')?.addEventListener('change', (e) => {
+    const source = getTrafficSource(e.target.value, allTrafficSources);
+    if (source) {
+      fillSourceBuilder(source);
+    }
+    updateDeletePresetButton();
+  });
+
   document.getElementById('applySource')?.addEventListener('click', async () => {
     const select = document.getElementById('trafficSource');
-    const param = select.value;
+    const source = getTrafficSource(select.value, allTrafficSources);
 
-    if (!param) {
+    if (!source) {
       alert('Please select a traffic source');
       return;
     }
 
+    await applySourceToTab(source);
+  });
+
+  // Clear traffic source, keeping the page's own query parameters
+  document.getElementById('clearSource')?.addEventListener('click', async () => {
     const tab = await chrome.tabs.get(currentTabId);
-    const currentUrl = new URL(tab.url);
+    chrome.tabs.update(currentTabId, { url: clearTrafficSource(tab.url, allTrafficSources) });
+  });
 
-    // Remove existing test parameters
-    const testParams = ['gclid', 'fbclid', 'msclkid', 'ttclid', 'epik', 'ScCid', 'twclid', 'li_fat_id', 'yclid'];
-    testParams.forEach(testParam => {
-      currentUrl.searchParams.delete(testParam);
-    });
+  // Custom source builder
+  document.getElementById('toggleSourceBuilder')?.addEventListener('click', () => {
+    document.getElementById('sourceBuilder').classList.toggle('hidden');
+  });
+
+  document.getElementById('applyBuilderSource')?.addEventListener('click', async () => {
+    const source = readSourceBuilder();
+    if (source) {
+      await applySourceToTab(source);
+    }
+  });
+
+  document.getElementById('savePreset')?.addEventListener('click', async () => {
+    if (!document.getElementById('builderName').value.trim()) {
+      alert('Give the preset a name');
+      return;
+    }
 
-    // Add the new parameter
-    const [paramName, paramValue] = param.split('=');
-    currentUrl.searchParams.set(paramName, paramValue);
+    const source = readSourceBuilder();
+    if (!source) return;
 
-    chrome.tabs.update(currentTabId, { url: currentUrl.href });
+    try {
+      const preset = await saveTrafficSourcePreset(source);
+      await populateTrafficSources();
+      document.getElementById('trafficSource').value = preset.id;
+      updateDeletePresetButton();
+    } catch (error) {
+      console.error('Error saving preset:', error);
+      alert('Could not save preset');
+    }
   });
 
-  // Clear traffic source
-  document.getElementById('clearSource')?.addEventListener('click', async () => {
-    const tab = await chrome.tabs.get(currentTabId);
-    const currentUrl = new URL(tab.url);
-    currentUrl.search = '';
+  document.getElementById('deletePreset')?.addEventListener('click', async () => {
+    const select = document.getElementById('trafficSource');
+    const source = getTrafficSource(select.value, allTrafficSources);
+    if (!source?.custom || !confirm(`Delete preset "${source.name}"?`)) return;
+
+    try {
+      await deleteTrafficSourcePreset(source.id);
+      select.value = '';
+      await populateTrafficSources();
+    } catch (error) {
+      console.error('Error deleting preset:', error);
+      alert('Could not delete preset');
+    }
+  });
+
+  // Compare traffic sources
+  document.getElementById('startCompare')?.addEventListener('click', async () => {
+    try {
+      const sources = Array.from(document.querySelectorAll('#compareSourceList input:checked'))
+        .map(input => input.value);
+      if (sources.length === 0) {
+        alert('Select at least one traffic source');
+        return;
+      }
+
+      const tab = await chrome.tabs.get(currentTabId);
+      const response = await chrome.runtime.sendMessage({
+        action: 'startSourceCompare',
+        options: { url: tab.url, sources: sources }
+      });
+
+      if (response?.success) {
+        displaySourceCompare(response.compare);
+      } else {
+        alert(`Could not start comparison: ${response?.error || 'unknown error'}`);
+      }
+    } catch (error) {
+      console.error('Error starting source comparison:', error);
+      alert('Could not start comparison');
+    }
+  });
 
-    chrome.tabs.update(currentTabId, { url: currentUrl.href });
+  document.getElementById('cancelCompare')?.addEventListener('click', async () => {
+    const response = await chrome.runtime.sendMessage({ action: 'cancelSourceCompare' });
+    if (response?.compare) {
+      displaySourceCompare(response.compare);
+    }
   });
 
-  // Clear cookies
-  document.getElementById('clearCookies')?.addEventListener('click', async () => {
+  // Discover the tracking number pool
+  document.getElementById('startPool')?.addEventListener('click', async () => {
     try {
+      const sources = Array.from(document.querySelectorAll('#poolSourceList input:checked'))
+        .map(input => input.value);
+      if (sources.length === 0) {
+        alert('Select at least one traffic source');
+        return;
+      }
+
       const tab = await chrome.tabs.get(currentTabId);
       const response = await chrome.runtime.sendMessage({
-        action: 'clearCookies',
-        url: tab.url
+        action: 'startPoolDiscovery',
+        options: {
+          url: tab.url,
+          sources: sources,
+          visitsPerSource: parseInt(document.getElementById('poolVisits').value, 10)
+        }
+      });
+
+      if (response?.success) {
+        displayPoolDiscovery(response.pool);
+      } else {
+        alert(`Could not start pool discovery: ${response?.error || 'unknown error'}`);
+      }
+    } catch (error) {
+      console.error('Error starting pool discovery:', error);
+      alert('Could not start pool discovery');
+    }
+  });
+
+  document.getElementById('cancelPool')?.addEventListener('click', async () => {
+    const response = await chrome.runtime.sendMessage({ action: 'cancelPoolDiscovery' });
+    if (response?.pool) {
+      displayPoolDiscovery(response.pool);
+    }
+  });
+
+  // Export
+  const exportFormats = {
+    exportJson: { build: buildExportJson, extension: 'json', mimeType: 'application/json' },
+    exportCsv: { build: buildExportCsv, extension: 'csv', mimeType: 'text/csv' },
+    exportReport: { build: buildExportReport, extension: 'html', mimeType: 'text/html' }
+  };
+
+  Object.entries(exportFormats).forEach(([buttonId, format]) => {
+    document.getElementById(buttonId)?.addEventListener('click', () => {
+      if (!currentDetection) {
+        alert('No results to export yet. Wait for the scan to finish.');
+        return;
+      }
+
+      try {
+        downloadExport(
+          format.build(currentDetection),
+          buildExportFilename(currentDetection.url, format.extension),
+          format.mimeType
+        );
+      } catch (error) {
+        console.error('Error exporting results:', error);
+        alert('Could not export results');
+      }
+    });
+  });
+
+  // Site crawl
+  document.getElementById('startCrawl')?.addEventListener('click', async () => {
+    try {
+      let startUrl = document.getElementById('crawlStartUrl').value.trim();
+      if (!startUrl) {
+        const tab = await chrome.tabs.get(currentTabId);
+        startUrl = tab.url;
+      }
+
+      const response = await chrome.runtime.sendMessage({
+        action: 'startCrawl',
+        options: {
+          startUrl: startUrl,
+          maxPages: parseInt(document.getElementById('crawlMaxPages').value, 10) || 20,
+          maxDepth: parseInt(document.getElementById('crawlMaxDepth').value, 10) || 0,
+          useSitemap: document.getElementById('crawlUseSitemap').checked
+        }
       });
 
-      if (response.success) {
-        alert(`Cleared ${response.removed} cookie(s). Page will reload.`);
-        chrome.tabs.reload(currentTabId);
+      if (response?.success) {
+        displayCrawl(response.crawl);
+      } else {
+        alert(`Could not start crawl: ${response?.error || 'unknown error'}`);
       }
     } catch (error) {
-      console.error('Error clearing cookies:', error);
-      alert('Could not clear cookies');
+      console.error('Error starting crawl:', error);
+      alert('Could not start crawl');
+    }
+  });
+
+  document.getElementById('cancelCrawl')?.addEventListener('click', async () => {
+    const response = await chrome.runtime.sendMessage({ action: 'cancelCrawl' });
+    if (response?.crawl) {
+      displayCrawl(response.crawl);
+    }
+  });
+
+  document.getElementById('exportCrawlReport')?.addEventListener('click', () => {
+    if (!currentCrawl || currentCrawl.pages.length === 0) return;
+
+    try {
+      downloadExport(
+        buildCrawlReport(currentCrawl),
+        buildExportFilename(currentCrawl.startUrl, 'html', 'call-tracking-site'),
+        'text/html'
+      );
+    } catch (error) {
+      console.error('Error exporting crawl report:', error);
+      alert('Could not export crawl report');
+    }
+  });
+
+  // Clear only provider cookies and storage, or everything for the site
+  const trackingDataActions = {
+    clearTrackingData: {
+      action: 'clearTrackingData',
+      confirmText: null
+    },
+    resetSiteData: {
+      action: 'resetSiteData',
+      confirmText: 'Remove all cookies and storage for this site? You may be logged out.'
+    }
+  };
+
+  Object.entries(trackingDataActions).forEach(([buttonId, { action, confirmText }]) => {
+    document.getElementById(buttonId)?.addEventListener('click', async () => {
+      if (confirmText && !confirm(confirmText)) return;
+
+      try {
+        const tab = await chrome.tabs.get(currentTabId);
+        const response = await chrome.runtime.sendMessage({
+          action: action,
+          tabId: currentTabId,
+          url: tab.url
+        });
+
+        if (response?.success) {
+          alert(`Cleared ${response.removedCookies} cookie(s) and ${response.removedStorage} storage entr${response.removedStorage === 1 ? 'y' : 'ies'}. Page will reload.`);
+          chrome.tabs.reload(currentTabId);
+        } else {
+          alert(`Could not clear data: ${response?.error || 'unknown error'}`);
+        }
+      } catch (error) {
+        console.error('Error clearing tracking data:', error);
+        alert('Could not clear data');
+      }
+    });
+  });
+
+  // Clear scan history for this site
+  document.getElementById('clearHistory')?.addEventListener('click', async () => {
+    try {
+      const tab = await chrome.tabs.get(currentTabId);
+      const domain = new URL(tab.url).hostname;
+      if (!confirm(`Clear all recorded scans for ${domain}?`)) return;
+
+      await chrome.runtime.sendMessage({
+        action: 'clearHistory',
+        domain: domain
+      });
+      displayHistory([]);
+    } catch (error) {
+      console.error('Error clearing history:', error);
+      alert('Could not clear history');
     }
   });
 
@@ -737,6 +2014,12 @@ function setupEventListeners() {
     chrome.tabs.create({ url: 'https://github.com/petethree/call-tracking-script-detector' });
   });
 
+  // Provider library options page
+  document.getElementById('providersLink')?.addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
+
   // Suggest Feature link
   document.getElementById('featureLink')?.addEventListener('click', (e) => {
     e.preventDefault();
@@ -0,0 +1,260 @@
+// Traffic source comparison for the background service worker
+// Loads a page once per traffic source in a background tab, each time as a new
+// visitor (site cookies, provider cookies and the site's storage cleared), and
+// builds a matrix of which number each source sees in each location. Only one
+// comparison runs at a time.
+// Depends on traffic-sources.js, detection-store.js, crawler.js (tab helpers),
+// referrer-spoof.js, tracking-data.js (clearSiteCookies, clearProviderCookies,
+// removeTabStorage) and pool-discovery.js (activePool).
+
+const COMPARE_STATE_KEY = 'compare_state';
+
+let activeCompare = null;
+
+// Clear what earlier visits left behind so the next load is a new visitor.
+// localStorage is cleared by origin, so the user's own is gone even before the
+// tab first shows the site; sessionStorage belongs to the tab and can only be
+// cleared while it still shows the site.
+async function clearVisitorData(tabId, url) {
+  await clearSiteCookies(url);
+  try {
+    await clearProviderCookies(url);
+    await chrome.browsingData.remove({ origins: [new URL(url).origin] }, { localStorage: true });
+    const tab = await chrome.tabs.get(tabId);
+    if (tab.url && new URL(tab.url).origin === new URL(url).origin) {
+      await removeTabStorage(tabId, null);
+    }
+  } catch (error) {
+    console.log('[Source Compare] Could not clear visitor data for', url, error.message);
+  }
+}
+
+/**
+ * Load a URL in a tab as a first-time visitor and wait for detection to finish
+ * @param {number} tabId - Tab to load the page in
+ * @param {string} url - Page URL
+ * @param {Object} options - Visit options
+ * @param {string|null} options.referrer - Referrer to simulate
+ * @returns {Promise<Object>} { pageUrl, loaded, detection }
+ */
+async function runIsolatedVisit(tabId, url, { referrer = null } = {}) {
+  await clearVisitorData(tabId, url);
+
+  try {
+    const loadUrl = referrer ? await setSimulatedReferrer(tabId, url, referrer) : url;
+    const pageLoaded = waitForTabComplete(tabId, CRAWL_PAGE_TIMEOUT_MS);
+    await chrome.tabs.update(tabId, { url: loadUrl });
+    const loaded = await pageLoaded;
+
+    const tab = await chrome.tabs.get(tabId);
+    const scanned = await waitForScan(tabId, tab.url);
+    await delay(CRAWL_SETTLE_MS);
+
+    return {
+      pageUrl: tab.url,
+      loaded: loaded,
+      detection: scanned ? await getTabDetection(tabId) : null
+    };
+  } finally {
+    if (referrer) {
+      await clearSimulatedReferrer(tabId);
+    }
+  }
+}
+
+/**
+ * Work out which number a visitor sees in each location of a page
+ * Locations without a swap show the original number
+ * @param {Object} detection - Merged detection result
+ * @returns {Object} Map of row key to { original, location, number, swapped }
+ */
+function buildNumberCells(detection) {
+  const cells = {};
+  const rowKey = (normalized, location) => `${normalized}|${location}`;
+
+  detection.originalNumbers.forEach(num => {
+    (num.locations && num.locations.length > 0 ? num.locations : ['Page']).forEach(location => {
+      cells[rowKey(num.normalized, location)] = {
+        original: num.formatted,
+        location: location,
+        number: num.formatted,
+        swapped: false
+      };
+    });
+  });
+
+  detection.swaps.forEach(swap => {
+    (swap.locations && swap.locations.length > 0 ? swap.locations : ['Page']).forEach(location => {
+      cells[rowKey(swap.originalNormalized, location)] = {
+        original: swap.original,
+        location: location,
+        number: swap.tracking,
+        swapped: true
+      };
+    });
+  });
+
+  return cells;
+}
+
+// Public view of the comparison state
+function describeCompare(compare) {
+  if (!compare) return null;
+
+  const { tabId, ...state } = compare;
+  return state;
+}
+
+async function publishCompare(compare) {
+  const state = describeCompare(compare);
+  await chrome.storage.session.set({ [COMPARE_STATE_KEY]: state });
+  chrome.runtime.sendMessage({ action: 'compareProgress', compare: state }).catch(() => {
+    // Side panel may not be open, ignore error
+  });
+}
+
+// Visit the page once per source and fill in the matrix
+async function runCompare(compare) {
+  try {
+    for (const source of compare.sources) {
+      if (compare.status !== 'running') break;
+
+      compare.currentSource = source.name;
+      await publishCompare(compare);
+
+      const result = {
+        sourceId: source.id,
+        name: source.name,
+        url: applyTrafficSource(compare.url, source, compare.sources),
+        referrer: source.referrer,
+        status: 'scanned',
+        providers: [],
+        cells: {}
+      };
+
+      try {
+        const visit = await runIsolatedVisit(compare.tabId, result.url, { referrer: source.referrer });
+        if (!visit.detection) {
+          result.status = visit.loaded ? 'noResults' : 'timeout';
+        } else {
+          result.providers = [...new Set(visit.detection.detectedTrackers.map(t => t.provider))];
+          result.cells = buildNumberCells(visit.detection);
+        }
+      } catch (error) {
+        if (compare.status !== 'running') break;
+        console.error('[Source Compare] Error visiting', result.url, error);
+        result.status = 'error';
+        result.error = error.message;
+      }
+
+      compare.results.push(result);
+      await publishCompare(compare);
+    }
+
+    if (compare.status === 'running') {
+      compare.status = 'complete';
+    }
+  } finally {
+    compare.currentSource = null;
+    compare.finishedAt = Date.now();
+    chrome.tabs.remove(compare.tabId).catch(() => {
+      // Tab may already be closed
+    });
+    await publishCompare(compare);
+    console.log('[Source Compare] Comparison', compare.status, '-', compare.results.length, 'sources');
+  }
+}
+
+/**
+ * Start comparing the numbers a page shows to different traffic sources
+ * @param {Object} options - Comparison options
+ * @param {string} options.url - Page URL
+ * @param {Array<string>} options.sources - Traffic source or preset IDs, in visit order
+ * @returns {Promise<Object>} Initial comparison state
+ */
+async function startSourceCompare({ url, sources }) {
+  if (activeCompare && activeCompare.status === 'running') {
+    throw new Error('A comparison is already running');
+  }
+  // Both clear the site's cookies between visits
+  if (activePool && activePool.status === 'running') {
+    throw new Error('Wait for the pool discovery to finish');
+  }
+
+  // Built-in sources and saved presets
+  const allSources = await getAllTrafficSources();
+  const selectedSources = (sources || [])
+    .map(sourceId => getTrafficSource(sourceId, allSources))
+    .filter(Boolean);
+  if (selectedSources.length === 0) {
+    throw new Error('No traffic sources selected');
+  }
+
+  const pageUrl = new URL(url);
+  if (!pageUrl.protocol.startsWith('http')) {
+    throw new Error('Only web pages can be compared');
+  }
+
+  const tab = await chrome.tabs.create({ url: 'about:blank', active: false });
+  const compare = {
+    url: pageUrl.href,
+    sources: selectedSources,
+    status: 'running',
+    startedAt: Date.now(),
+    finishedAt: null,
+    currentSource: null,
+    results: [],
+    tabId: tab.id
+  };
+  activeCompare = compare;
+
+  runCompare(compare).catch(error => {
+    console.error('[Source Compare] Comparison failed:', error);
+  });
+  return describeCompare(compare);
+}
+
+/**
+ * Stop the running comparison; sources already visited are kept
+ * @returns {Promise<Object|null>} Comparison state
+ */
+async function cancelSourceCompare() {
+  if (activeCompare && activeCompare.status === 'running') {
+    activeCompare.status = 'cancelled';
+    await publishCompare(activeCompare);
+  }
+  return describeCompare(activeCompare);
+}
+
+/**
+ * Get the state of the current or last comparison
+ * @returns {Promise<Object|null>} Comparison state
+ */
+async function getSourceCompareState() {
+  if (activeCompare) return describeCompare(activeCompare);
+
+  const result = await chrome.storage.session.get(COMPARE_STATE_KEY);
+  const state = result[COMPARE_STATE_KEY] || null;
+  if (state && state.status === 'running') {
+    state.status = 'interrupted';
+    state.currentSource = null;
+  }
+  return state;
+}
+
+/**
+ * Handle a tab being closed; closing the comparison tab cancels the comparison
+ * @param {number} tabId - Closed tab ID
+ */
+function handleCompareTabRemoved(tabId) {
+  if (activeCompare && activeCompare.tabId === tabId && activeCompare.status === 'running') {
+    activeCompare.status = 'cancelled';
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    buildNumberCells,
+    runIsolatedVisit
+  };
+}
@@ -0,0 +1,50 @@
+// Unit tests for detection-store.js, with chrome.storage.session kept in memory
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const sessionStore = {};
+global.chrome = {
+  storage: {
+    session: {
+      get: async key => (key === null ? { ...sessionStore } : { [key]: sessionStore[key] }),
+      set: async items => Object.assign(sessionStore, items),
+      remove: async keys => [].concat(keys).forEach(key => delete sessionStore[key])
+    }
+  }
+};
+
+const { startTabNavigation, saveFrameDetection, getTabEntry } = require('../detection-store.js');
+
+function report(url) {
+  return { url: url, detectedTrackers: [], originalNumbers: [], currentNumbers: [], swaps: [] };
+}
+
+test('child frames that report before the new top document are kept', async () => {
+  await saveFrameDetection(1, 0, 'doc-a', report('https://example.com/'));
+  await saveFrameDetection(1, 3, 'frame-a', report('https://widget.example.net/old'));
+
+  await startTabNavigation(1);
+  await saveFrameDetection(1, 4, 'frame-b', report('https://widget.example.net/new'));
+
+  // Held back until the new top document reports
+  let entry = await getTabEntry(1);
+  assert.strictEqual(entry.navigationId, 'doc-a');
+  assert.deepStrictEqual(Object.keys(entry.frames).sort(), ['0', '3']);
+
+  await saveFrameDetection(1, 0, 'doc-b', report('https://example.com/next'));
+  entry = await getTabEntry(1);
+  assert.strictEqual(entry.navigationId, 'doc-b');
+  assert.deepStrictEqual(Object.keys(entry.frames).sort(), ['0', '4']);
+  assert.strictEqual(entry.frames[4].url, 'https://widget.example.net/new');
+  assert.strictEqual(entry.awaitingTopFrame, undefined);
+});
+
+test('child frames of the current document are saved straight away', async () => {
+  await saveFrameDetection(2, 0, 'doc-c', report('https://example.com/'));
+  await saveFrameDetection(2, 5, 'frame-c', report('https://widget.example.net/'));
+
+  const entry = await getTabEntry(2);
+  assert.deepStrictEqual(Object.keys(entry.frames).sort(), ['0', '5']);
+});
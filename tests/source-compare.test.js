@@ -0,0 +1,61 @@
+// Unit tests for source-compare.js, with the Chrome APIs and the background
+// helpers it depends on replaced by stubs
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const calls = [];
+let tabUrl = 'about:blank';
+
+global.chrome = {
+  browsingData: {
+    remove: async (options, dataTypes) => calls.push(['browsingData.remove', options, dataTypes])
+  },
+  tabs: {
+    get: async () => ({ url: tabUrl }),
+    update: async (tabId, { url }) => {
+      calls.push(['tabs.update', url]);
+      tabUrl = url;
+    }
+  }
+};
+global.CRAWL_PAGE_TIMEOUT_MS = 1000;
+global.CRAWL_SETTLE_MS = 0;
+global.clearSiteCookies = async url => calls.push(['clearSiteCookies', url]);
+global.clearProviderCookies = async url => calls.push(['clearProviderCookies', url]);
+global.removeTabStorage = async (tabId, entries) => calls.push(['removeTabStorage', tabId, entries]);
+global.waitForTabComplete = async () => true;
+global.waitForScan = async () => true;
+global.delay = async () => {};
+global.getTabDetection = async () => ({ detectedTrackers: [] });
+
+const { runIsolatedVisit } = require('../source-compare.js');
+
+test('runIsolatedVisit clears the site\'s localStorage before the tab first shows it', async () => {
+  calls.length = 0;
+  tabUrl = 'about:blank';
+
+  await runIsolatedVisit(7, 'https://example.com/contact');
+
+  const names = calls.map(call => call[0]);
+  assert.deepStrictEqual(calls.find(call => call[0] === 'browsingData.remove').slice(1),
+    [{ origins: ['https://example.com'] }, { localStorage: true }]);
+  assert.ok(names.indexOf('browsingData.remove') < names.indexOf('tabs.update'));
+  assert.ok(names.indexOf('clearSiteCookies') < names.indexOf('tabs.update'));
+  assert.ok(names.indexOf('clearProviderCookies') < names.indexOf('tabs.update'));
+  // The new tab has no sessionStorage for the site yet
+  assert.ok(!names.includes('removeTabStorage'));
+});
+
+test('runIsolatedVisit also clears the tab\'s sessionStorage on later visits', async () => {
+  calls.length = 0;
+  tabUrl = 'https://example.com/contact';
+
+  await runIsolatedVisit(7, 'https://example.com/contact?utm_source=google');
+
+  const names = calls.map(call => call[0]);
+  assert.deepStrictEqual(calls.find(call => call[0] === 'removeTabStorage'), ['removeTabStorage', 7, null]);
+  assert.ok(names.indexOf('removeTabStorage') < names.indexOf('tabs.update'));
+  assert.ok(names.includes('browsingData.remove'));
+});
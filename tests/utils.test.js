@@ -0,0 +1,93 @@
+// Unit tests for the shared helpers in utils.js
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractPhoneNumbers, isValidPhone, toE164, findSwapApiProvider, extractTrackingIds } = require('../utils.js');
+const { providers } = require('../providers.json');
+
+test('findSwapApiProvider matches requests to a provider domain', () => {
+  const match = findSwapApiProvider('https://cdn.calltrk.com/swap.js', providers, []);
+  assert.strictEqual(match.provider.id, 'callrail');
+});
+
+test('findSwapApiProvider matches a path of a provider already detected', () => {
+  const match = findSwapApiProvider('https://example.com/swap-items', providers, ['callrail']);
+  assert.strictEqual(match.provider.id, 'callrail');
+  assert.strictEqual(match.matchType, 'urlPath');
+  assert.strictEqual(match.matchedPattern, '/swap*');
+});
+
+test('findSwapApiProvider picks the detected provider when several share a path', () => {
+  const match = findSwapApiProvider('https://example.com/api/track/visit', providers, ['whatconverts']);
+  assert.strictEqual(match.provider.id, 'whatconverts');
+  assert.strictEqual(findSwapApiProvider('https://example.com/api/track/visit', providers, []), null);
+});
+
+test('findSwapApiProvider ignores common paths when no provider is detected', () => {
+  assert.strictEqual(findSwapApiProvider('https://shop.example.com/tracking/order?id=1', providers, []), null);
+  assert.strictEqual(findSwapApiProvider('https://example.com/session/refresh', providers, []), null);
+  assert.strictEqual(findSwapApiProvider('https://example.com/swap-items', providers, []), null);
+});
+
+test('findSwapApiProvider ignores requests no provider path matches', () => {
+  assert.strictEqual(findSwapApiProvider('https://example.com/products/42', providers, ['callrail']), null);
+});
+
+test('extractTrackingIds reads IDs from the request query string', () => {
+  assert.deepStrictEqual(
+    extractTrackingIds('https://api.example.com/swap?session_id=abc&page=2', ''),
+    { session_id: 'abc' }
+  );
+  assert.deepStrictEqual(extractTrackingIds('https://api.example.com/swap?cid=7', '', ['cid']), { cid: '7' });
+});
+
+test('extractTrackingIds reads IDs from JSON and JSONP responses', () => {
+  assert.deepStrictEqual(
+    extractTrackingIds('https://api.example.com/swap', '{"session":{"id":"s1"},"pool_id":42,"number":"5551234567"}'),
+    { 'session.id': 's1', pool_id: '42' }
+  );
+  assert.deepStrictEqual(
+    extractTrackingIds('https://api.example.com/swap', 'callback({"visitor_id":"v9"});'),
+    { visitor_id: 'v9' }
+  );
+});
+
+test('extractTrackingIds keeps the query string IDs when the response is not JSON', () => {
+  assert.deepStrictEqual(
+    extractTrackingIds('https://api.example.com/swap?tracking_id=t1', '<html>{not json}</html>'),
+    { tracking_id: 't1' }
+  );
+});
+
+test('extractPhoneNumbers finds national numbers on their own', () => {
+  assert.deepStrictEqual(extractPhoneNumbers('Call 020 7946 0018', 'GB'), ['020 7946 0018']);
+  assert.deepStrictEqual(extractPhoneNumbers('Call 01 234 5678', 'IE'), ['01 234 5678']);
+  assert.deepStrictEqual(extractPhoneNumbers('(02) 9876 5432 or 0412 345 678', 'AU'), ['(02) 9876 5432', '0412 345 678']);
+  assert.deepStrictEqual(extractPhoneNumbers('09 123 4567 or 0800 123 456', 'NZ'), ['09 123 4567', '0800 123 456']);
+});
+
+test('extractPhoneNumbers ignores national numbers inside longer digit runs', () => {
+  assert.deepStrictEqual(extractPhoneNumbers('Ref 9902079460018', 'GB'), []);
+  assert.deepStrictEqual(extractPhoneNumbers('Ref 02079460018123', 'GB'), []);
+  assert.deepStrictEqual(extractPhoneNumbers('Order 7701234567890', 'IE'), []);
+  assert.deepStrictEqual(extractPhoneNumbers('SKU 1029876543210', 'AU'), []);
+  assert.deepStrictEqual(extractPhoneNumbers('Item 041234567899', 'AU'), []);
+  assert.deepStrictEqual(extractPhoneNumbers('Code 4409123456789', 'NZ'), []);
+  assert.deepStrictEqual(extractPhoneNumbers('Code 90800123456', 'NZ'), []);
+});
+
+test('numbers with a supported country code must fit that country', () => {
+  assert.strictEqual(isValidPhone('+1 234 5678', 'US'), false);
+  assert.strictEqual(toE164('+1 234 5678', 'US'), '');
+  assert.strictEqual(isValidPhone('+44 123', 'GB'), false);
+  assert.strictEqual(toE164('+44 20 7946 0958', 'US'), '+442079460958');
+  // Unsupported country codes are still kept as written
+  assert.strictEqual(toE164('+49 30 1234567', 'US'), '+49301234567');
+});
+
+test('digit runs starting with 00 are not international numbers', () => {
+  const found = extractPhoneNumbers('Order 0012345678', 'US').filter(phone => isValidPhone(phone, 'US'));
+  assert.deepStrictEqual(found, []);
+  assert.deepStrictEqual(extractPhoneNumbers('Call 0033 1 23 45 67 89', 'FR'), ['0033 1 23 45 67 89']);
+});
@@ -0,0 +1,226 @@
+// Tracking cookie and storage management for the background service worker
+// Cookies and localStorage/sessionStorage keys are matched to providers with the
+// cookiePatterns and storageKeyPatterns in providers.json, so a test session can
+// be reset without logging the user out of the site.
+// Depends on utils.js (findProviderForName) and background.js (providers).
+
+// Values are only shown as a preview in the side panel
+const MAX_VALUE_PREVIEW = 60;
+
+function previewValue(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return text.length > MAX_VALUE_PREVIEW ? `${text.slice(0, MAX_VALUE_PREVIEW)}…` : text;
+}
+
+// URL a cookie can be removed with, even if it was set for a parent domain or another path
+function getCookieUrl(cookie) {
+  return `${cookie.secure ? 'https' : 'http'}://${cookie.domain.replace(/^\./, '')}${cookie.path}`;
+}
+
+/**
+ * Remove every cookie that would be sent to a URL
+ * @param {string} url - Page URL
+ * @returns {Promise<number>} Number of cookies removed
+ */
+async function clearSiteCookies(url) {
+  const cookies = await chrome.cookies.getAll({ url: url });
+  const results = await Promise.all(cookies.map(cookie =>
+    chrome.cookies.remove({ url: getCookieUrl(cookie), name: cookie.name, storeId: cookie.storeId })
+  ));
+  return results.filter(Boolean).length;
+}
+
+/**
+ * Remove the cookies call tracking providers keep for a site's visitors:
+ * cookies set in a third-party context on the site (partitioned by it), and
+ * cookies on provider domains that match the provider's cookie patterns.
+ * Other cookies on provider domains (e.g. google.com) are left alone.
+ * @param {string} url - Page URL
+ * @returns {Promise<number>} Number of cookies removed
+ */
+async function clearProviderCookies(url) {
+  const cookies = [];
+
+  try {
+    const topLevelSite = new URL(url).origin;
+    cookies.push(...await chrome.cookies.getAll({ partitionKey: { topLevelSite: topLevelSite } }));
+  } catch (error) {
+    // Partitioned cookies need Chrome 119 or later
+  }
+
+  const domains = [...new Set(providers.flatMap(provider => provider.domains || []))];
+  const domainCookies = await Promise.all(domains.map(domain => chrome.cookies.getAll({ domain: domain })));
+  domainCookies.flat().forEach(cookie => {
+    if (findProviderForName(cookie.name, providers, 'cookiePatterns')) {
+      cookies.push(cookie);
+    }
+  });
+
+  const results = await Promise.all(cookies.map(cookie => chrome.cookies.remove({
+    url: getCookieUrl(cookie),
+    name: cookie.name,
+    storeId: cookie.storeId,
+    ...(cookie.partitionKey ? { partitionKey: cookie.partitionKey } : {})
+  })));
+  return results.filter(Boolean).length;
+}
+
+// Read every localStorage and sessionStorage entry of a tab's top frame
+async function readTabStorage(tabId) {
+  const [injection] = await chrome.scripting.executeScript({
+    target: { tabId: tabId, frameIds: [0] },
+    func: () => {
+      const read = (storage) => {
+        try {
+          return Object.keys(storage).map(key => ({ key: key, value: storage.getItem(key) }));
+        } catch (e) {
+          // Storage can be blocked for the page
+          return [];
+        }
+      };
+      return {
+        localStorage: read(window.localStorage),
+        sessionStorage: read(window.sessionStorage)
+      };
+    }
+  });
+  return injection?.result || { localStorage: [], sessionStorage: [] };
+}
+
+// Remove storage entries from a tab's top frame; null removes everything
+async function removeTabStorage(tabId, entries) {
+  const [injection] = await chrome.scripting.executeScript({
+    target: { tabId: tabId, frameIds: [0] },
+    args: [entries],
+    func: (entriesToRemove) => {
+      const stores = {
+        localStorage: window.localStorage,
+        sessionStorage: window.sessionStorage
+      };
+      let removed = 0;
+
+      if (entriesToRemove === null) {
+        Object.values(stores).forEach(storage => {
+          removed += storage.length;
+          storage.clear();
+        });
+        return removed;
+      }
+
+      entriesToRemove.forEach(({ area, key }) => {
+        if (stores[area] && stores[area].getItem(key) !== null) {
+          stores[area].removeItem(key);
+          removed++;
+        }
+      });
+      return removed;
+    }
+  });
+  return injection?.result || 0;
+}
+
+/**
+ * List the tracking cookies and storage entries active for a tab's page
+ * @param {number} tabId - Tab ID
+ * @param {string} url - Page URL
+ * @returns {Promise<Object>} { cookies, storage, totalCookies, totalStorage, storageError }
+ */
+async function listTrackingData(tabId, url) {
+  const allCookies = await chrome.cookies.getAll({ url: url });
+  const cookies = [];
+  allCookies.forEach(cookie => {
+    const match = findProviderForName(cookie.name, providers, 'cookiePatterns');
+    if (match) {
+      cookies.push({
+        name: cookie.name,
+        domain: cookie.domain,
+        path: cookie.path,
+        secure: cookie.secure,
+        storeId: cookie.storeId,
+        value: previewValue(cookie.value),
+        provider: match.provider.name,
+        providerId: match.provider.id,
+        matchedPattern: match.matchedPattern
+      });
+    }
+  });
+
+  const storage = [];
+  let totalStorage = 0;
+  let storageError = null;
+  try {
+    const tabStorage = await readTabStorage(tabId);
+    ['localStorage', 'sessionStorage'].forEach(area => {
+      totalStorage += tabStorage[area].length;
+      tabStorage[area].forEach(({ key, value }) => {
+        const match = findProviderForName(key, providers, 'storageKeyPatterns');
+        if (match) {
+          storage.push({
+            area: area,
+            key: key,
+            value: previewValue(value),
+            provider: match.provider.name,
+            providerId: match.provider.id,
+            matchedPattern: match.matchedPattern
+          });
+        }
+      });
+    });
+  } catch (error) {
+    // Pages like the Chrome Web Store can't be scripted
+    storageError = error.message;
+  }
+
+  return {
+    cookies: cookies,
+    storage: storage,
+    totalCookies: allCookies.length,
+    totalStorage: totalStorage,
+    storageError: storageError
+  };
+}
+
+/**
+ * Remove only the cookies and storage entries that belong to call tracking providers
+ * @param {number} tabId - Tab ID
+ * @param {string} url - Page URL
+ * @returns {Promise<Object>} { removedCookies, removedStorage }
+ */
+async function clearTrackingData(tabId, url) {
+  const { cookies, storage, storageError } = await listTrackingData(tabId, url);
+
+  const results = await Promise.all(cookies.map(cookie =>
+    chrome.cookies.remove({ url: getCookieUrl(cookie), name: cookie.name, storeId: cookie.storeId })
+  ));
+
+  const removedStorage = storage.length > 0 && !storageError
+    ? await removeTabStorage(tabId, storage.map(({ area, key }) => ({ area: area, key: key })))
+    : 0;
+
+  return {
+    removedCookies: results.filter(Boolean).length,
+    removedStorage: removedStorage
+  };
+}
+
+/**
+ * Full reset: remove every cookie for the page and clear its localStorage and sessionStorage
+ * @param {number} tabId - Tab ID
+ * @param {string} url - Page URL
+ * @returns {Promise<Object>} { removedCookies, removedStorage }
+ */
+async function resetSiteData(tabId, url) {
+  const removedCookies = await clearSiteCookies(url);
+
+  let removedStorage = 0;
+  try {
+    removedStorage = await removeTabStorage(tabId, null);
+  } catch (error) {
+    console.log('[Tracking Data] Could not clear storage for', url, error.message);
+  }
+
+  return {
+    removedCookies: removedCookies,
+    removedStorage: removedStorage
+  };
+}
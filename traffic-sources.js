@@ -0,0 +1,239 @@
+// Traffic sources used to test how a site's call tracking responds to different visitors
+// Shared by the background service worker (source comparison) and the side panel
+
+// Query parameters that mark a visit as coming from a traffic source
+const TRAFFIC_SOURCE_PARAMS = [
+  'gclid', 'fbclid', 'msclkid', 'ttclid', 'epik', 'ScCid', 'twclid', 'li_fat_id', 'yclid', 'rdt_cid', 'qclid',
+  'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'
+];
+
+// Saved presets from the source builder, in chrome.storage.local
+const TRAFFIC_SOURCE_PRESETS_KEY = 'trafficSourcePresets';
+
+// Each source sets query parameters, a referrer, or both
+// Presets can also set a landing page path on the same site
+const TRAFFIC_SOURCES = [
+  { id: 'direct', name: 'Direct (no source)', params: {}, referrer: null },
+  { id: 'googleOrganic', name: 'Google Organic', params: {}, referrer: 'https://www.google.com/' },
+  { id: 'bingOrganic', name: 'Bing Organic', params: {}, referrer: 'https://www.bing.com/' },
+  { id: 'facebookReferral', name: 'Facebook Referral', params: {}, referrer: 'https://www.facebook.com/' },
+  { id: 'gclid', name: 'Google Ads (gclid)', params: { gclid: 'test123' }, referrer: null },
+  { id: 'fbclid', name: 'Facebook/Instagram (fbclid)', params: { fbclid: 'test123' }, referrer: null },
+  { id: 'msclkid', name: 'Microsoft Ads (msclkid)', params: { msclkid: 'test123' }, referrer: null },
+  { id: 'ttclid', name: 'TikTok Ads (ttclid)', params: { ttclid: 'test123' }, referrer: null },
+  { id: 'epik', name: 'Pinterest Ads (epik)', params: { epik: 'test123' }, referrer: null },
+  { id: 'ScCid', name: 'Snapchat Ads (ScCid)', params: { ScCid: 'test123' }, referrer: null },
+  { id: 'twclid', name: 'Twitter/X Ads (twclid)', params: { twclid: 'test123' }, referrer: null },
+  { id: 'li_fat_id', name: 'LinkedIn Ads (li_fat_id)', params: { li_fat_id: 'test123' }, referrer: null },
+  { id: 'rdt_cid', name: 'Reddit Ads (rdt_cid)', params: { rdt_cid: 'test123' }, referrer: null },
+  { id: 'qclid', name: 'Quora Ads (qclid)', params: { qclid: 'test123' }, referrer: null },
+  {
+    id: 'utmGoogleCpc',
+    name: 'UTM: google / cpc',
+    params: { utm_source: 'google', utm_medium: 'cpc', utm_campaign: 'test' },
+    referrer: null
+  },
+  {
+    id: 'utmFacebookPaid',
+    name: 'UTM: facebook / paid_social',
+    params: { utm_source: 'facebook', utm_medium: 'paid_social', utm_campaign: 'test' },
+    referrer: null
+  },
+  {
+    id: 'utmEmail',
+    name: 'UTM: newsletter / email',
+    params: { utm_source: 'newsletter', utm_medium: 'email', utm_campaign: 'test' },
+    referrer: null
+  }
+];
+
+// Sources compared by default
+const DEFAULT_COMPARE_SOURCES = ['direct', 'googleOrganic', 'gclid', 'fbclid', 'msclkid'];
+
+// Sources checked by default for pool discovery
+const DEFAULT_POOL_SOURCES = ['direct'];
+
+/**
+ * Find a traffic source by ID
+ * @param {string} sourceId - Source or preset ID
+ * @param {Array} sources - Sources to search (built-in sources by default)
+ * @returns {Object|null} Traffic source
+ */
+function getTrafficSource(sourceId, sources = TRAFFIC_SOURCES) {
+  return sources.find(source => source.id === sourceId) || null;
+}
+
+/**
+ * Get the query parameter names any of the given sources set
+ * @param {Array} sources - Traffic sources
+ * @returns {Array<string>} Known test parameters plus the sources' own
+ */
+function getTrafficSourceParamNames(sources = TRAFFIC_SOURCES) {
+  const names = new Set(TRAFFIC_SOURCE_PARAMS);
+  sources.forEach(source => {
+    Object.keys(source.params).forEach(name => names.add(name));
+  });
+  return Array.from(names);
+}
+
+/**
+ * Remove traffic source parameters from a URL, keeping the page's own parameters
+ * @param {string} url - Page URL
+ * @param {Array} sources - Sources whose parameters should also be removed
+ * @returns {string} URL without test parameters
+ */
+function clearTrafficSource(url, sources = TRAFFIC_SOURCES) {
+  const urlObj = new URL(url);
+  getTrafficSourceParamNames(sources).forEach(param => urlObj.searchParams.delete(param));
+  return urlObj.href;
+}
+
+/**
+ * Build the URL a visitor from a traffic source would land on
+ * Parameters from any other traffic source are removed first; the page's own
+ * parameters are kept unless the source sets a landing page
+ * @param {string} url - Page URL
+ * @param {Object} source - Traffic source
+ * @param {Array} sources - Sources whose parameters should also be removed
+ * @returns {string} URL with the source's parameters
+ */
+function applyTrafficSource(url, source, sources = TRAFFIC_SOURCES) {
+  const landingUrl = source.landingPath ? new URL(source.landingPath, url).href : url;
+  const urlObj = new URL(clearTrafficSource(landingUrl, [...sources, source]));
+  Object.entries(source.params).forEach(([name, value]) => {
+    urlObj.searchParams.set(name, value);
+  });
+  return urlObj.href;
+}
+
+/**
+ * Parse source builder parameters, one "name=value" per line
+ * @param {string} text - Parameter lines
+ * @returns {Object} Parameter names and values
+ * @throws {Error} If a line isn't "name=value"
+ */
+function parseTrafficSourceParams(text) {
+  const params = {};
+  (text || '').split('\n').forEach(line => {
+    const trimmed = line.trim();
+    if (!trimmed) return;
+
+    const separator = trimmed.indexOf('=');
+    if (separator <= 0) {
+      throw new Error(`Parameter "${trimmed}" should look like name=value`);
+    }
+    params[trimmed.slice(0, separator).trim()] = trimmed.slice(separator + 1).trim();
+  });
+  return params;
+}
+
+/**
+ * Create a custom traffic source from source builder input
+ * @param {Object} input - Builder fields
+ * @param {string} input.name - Preset name
+ * @param {string} input.params - Parameter lines, one "name=value" per line
+ * @param {string} input.referrer - Referrer URL, or empty for none
+ * @param {string} input.landingPath - Landing page path, or empty for the current page
+ * @returns {Object} Traffic source
+ * @throws {Error} If the input isn't valid
+ */
+function createTrafficSource({ name, params, referrer, landingPath }) {
+  const source = {
+    id: `preset_${Date.now()}`,
+    name: (name || '').trim() || 'Custom source',
+    params: parseTrafficSourceParams(params),
+    referrer: null,
+    landingPath: null,
+    custom: true
+  };
+
+  if (referrer && referrer.trim()) {
+    let referrerUrl;
+    try {
+      referrerUrl = new URL(referrer.trim());
+    } catch {
+      throw new Error('Referrer must be a full URL, e.g. https://www.google.com/');
+    }
+    if (!referrerUrl.protocol.startsWith('http')) {
+      throw new Error('Referrer must be an http or https URL');
+    }
+    source.referrer = referrerUrl.href;
+  }
+
+  if (landingPath && landingPath.trim()) {
+    const path = landingPath.trim();
+    if (!path.startsWith('/')) {
+      throw new Error('Landing page must be a path starting with /, e.g. /lp/ppc');
+    }
+    source.landingPath = path;
+  }
+
+  if (Object.keys(source.params).length === 0 && !source.referrer && !source.landingPath) {
+    throw new Error('Add at least one parameter, a referrer or a landing page');
+  }
+  return source;
+}
+
+/**
+ * Get the presets saved from the source builder
+ * @returns {Promise<Array>} Saved traffic sources
+ */
+async function getSavedTrafficSources() {
+  const result = await chrome.storage.local.get(TRAFFIC_SOURCE_PRESETS_KEY);
+  return result[TRAFFIC_SOURCE_PRESETS_KEY] || [];
+}
+
+/**
+ * Get the built-in sources followed by saved presets
+ * @returns {Promise<Array>} Traffic sources
+ */
+async function getAllTrafficSources() {
+  return [...TRAFFIC_SOURCES, ...(await getSavedTrafficSources())];
+}
+
+/**
+ * Save a source builder preset, replacing one with the same name
+ * @param {Object} source - Traffic source from createTrafficSource
+ * @returns {Promise<Object>} Saved preset
+ */
+async function saveTrafficSourcePreset(source) {
+  const presets = await getSavedTrafficSources();
+  const existing = presets.find(preset => preset.name === source.name);
+  const preset = existing ? { ...source, id: existing.id } : source;
+
+  await chrome.storage.local.set({
+    [TRAFFIC_SOURCE_PRESETS_KEY]: [...presets.filter(p => p.id !== preset.id), preset]
+  });
+  return preset;
+}
+
+/**
+ * Delete a saved preset
+ * @param {string} presetId - Preset ID
+ * @returns {Promise<void>}
+ */
+async function deleteTrafficSourcePreset(presetId) {
+  const presets = await getSavedTrafficSources();
+  await chrome.storage.local.set({
+    [TRAFFIC_SOURCE_PRESETS_KEY]: presets.filter(preset => preset.id !== presetId)
+  });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TRAFFIC_SOURCE_PARAMS,
+    TRAFFIC_SOURCES,
+    DEFAULT_COMPARE_SOURCES,
+    DEFAULT_POOL_SOURCES,
+    getTrafficSource,
+    getTrafficSourceParamNames,
+    clearTrafficSource,
+    applyTrafficSource,
+    parseTrafficSourceParams,
+    createTrafficSource,
+    getSavedTrafficSources,
+    getAllTrafficSources,
+    saveTrafficSourcePreset,
+    deleteTrafficSourcePreset
+  };
+}
@@ -1,7 +1,7 @@
 // Utility functions for phone number detection and formatting
 
 /**
- * Phone number regex patterns
+ * North American (NANP) phone number pattern
  * Matches various formats including:
  * - (555) 123-4567
  * - 555-123-4567
@@ -11,20 +11,205 @@
  */
 const PHONE_REGEX = /(\+?1[-.\s]?)?\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}/g;
 
+/**
+ * International phone number pattern
+ * Matches numbers written with a country code, including:
+ * - +44 20 7946 0958
+ * - +44 (0)20 7946 0958
+ * - +61 2 9876 5432
+ * - 0033 1 23 45 67 89
+ * After 00 the country code must be followed by a separator, so runs of digits
+ * that merely start with 00 (order numbers, IDs) aren't read as numbers
+ */
+const INTERNATIONAL_PHONE_REGEX = /(?:\+\d{1,3}[-.\s]?|\b00\d{1,3}[-.\s])(?:\(0\)[-.\s]?)?\(?\d{1,4}\)?(?:[-.\s]?\d{2,4}){1,4}/g;
+
+/**
+ * Loose check used to decide whether text is worth scanning for numbers
+ */
+const PHONE_CANDIDATE_REGEX = /\d[\d\s().-]{5,}\d/;
+
+/**
+ * Link schemes whose href holds a phone number, by source type
+ */
+const PHONE_LINK_SCHEMES = {
+  tel: 'telLink',
+  sms: 'smsLink',
+  callto: 'calltoLink'
+};
+
+/**
+ * Attributes that can hold a phone number, by source type
+ * Every data-* attribute is checked too (source type 'dataAttribute')
+ */
+const PHONE_ATTRIBUTE_SOURCES = {
+  'aria-label': 'ariaLabel',
+  alt: 'imgAlt',
+  content: 'meta'
+};
+
+/**
+ * Default region used when a site has no configured or detectable region
+ */
+const DEFAULT_PHONE_REGION = 'US';
+
+// NANP numbers are shared by the US and Canada
+const NANP_REGION = {
+  countryCode: '1',
+  trunkPrefix: '1',
+  // Area codes never start with 0 or 1
+  nationalNumber: /^[2-9]\d{9}$/,
+  nationalPattern: PHONE_REGEX,
+  groups: nsn => [nsn.slice(0, 3), nsn.slice(3, 6), nsn.slice(6)],
+  formatNational: groups => `(${groups[0]}) ${groups[1]}-${groups[2]}`
+};
+
+/**
+ * Supported phone number regions
+ * Each region describes its country calling code, national trunk prefix,
+ * which national significant numbers are valid, how numbers are written
+ * locally, and how to group digits for display
+ */
+const PHONE_REGIONS = {
+  US: { ...NANP_REGION, name: 'United States' },
+  CA: { ...NANP_REGION, name: 'Canada' },
+  GB: {
+    name: 'United Kingdom',
+    countryCode: '44',
+    trunkPrefix: '0',
+    nationalNumber: /^[1-9]\d{8,9}$/,
+    nationalPattern: /(?<![\d+])\(?0\d{2,4}\)?[-.\s]?\d{3,4}[-.\s]?\d{3,4}(?!\d)/g,
+    groups: nsn => (nsn[0] === '2'
+      ? [nsn.slice(0, 2), nsn.slice(2, 6), nsn.slice(6)]
+      : [nsn.slice(0, 4), nsn.slice(4)])
+  },
+  IE: {
+    name: 'Ireland',
+    countryCode: '353',
+    trunkPrefix: '0',
+    nationalNumber: /^[1-9]\d{6,8}$/,
+    nationalPattern: /(?<![\d+])\(?0\d{1,2}\)?[-.\s]?\d{3}[-.\s]?\d{3,4}(?!\d)/g,
+    groups: nsn => (nsn[0] === '1'
+      ? [nsn.slice(0, 1), nsn.slice(1, 4), nsn.slice(4)]
+      : [nsn.slice(0, 2), nsn.slice(2, 5), nsn.slice(5)])
+  },
+  AU: {
+    name: 'Australia',
+    countryCode: '61',
+    trunkPrefix: '0',
+    // 1300/1800 numbers are written without the trunk prefix
+    trunkless: /^1[38]00/,
+    nationalNumber: /^(?:[2-478]\d{8}|1[38]00\d{6})$/,
+    nationalPattern: /(?<![\d+])(?:\(?0[2-478]\)?[-.\s]?\d{4}[-.\s]?\d{4}|\b04\d{2}[-.\s]?\d{3}[-.\s]?\d{3}|\b1[38]00[-.\s]?\d{3}[-.\s]?\d{3})(?!\d)/g,
+    groups: nsn => {
+      if (/^1[38]00/.test(nsn)) return [nsn.slice(0, 4), nsn.slice(4, 7), nsn.slice(7)];
+      if (nsn[0] === '4') return [nsn.slice(0, 3), nsn.slice(3, 6), nsn.slice(6)];
+      return [nsn.slice(0, 1), nsn.slice(1, 5), nsn.slice(5)];
+    }
+  },
+  NZ: {
+    name: 'New Zealand',
+    countryCode: '64',
+    trunkPrefix: '0',
+    nationalNumber: /^[2-9]\d{7,9}$/,
+    nationalPattern: /(?<![\d+])(?:\(?0\d\)?[-.\s]?\d{3}[-.\s]?\d{4}|\b02\d[-.\s]?\d{3,4}[-.\s]?\d{3,4}|\b0800[-.\s]?\d{3}[-.\s]?\d{3})(?!\d)/g,
+    groups: nsn => {
+      if (nsn.startsWith('800')) return [nsn.slice(0, 3), nsn.slice(3, 6), nsn.slice(6)];
+      if (nsn[0] === '2') return [nsn.slice(0, 2), nsn.slice(2, 5), nsn.slice(5)];
+      return [nsn.slice(0, 1), nsn.slice(1, 4), nsn.slice(4)];
+    }
+  },
+  FR: {
+    name: 'France',
+    countryCode: '33',
+    trunkPrefix: '0',
+    nationalNumber: /^[1-9]\d{8}$/,
+    nationalPattern: /\b0[1-9](?:[-.\s]?\d{2}){4}\b/g,
+    groups: nsn => [nsn.slice(0, 1), ...nsn.slice(1).match(/\d{2}/g)]
+  }
+};
+
+/**
+ * Resolve a region code to a supported region, falling back to the default
+ * @param {string} region - Region code (e.g. 'US', 'GB')
+ * @returns {string} Supported region code
+ */
+function resolvePhoneRegion(region) {
+  const code = (region || '').toUpperCase();
+  return PHONE_REGIONS[code] ? code : DEFAULT_PHONE_REGION;
+}
+
+/**
+ * Guess a site's phone region from its hostname's country-code TLD
+ * @param {string} hostname - Site hostname
+ * @returns {string} Region code
+ */
+function guessPhoneRegion(hostname) {
+  const tldRegions = {
+    uk: 'GB',
+    ie: 'IE',
+    au: 'AU',
+    nz: 'NZ',
+    fr: 'FR',
+    ca: 'CA'
+  };
+  const tld = (hostname || '').toLowerCase().split('.').pop();
+  return tldRegions[tld] || DEFAULT_PHONE_REGION;
+}
+
+/**
+ * Collect regex matches with their positions, dropping matches that lie
+ * inside a longer match found by another pattern
+ * @param {string} text - Text to search
+ * @param {Array<RegExp>} patterns - Global regexes to apply
+ * @returns {Array<string>} Matched strings in document order
+ */
+function collectPhoneMatches(text, patterns) {
+  const matches = [];
+  patterns.forEach(pattern => {
+    for (const match of text.matchAll(pattern)) {
+      matches.push({ value: match[0], start: match.index, end: match.index + match[0].length });
+    }
+  });
+
+  // Longest matches win when spans overlap
+  matches.sort((a, b) => (b.end - b.start) - (a.end - a.start));
+  const kept = [];
+  matches.forEach(match => {
+    const overlaps = kept.some(other => match.start < other.end && other.start < match.end);
+    if (!overlaps) kept.push(match);
+  });
+
+  return kept.sort((a, b) => a.start - b.start).map(match => match.value.trim());
+}
+
 /**
  * Extract all phone numbers from text
+ * Finds numbers written with a country code as well as numbers written in
+ * the national format of the given region
  * @param {string} text - Text to search for phone numbers
+ * @param {string} region - Default region for numbers without a country code
  * @returns {Array} Array of phone number matches
  */
-function extractPhoneNumbers(text) {
+function extractPhoneNumbers(text, region = DEFAULT_PHONE_REGION) {
   if (!text) return [];
-  const matches = text.match(PHONE_REGEX);
-  return matches ? [...new Set(matches)] : [];
+  const regionInfo = PHONE_REGIONS[resolvePhoneRegion(region)];
+  const matches = collectPhoneMatches(text, [INTERNATIONAL_PHONE_REGEX, regionInfo.nationalPattern]);
+  return [...new Set(matches)];
+}
+
+/**
+ * Check whether text might contain a phone number
+ * Cheap pre-check before running full extraction
+ * @param {string} text - Text to check
+ * @returns {boolean} True if the text has a phone-number-like run of digits
+ */
+function hasPhoneCandidate(text) {
+  return !!text && PHONE_CANDIDATE_REGEX.test(text);
 }
 
 /**
- * Normalize phone number to a standard format
- * Removes all formatting and returns just digits
+ * Normalize phone number to digits only
+ * Removes all formatting; use toE164() to compare numbers across formats
  * @param {string} phone - Phone number to normalize
  * @returns {string} Normalized phone number (digits only)
  */
@@ -33,88 +218,350 @@ function normalizePhone(phone) {
   return phone.replace(/\D/g, '');
 }
 
+/**
+ * Parse a phone number into its country code and national significant number
+ * Numbers written with a country code (+ or 00) are matched against all
+ * supported regions; other numbers are read in the default region's format
+ * @param {string} phone - Phone number to parse
+ * @param {string} region - Default region for numbers without a country code
+ * @returns {Object|null} Parsed number with e164, countryCode, nationalNumber and region, or null if invalid
+ */
+function parsePhone(phone, region = DEFAULT_PHONE_REGION) {
+  if (!phone) return null;
+
+  const trimmed = phone.trim();
+  const digits = normalizePhone(trimmed);
+  const defaultRegion = resolvePhoneRegion(region);
+
+  const build = (regionCode, nationalNumber) => ({
+    e164: `+${PHONE_REGIONS[regionCode].countryCode}${nationalNumber}`,
+    countryCode: PHONE_REGIONS[regionCode].countryCode,
+    nationalNumber: nationalNumber,
+    region: regionCode
+  });
+
+  // Strip the national trunk prefix if the number was written with one
+  const readNational = (regionCode, nationalDigits) => {
+    const info = PHONE_REGIONS[regionCode];
+    if (info.trunkPrefix && nationalDigits.startsWith(info.trunkPrefix)) {
+      const withoutTrunk = nationalDigits.slice(info.trunkPrefix.length);
+      if (info.nationalNumber.test(withoutTrunk)) return withoutTrunk;
+    }
+    return info.nationalNumber.test(nationalDigits) ? nationalDigits : null;
+  };
+
+  if (trimmed.startsWith('+') || trimmed.startsWith('00')) {
+    const international = trimmed.startsWith('00') ? digits.slice(2) : digits;
+
+    // Prefer the default region when several regions share a country code
+    const candidates = [defaultRegion, ...Object.keys(PHONE_REGIONS)];
+    for (const regionCode of candidates) {
+      const info = PHONE_REGIONS[regionCode];
+      if (!international.startsWith(info.countryCode)) continue;
+      const nationalNumber = readNational(regionCode, international.slice(info.countryCode.length));
+      if (nationalNumber) {
+        return build(regionCode, nationalNumber);
+      }
+    }
+
+    // A supported country code with a national number that doesn't fit it is not a number
+    if (Object.values(PHONE_REGIONS).some(info => international.startsWith(info.countryCode))) {
+      return null;
+    }
+
+    // Unsupported country code: keep any plausible E.164 number as-is
+    if (international.length >= 8 && international.length <= 15) {
+      return { e164: `+${international}`, countryCode: null, nationalNumber: null, region: null };
+    }
+    return null;
+  }
+
+  const nationalNumber = readNational(defaultRegion, digits);
+  return nationalNumber ? build(defaultRegion, nationalNumber) : null;
+}
+
+/**
+ * Convert a phone number to E.164 format (e.g. +15551234567)
+ * @param {string} phone - Phone number to convert
+ * @param {string} region - Default region for numbers without a country code
+ * @returns {string} E.164 number, or empty string if invalid
+ */
+function toE164(phone, region = DEFAULT_PHONE_REGION) {
+  const parsed = parsePhone(phone, region);
+  return parsed ? parsed.e164 : '';
+}
+
 /**
  * Format phone number consistently
+ * Numbers from the default region use its national format; numbers from
+ * other countries use international format
  * @param {string} phone - Phone number to format
- * @returns {string} Formatted phone number (555) 123-4567
+ * @param {string} region - Default region for numbers without a country code
+ * @returns {string} Formatted phone number, e.g. (555) 123-4567 or +44 20 7946 0958
  */
-function formatPhone(phone) {
-  const digits = normalizePhone(phone);
+function formatPhone(phone, region = DEFAULT_PHONE_REGION) {
+  const parsed = parsePhone(phone, region);
+  if (!parsed) return phone; // Return original if format is unrecognized
+  if (!parsed.region) return parsed.e164;
+
+  const info = PHONE_REGIONS[parsed.region];
+  const groups = info.groups(parsed.nationalNumber);
+  const defaultInfo = PHONE_REGIONS[resolvePhoneRegion(region)];
+
+  if (info.countryCode !== defaultInfo.countryCode) {
+    return `+${info.countryCode} ${groups.join(' ')}`;
+  }
 
-  if (digits.length === 10) {
-    return `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}`;
-  } else if (digits.length === 11 && digits[0] === '1') {
-    return `+1 (${digits.slice(1, 4)}) ${digits.slice(4, 7)}-${digits.slice(7)}`;
+  if (info.formatNational) {
+    return info.formatNational(groups);
   }
 
-  return phone; // Return original if format is unrecognized
+  const trunk = info.trunkless && info.trunkless.test(parsed.nationalNumber) ? '' : info.trunkPrefix;
+  return [trunk + groups[0], ...groups.slice(1)].join(' ');
 }
 
 /**
- * Check if a phone number is valid (US format)
+ * Check if a phone number is valid for the given region
+ * Numbers written with a country code are validated against their own country
  * @param {string} phone - Phone number to validate
+ * @param {string} region - Default region for numbers without a country code
  * @returns {boolean} True if valid
  */
-function isValidPhone(phone) {
-  const digits = normalizePhone(phone);
-  return digits.length === 10 || (digits.length === 11 && digits[0] === '1');
+function isValidPhone(phone, region = DEFAULT_PHONE_REGION) {
+  return parsePhone(phone, region) !== null;
 }
 
 /**
  * Compare two phone numbers for equality
  * @param {string} phone1 - First phone number
  * @param {string} phone2 - Second phone number
+ * @param {string} region - Default region for numbers without a country code
  * @returns {boolean} True if numbers are the same
  */
-function phonesEqual(phone1, phone2) {
+function phonesEqual(phone1, phone2, region = DEFAULT_PHONE_REGION) {
+  const e164a = toE164(phone1, region);
+  const e164b = toE164(phone2, region);
+  if (e164a && e164b) return e164a === e164b;
   return normalizePhone(phone1) === normalizePhone(phone2);
 }
 
 /**
- * Find phone numbers in DOM element
- * @param {Element} element - DOM element to search
- * @returns {Array} Array of objects with phone number and element info
+ * Get the phone number from a tel: link href
+ * Strips the scheme, URL encoding and any parameters (e.g. ;ext=123)
+ * @param {string} href - Link href
+ * @returns {string} Phone number as written in the link, or empty string
+ */
+function getTelLinkNumber(href) {
+  if (!href || !/^tel:/i.test(href)) return '';
+  let number = href.replace(/^tel:/i, '');
+  try {
+    number = decodeURIComponent(number);
+  } catch (e) {
+    // Keep the raw value if it isn't valid URI encoding
+  }
+  return number.split(';')[0].trim();
+}
+
+/**
+ * Get the phone number from a tel:, sms: or callto: link href
+ * @param {string} href - Link href
+ * @returns {Object|null} { number, sourceType }, or null for other links
+ */
+function getPhoneLinkNumber(href) {
+  const match = (href || '').match(/^(tel|sms|callto):(?:\/\/)?/i);
+  if (!match) return null;
+
+  const sourceType = PHONE_LINK_SCHEMES[match[1].toLowerCase()];
+  if (sourceType === 'telLink') {
+    return { number: getTelLinkNumber(href), sourceType: sourceType };
+  }
+
+  let number = href.slice(match[0].length);
+  try {
+    number = decodeURIComponent(number);
+  } catch (e) {
+    // Keep the raw value if it isn't valid URI encoding
+  }
+  // sms: links can list several recipients and carry a message body
+  return { number: number.split(/[,;?]/)[0].trim(), sourceType: sourceType };
+}
+
+/**
+ * Get the telephone values from a JSON-LD block, at any depth
+ * (e.g. a LocalBusiness and each of its departments)
+ * @param {string} text - Contents of a script[type="application/ld+json"]
+ * @returns {Array<string>} Telephone values as written
+ */
+function getJsonLdTelephones(text) {
+  const telephones = [];
+
+  const visit = (value, depth) => {
+    if (!value || typeof value !== 'object' || depth > 10) return;
+    Object.entries(value).forEach(([key, child]) => {
+      if (key === 'telephone') {
+        [].concat(child)
+          .filter(item => typeof item === 'string' || typeof item === 'number')
+          .forEach(item => telephones.push(String(item)));
+      } else {
+        visit(child, depth + 1);
+      }
+    });
+  };
+
+  try {
+    visit(JSON.parse(text), 0);
+  } catch (e) {
+    // Malformed structured data is common; there's nothing to read
+  }
+  return telephones;
+}
+
+/**
+ * Get the source type of a phone number held in an attribute
+ * @param {Element} element - Element with the attribute
+ * @param {string} attribute - Attribute name
+ * @returns {string|null} Source type, or null if the attribute isn't one we scan
+ */
+function getAttributeSourceType(element, attribute) {
+  if (attribute.startsWith('data-')) return 'dataAttribute';
+  // alt and content only describe numbers on images and meta tags
+  if (attribute === 'alt' && element.tagName !== 'IMG') return null;
+  if (attribute === 'content' && element.tagName !== 'META') return null;
+  return PHONE_ATTRIBUTE_SOURCES[attribute] || null;
+}
+
+/**
+ * Find phone numbers outside visible text: JSON-LD telephone fields, <meta>
+ * tags, data-* attributes, aria-labels and image alt text
+ * @param {Element|ShadowRoot|Document} root - Node to search (not its shadow roots)
+ * @param {string} region - Default region for numbers without a country code
+ * @returns {Array} Phone number info with sourceType and, for attributes, the attribute name
  */
-function findPhoneNumbersInElement(element) {
+function findPhoneNumbersInMarkup(root, region = DEFAULT_PHONE_REGION) {
   const results = [];
-  const walker = document.createTreeWalker(
-    element,
-    NodeFilter.SHOW_TEXT,
-    null,
-    false
-  );
 
-  let node;
-  while (node = walker.nextNode()) {
-    const phones = extractPhoneNumbers(node.textContent);
-    phones.forEach(phone => {
-      if (isValidPhone(phone)) {
+  const addNumbers = (value, element, sourceType, attribute) => {
+    extractPhoneNumbers(value, region).forEach(phone => {
+      if (isValidPhone(phone, region)) {
         results.push({
           phone: phone,
-          formatted: formatPhone(phone),
-          normalized: normalizePhone(phone),
-          element: node.parentElement,
-          textContent: node.textContent.trim()
+          formatted: formatPhone(phone, region),
+          normalized: toE164(phone, region),
+          element: element,
+          textContent: value.trim(),
+          sourceType: sourceType,
+          attribute: attribute
         });
       }
     });
-  }
+  };
+
+  root.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+    getJsonLdTelephones(script.textContent).forEach(telephone => addNumbers(telephone, script, 'jsonLd', null));
+  });
+
+  const elements = root.nodeType === Node.ELEMENT_NODE ? [root, ...root.querySelectorAll('*')] : root.querySelectorAll('*');
+  elements.forEach(element => {
+    Array.from(element.attributes).forEach(({ name, value }) => {
+      if (!hasPhoneCandidate(value)) return;
+      const sourceType = getAttributeSourceType(element, name);
+      if (sourceType) {
+        addNumbers(value, element, sourceType, name);
+      }
+    });
+  });
+
+  return results;
+}
+
+/**
+ * Collect every open shadow root inside an element, including nested ones
+ * Closed shadow roots can't be reached from scripts and are skipped
+ * @param {Element|ShadowRoot} root - Element or shadow root to search
+ * @returns {Array<ShadowRoot>} Open shadow roots in document order
+ */
+function getOpenShadowRoots(root) {
+  const shadowRoots = [];
+
+  const visit = (node) => {
+    if (node.shadowRoot) {
+      shadowRoots.push(node.shadowRoot);
+      visit(node.shadowRoot);
+    }
+    node.querySelectorAll('*').forEach(element => {
+      if (element.shadowRoot) {
+        shadowRoots.push(element.shadowRoot);
+        visit(element.shadowRoot);
+      }
+    });
+  };
+
+  visit(root);
+  return shadowRoots;
+}
 
-  // Also check tel: links
-  const telLinks = element.querySelectorAll('a[href^="tel:"]');
-  telLinks.forEach(link => {
-    const href = link.getAttribute('href');
-    const phone = href.replace('tel:', '').replace(/\D/g, '');
-    if (isValidPhone(phone)) {
-      results.push({
-        phone: formatPhone(phone),
-        formatted: formatPhone(phone),
-        normalized: phone,
-        element: link,
-        textContent: link.textContent.trim(),
-        isTelLink: true
+/**
+ * Find phone numbers in DOM element
+ * Also searches open shadow roots beneath the element. Each result has a
+ * sourceType: 'text', 'telLink', 'smsLink', 'calltoLink', or one of the
+ * markup sources from findPhoneNumbersInMarkup()
+ * @param {Element|ShadowRoot} element - DOM element to search
+ * @param {string} region - Default region for numbers without a country code
+ * @returns {Array} Array of objects with phone number and element info
+ */
+function findPhoneNumbersInElement(element, region = DEFAULT_PHONE_REGION) {
+  const results = [];
+  const roots = [element, ...getOpenShadowRoots(element)];
+
+  roots.forEach(root => {
+    const walker = document.createTreeWalker(
+      root,
+      NodeFilter.SHOW_TEXT,
+      null,
+      false
+    );
+
+    let node;
+    while (node = walker.nextNode()) {
+      // Text directly inside a shadow root belongs to its host element
+      const parent = node.parentElement || node.parentNode.host;
+      // JSON-LD is reported field by field below
+      if (parent.matches('script[type="application/ld+json"]')) continue;
+      const phones = extractPhoneNumbers(node.textContent, region);
+      phones.forEach(phone => {
+        if (isValidPhone(phone, region)) {
+          results.push({
+            phone: phone,
+            formatted: formatPhone(phone, region),
+            normalized: toE164(phone, region),
+            element: parent,
+            textContent: node.textContent.trim(),
+            sourceType: 'text',
+            attribute: null
+          });
+        }
       });
     }
+
+    // Also check tel:, sms: and callto: links
+    const phoneLinks = root.querySelectorAll('a[href^="tel:" i], a[href^="sms:" i], a[href^="callto:" i]');
+    phoneLinks.forEach(link => {
+      const { number: phone, sourceType } = getPhoneLinkNumber(link.getAttribute('href'));
+      if (isValidPhone(phone, region)) {
+        results.push({
+          phone: formatPhone(phone, region),
+          formatted: formatPhone(phone, region),
+          normalized: toE164(phone, region),
+          element: link,
+          textContent: link.textContent.trim(),
+          isTelLink: sourceType === 'telLink',
+          sourceType: sourceType,
+          attribute: 'href'
+        });
+      }
+    });
+
+    results.push(...findPhoneNumbersInMarkup(root, region));
   });
 
   return results;
@@ -129,6 +576,7 @@ function getElementLocation(element) {
   const locations = [];
 
   // Check for common semantic elements
+  if (element.closest('head')) locations.push('Page Head');
   if (element.closest('header')) locations.push('Header');
   if (element.closest('footer')) locations.push('Footer');
   if (element.closest('nav')) locations.push('Navigation');
@@ -145,7 +593,58 @@ function getElementLocation(element) {
   if (classList.includes('sidebar') || id.includes('sidebar')) locations.push('Sidebar');
   if (classList.includes('contact') || id.includes('contact')) locations.push('Contact');
 
-  return locations.length > 0 ? locations.join(', ') : 'Content';
+  // closest() stops at shadow root boundaries, so also describe the host
+  const root = element.getRootNode();
+  if (root && root.host) {
+    getElementLocation(root.host).split(', ').forEach(location => {
+      if (location !== 'Content' && !locations.includes(location)) {
+        locations.push(location);
+      }
+    });
+    locations.push('Shadow DOM');
+  }
+
+  return locations.length > 0 ? [...new Set(locations)].join(', ') : 'Content';
+}
+
+/**
+ * Build a CSS selector path that identifies an element on the page
+ * Stops at the nearest ancestor with an ID so the path stays short.
+ * Elements inside a shadow root are prefixed with their host's path and ">>>"
+ * @param {Element} element - DOM element
+ * @returns {string} Selector path, e.g. "body > header#top > a:nth-of-type(2)"
+ */
+function getElementPath(element) {
+  if (!element || element.nodeType !== Node.ELEMENT_NODE) return '';
+
+  const parts = [];
+  let current = element;
+
+  while (current && current.nodeType === Node.ELEMENT_NODE) {
+    const tagName = current.tagName.toLowerCase();
+
+    if (current.id) {
+      parts.unshift(`${tagName}#${CSS.escape(current.id)}`);
+      break;
+    }
+
+    let part = tagName;
+    const parent = current.parentElement;
+    if (parent) {
+      const sameTag = Array.from(parent.children).filter(child => child.tagName === current.tagName);
+      if (sameTag.length > 1) {
+        part += `:nth-of-type(${sameTag.indexOf(current) + 1})`;
+      }
+    }
+    parts.unshift(part);
+
+    if (tagName === 'body') break;
+    current = parent;
+  }
+
+  const path = parts.join(' > ');
+  const root = element.getRootNode();
+  return root && root.host ? `${getElementPath(root.host)} >>> ${path}` : path;
 }
 
 /**
@@ -317,18 +816,230 @@ function matchesTrackingUrl(url, provider) {
   return matchDetails;
 }
 
+/**
+ * Find the lines of an HTML source that contain each phone number
+ * Numbers split across tags (e.g. "(555) <b>123-4567</b>") aren't found
+ * @param {string} html - HTML source as sent by the server
+ * @param {string} region - Default region for numbers without a country code
+ * @returns {Map<string, Array<number>>} E.164 number -> 1-based line numbers
+ */
+function findHtmlNumberLines(html, region = DEFAULT_PHONE_REGION) {
+  const lines = new Map();
+
+  html.split(/\r\n|\r|\n/).forEach((line, index) => {
+    if (!hasPhoneCandidate(line)) return;
+
+    const text = line.replace(/&nbsp;|&#160;|&#xa0;/gi, ' ');
+    extractPhoneNumbers(text, region)
+      .filter(phone => isValidPhone(phone, region))
+      .forEach(phone => {
+        const key = toE164(phone, region);
+        if (!lines.has(key)) {
+          lines.set(key, []);
+        }
+        if (!lines.get(key).includes(index + 1)) {
+          lines.get(key).push(index + 1);
+        }
+      });
+  });
+
+  return lines;
+}
+
+/**
+ * Total up swap coverage: how many places showing a DNI-targeted number
+ * now show a tracking number
+ * @param {Array<Object>} numbers - Coverage entries with swappedCount and unswappedCount
+ * @returns {Object} { swappedCount, unswappedCount, percent }; percent is null if nothing was swapped
+ */
+function summarizeCoverage(numbers) {
+  const swappedCount = numbers.reduce((total, entry) => total + entry.swappedCount, 0);
+  const unswappedCount = numbers.reduce((total, entry) => total + entry.unswappedCount, 0);
+  const total = swappedCount + unswappedCount;
+
+  return {
+    swappedCount: swappedCount,
+    unswappedCount: unswappedCount,
+    percent: total > 0 ? Math.round((swappedCount / total) * 100) : null
+  };
+}
+
+/**
+ * Find the provider a script or request URL belongs to
+ * Only domain and script pattern matches are specific enough to attribute a URL;
+ * path and query parameter patterns are shared between providers
+ * @param {string} url - Script or request URL
+ * @param {Array<Object>} providers - Provider library
+ * @returns {Object|null} { provider, matchType, matchedPattern }, or null if no provider matches
+ */
+function matchProviderForUrl(url, providers) {
+  for (const provider of providers) {
+    const matchResult = matchesTrackingUrl(url, provider);
+    if (matchResult.matches && (matchResult.matchType === 'domain' || matchResult.matchType === 'scriptPattern')) {
+      return { provider: provider, matchType: matchResult.matchType, matchedPattern: matchResult.matchedPattern };
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the provider whose number swap API a request URL calls
+ * Requests to a provider's domain win; otherwise the URL path must match the
+ * urlPathPatterns of a single provider already detected on the page, since
+ * paths like /tracking/ or /session/ are common on sites without one
+ * @param {string} url - Request URL
+ * @param {Array<Object>} providers - Provider library
+ * @param {Array<string>} detectedIds - IDs of providers detected on the page
+ * @returns {Object|null} { provider, matchType, matchedPattern }, or null if no single provider matches
+ */
+function findSwapApiProvider(url, providers, detectedIds = []) {
+  const byDomain = matchProviderForUrl(url, providers);
+  if (byDomain) return byDomain;
+
+  const candidates = providers.filter(provider =>
+    detectedIds.includes(provider.id) && matchesUrlPattern(url, provider.urlPathPatterns)
+  );
+  if (candidates.length !== 1) return null;
+
+  const provider = candidates[0];
+  return {
+    provider: provider,
+    matchType: 'urlPath',
+    matchedPattern: provider.urlPathPatterns.find(pattern => matchesUrlPattern(url, [pattern]))
+  };
+}
+
+// Names of query parameters and response fields that identify a tracking
+// session, number pool or account in DNI APIs
+const TRACKING_ID_KEY_PATTERN = /pool|session|visitor|swap|campaign|tracking_?id|number_?id|account|company/i;
+const MAX_TRACKING_IDS = 10;
+
+/**
+ * Pull pool, session and account IDs out of a swap API request and its response
+ * @param {string} url - Request URL
+ * @param {string} body - Response text; JSON or JSONP (callback({...}))
+ * @param {Array<string>} paramPatterns - The provider's queryParamPatterns, also treated as ID names
+ * @returns {Object} ID values by parameter or field name
+ */
+function extractTrackingIds(url, body, paramPatterns = []) {
+  const ids = {};
+  const isIdKey = key => TRACKING_ID_KEY_PATTERN.test(key) ||
+    paramPatterns.some(pattern => key.toLowerCase().includes(pattern.toLowerCase()));
+  const addId = (key, value) => {
+    if (Object.keys(ids).length < MAX_TRACKING_IDS && !(key in ids) && String(value).length > 0) {
+      ids[key] = String(value);
+    }
+  };
+
+  try {
+    new URL(url).searchParams.forEach((value, key) => {
+      if (isIdKey(key)) addId(key, value);
+    });
+  } catch (e) {
+    // Not an absolute URL; the response may still carry IDs
+  }
+
+  const start = (body || '').indexOf('{');
+  const end = (body || '').lastIndexOf('}');
+  if (start === -1 || end <= start) return ids;
+
+  let data;
+  try {
+    data = JSON.parse(body.slice(start, end + 1));
+  } catch (e) {
+    return ids;
+  }
+
+  // Walk a few levels deep; DNI responses nest IDs under keys like "session" or "data"
+  // e.g. { "session": { "id": "abc" } } is recorded as session.id
+  const walk = (value, depth, parentKey) => {
+    if (!value || typeof value !== 'object' || depth > 4) return;
+    Object.entries(value).forEach(([key, child]) => {
+      if (typeof child === 'string' || typeof child === 'number') {
+        if (isIdKey(key)) {
+          addId(key, child);
+        } else if (/^(id|uuid|key)$/i.test(key) && parentKey && isIdKey(parentKey)) {
+          addId(`${parentKey}.${key}`, child);
+        }
+      } else {
+        walk(child, depth + 1, Array.isArray(value) ? parentKey : key);
+      }
+    });
+  };
+  walk(data, 0, null);
+  return ids;
+}
+
+/**
+ * Match a cookie or storage key name against name patterns
+ * Supports wildcards (*); the whole name must match, ignoring case
+ * @param {string} name - Cookie or storage key name
+ * @param {Array<string>} patterns - Name patterns to match against
+ * @returns {string|null} First pattern that matches, or null
+ */
+function matchesNamePattern(name, patterns) {
+  if (!name || !patterns || patterns.length === 0) return null;
+
+  return patterns.find(pattern => {
+    const regexPattern = pattern
+      .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*');
+    return new RegExp(`^${regexPattern}$`, 'i').test(name);
+  }) || null;
+}
+
+/**
+ * Find the provider that owns a cookie or storage key
+ * @param {string} name - Cookie or storage key name
+ * @param {Array<Object>} providers - Provider library
+ * @param {string} field - 'cookiePatterns' or 'storageKeyPatterns'
+ * @returns {Object|null} { provider, matchedPattern }, or null if no provider matches
+ */
+function findProviderForName(name, providers, field) {
+  for (const provider of providers) {
+    const matchedPattern = matchesNamePattern(name, provider[field]);
+    if (matchedPattern) {
+      return { provider: provider, matchedPattern: matchedPattern };
+    }
+  }
+  return null;
+}
+
 // Export for use in other scripts
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
+    PHONE_REGIONS,
+    DEFAULT_PHONE_REGION,
+    PHONE_LINK_SCHEMES,
+    PHONE_ATTRIBUTE_SOURCES,
+    resolvePhoneRegion,
+    guessPhoneRegion,
     extractPhoneNumbers,
+    hasPhoneCandidate,
     normalizePhone,
+    parsePhone,
+    toE164,
     formatPhone,
     isValidPhone,
     phonesEqual,
+    getTelLinkNumber,
+    getPhoneLinkNumber,
+    getJsonLdTelephones,
+    getAttributeSourceType,
+    findPhoneNumbersInMarkup,
+    getOpenShadowRoots,
     findPhoneNumbersInElement,
     getElementLocation,
+    getElementPath,
+    findHtmlNumberLines,
+    summarizeCoverage,
     matchesUrlPattern,
     matchesQueryParams,
-    matchesTrackingUrl
+    matchesTrackingUrl,
+    matchProviderForUrl,
+    findSwapApiProvider,
+    extractTrackingIds,
+    matchesNamePattern,
+    findProviderForName
   };
 }